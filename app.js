@@ -1,6 +1,7 @@
+// First, so services configured from the environment at import time see .env
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import session from "express-session";
 import passport from "./config/passport.js";
@@ -10,16 +11,31 @@ import jobRouter from "./routers/job.js";
 import applicationRouter from "./routers/application.js";
 import cvAnalyzerRouter from "./routers/cv-analyzer.js";
 import savedJobRouter from "./routers/savedjob.js";
-
-dotenv.config();
+import adminRouter from "./routers/admin.js";
+import notificationRouter from "./routers/notification.js";
+import realtimeRouter from "./routers/realtime.js";
+import notificationService from "./services/notification.service.js";
+import realtimeService from "./services/realtime.service.js";
+import screeningService from "./services/screening.service.js";
+import cvAnalyzerController from "./controllers/cv-analyzer.controller.js";
 
 const app = express();
 
+// Turn domain events into notifications and live updates
+notificationService.registerEventHandlers();
+realtimeService.registerEventHandlers();
+screeningService.registerEventHandlers();
+
+// Background job handlers; workers are started by index.js or worker.js
+cvAnalyzerController.registerQueueHandlers();
+screeningService.registerQueueHandlers();
+
 // Serve uploaded files
 app.use("/uploads", express.static("uploads"));
 
 // Serve test files (development only)
 if (process.env.NODE_ENV !== 'production') {
+  app.use('/storage', (req, res) => res.status(404).json({ message: 'Not found' })); // Private documents
   app.use(express.static('.')); // Serve files from root directory for testing
 }
 
@@ -58,6 +74,9 @@ app.use("/api/v1/jobs", jobRouter); // New versioned route
 app.use("/api/applications", applicationRouter);
 app.use("/api/saved-jobs", savedJobRouter);
 app.use("/api/v1/cv-analyzer", cvAnalyzerRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/realtime", realtimeRouter);
 
 // Basic test route
 app.get("/", (req, res) => {
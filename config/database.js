@@ -15,4 +15,21 @@ const connectDB = async () => {
   }
 };
 
+// Run fn inside a transaction. Standalone MongoDB servers (common in local development)
+// don't support transactions, so fall back to running without a session there.
+export const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } catch (error) {
+    if (error.code === 20 || /Transaction numbers are only allowed/.test(error.message)) {
+      console.warn('Transactions are not supported by this MongoDB deployment; running without one');
+      return await fn(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
 export default connectDB;
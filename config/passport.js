@@ -24,6 +24,7 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
               email: profile.emails[0].value,
               profilePicture: profile.photos[0].value,
               password: "", // No password for OAuth users
+              emailVerified: true, // Google has already verified the address
             });
           }
           return done(null, user);
@@ -1,8 +1,17 @@
 import CVAnalysis from "../models/cvanalysis.model.js";
+import BackgroundJob from "../models/backgroundjob.model.js";
 import User from "../models/user.model.js";
 import Job from "../models/job.model.js";
-import OpenAIService from "../services/openai.service.js";
+import SavedJob from "../models/savedjob.model.js";
+import AnalyzerService from "../services/analyzer.service.js";
 import PDFParserService from "../services/pdf-parser.service.js";
+import eventService, { EVENTS } from "../services/event.service.js";
+import queueService, { QUEUES } from "../services/queue.service.js";
+import jobMatchService from "../services/job-match.service.js";
+import usageService, { UsageServiceError } from "../services/usage.service.js";
+import cvVersionService from "../services/cv-version.service.js";
+import shareService, { ShareServiceError } from "../services/share.service.js";
+import mongoose from "mongoose";
 import fs from "fs/promises";
 import path from "path";
 
@@ -12,7 +21,7 @@ import path from "path";
  */
 class CVAnalyzerController {
   constructor() {
-    this.openAIService = new OpenAIService();
+    this.analyzer = new AnalyzerService();
     this.pdfParserService = new PDFParserService();
   }
 
@@ -22,7 +31,7 @@ class CVAnalyzerController {
    */
   uploadAndAnalyzeCV = async (req, res) => {
     try {
-      const { experienceLevel, major, targetJobTitle } = req.body;
+      const { experienceLevel, major, targetJobTitle, jobId, parentAnalysisId } = req.body;
       const userId = req.user._id;
       
       // Validate required fields
@@ -41,6 +50,12 @@ class CVAnalyzerController {
         });
       }
 
+      const quota = await usageService.checkQuota(req.user);
+      if (!quota.allowed) {
+        await fs.unlink(req.file.path).catch(() => {});
+        return this.quotaExceeded(res, quota);
+      }
+
       console.log('Processing uploaded file:', {
         originalname: req.file.originalname,
         filename: req.file.filename,
@@ -59,6 +74,38 @@ class CVAnalyzerController {
         jobData.targetJobTitle = targetJobTitle.trim();
       }
 
+      // Score against a specific JobHive posting
+      let targetJob = null;
+      if (jobId) {
+        targetJob = mongoose.Types.ObjectId.isValid(jobId) ? await this.loadTargetJob(jobId) : null;
+        if (!targetJob) {
+          await fs.unlink(req.file.path).catch(() => {});
+          return res.status(404).json({
+            success: false,
+            message: "Job not found",
+            field: "jobId"
+          });
+        }
+        jobData.targetJobDescriptions = [CVAnalysis.toTargetJobDescription(targetJob)];
+      }
+
+      // A new version of a CV analysed before
+      let lineage = {};
+      if (parentAnalysisId) {
+        const parent = mongoose.Types.ObjectId.isValid(parentAnalysisId)
+          ? await CVAnalysis.findOne({ _id: parentAnalysisId, userId, isActive: true })
+          : null;
+        if (!parent) {
+          await fs.unlink(req.file.path).catch(() => {});
+          return res.status(404).json({
+            success: false,
+            message: "Parent analysis not found",
+            field: "parentAnalysisId"
+          });
+        }
+        lineage = await cvVersionService.nextVersion(parent);
+      }
+
       // Create initial analysis record WITHOUT extracting text yet
       // We'll extract text during the actual analysis to avoid storing large text in DB
       const analysis = new CVAnalysis({
@@ -68,30 +115,29 @@ class CVAnalyzerController {
         fileSize: req.file.size,
         extractedText: "Processing...", // Placeholder - will be replaced during analysis
         jobData,
+        jobId: targetJob?._id,
+        ...lineage,
         processingStatus: 'processing'
       });
+      analysis.initializeStages();
 
       await analysis.save();
       console.log('Analysis record created with ID:', analysis._id);
       console.log('File will be processed from:', req.file.path);
 
-      // Add a small delay to ensure file is fully written
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      // Start async analysis
-      console.log('Starting async analysis process...');
-      this.performAnalysis(analysis._id).catch(error => {
-        console.error(`Analysis failed for ${analysis._id}:`, error);
-        this.markAnalysisAsFailed(analysis._id, error.message);
-      });
+      // Hand the analysis to a queue worker
+      await queueService.enqueue(QUEUES.CV_ANALYSIS, { analysisId: analysis._id });
 
       res.status(202).json({
         success: true,
         message: "CV uploaded successfully. Analysis is in progress.",
         data: {
           analysisId: analysis._id,
+          version: analysis.version,
+          parentAnalysisId: analysis.parentAnalysisId || null,
           status: analysis.processingStatus,
-          estimatedCompletionTime: "2-3 minutes"
+          progress: analysis.progress,
+          processingStages: analysis.processingStages
         }
       });
 
@@ -158,12 +204,15 @@ class CVAnalyzerController {
   getAnalysisHistory = async (req, res) => {
     try {
       const userId = req.user._id;
-      const { page = 1, limit = 10, status } = req.query;
+      const { page = 1, limit = 10, status, jobId } = req.query;
 
       const query = { userId };
       if (status) {
         query.status = status;
       }
+      if (jobId && mongoose.Types.ObjectId.isValid(jobId)) {
+        query.jobId = jobId;
+      }
 
       const options = {
         page: parseInt(page),
@@ -189,6 +238,138 @@ class CVAnalyzerController {
     }
   };
 
+  /**
+   * Get how well the user's latest CV analysis for a job fits it
+   * GET /api/v1/cv-analyzer/jobs/:jobId/fit
+   */
+  getJobFit = async (req, res) => {
+    try {
+      const { jobId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid job ID format"
+        });
+      }
+
+      const analysis = await CVAnalysis.findLatestForJob(req.user._id, jobId);
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: "No CV analysis for this job yet"
+        });
+      }
+
+      const completed = analysis.processingStatus === 'completed';
+      res.json({
+        success: true,
+        data: {
+          analysisId: analysis._id,
+          jobId: analysis.jobId,
+          processingStatus: analysis.processingStatus,
+          progress: analysis.progress,
+          overallScore: completed ? analysis.overallScore : null,
+          ...(completed ? analysis.getJobFit() : { fitScore: null }),
+          analyzedAt: completed ? analysis.updatedAt : null
+        }
+      });
+
+    } catch (error) {
+      console.error("Get job fit error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve job fit",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * Rank job postings by how well an analysed CV fits them
+   * POST /api/v1/cv-analyzer/compare/:analysisId
+   */
+  compareJobs = async (req, res) => {
+    try {
+      const { analysisId } = req.params;
+      const { jobIds, savedJobs } = req.body ?? {};
+      const userId = req.user._id;
+      const maxJobs = parseInt(process.env.CV_COMPARE_MAX_JOBS) || 20;
+
+      if (!mongoose.Types.ObjectId.isValid(analysisId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid analysis ID format"
+        });
+      }
+
+      if (!savedJobs && (!Array.isArray(jobIds) || jobIds.length === 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide jobIds or set savedJobs to true",
+          field: "jobIds"
+        });
+      }
+
+      if (!savedJobs && jobIds.some(jobId => !mongoose.Types.ObjectId.isValid(jobId))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid job ID format",
+          field: "jobIds"
+        });
+      }
+
+      const analysis = await CVAnalysis.findOne({ _id: analysisId, userId, isActive: true });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis not found"
+        });
+      }
+
+      if (analysis.processingStatus !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis is not completed yet",
+          data: { progress: analysis.progress }
+        });
+      }
+
+      const ids = savedJobs
+        ? (await SavedJob.getSavedJobsByUser(userId)).map(saved => saved.jobId.toString())
+        : [...new Set(jobIds.map(String))];
+
+      if (ids.length > maxJobs) {
+        return res.status(400).json({
+          success: false,
+          message: `You can compare at most ${maxJobs} jobs at once`,
+          field: savedJobs ? "savedJobs" : "jobIds"
+        });
+      }
+
+      const jobs = await Job.find({ _id: { $in: ids } }).populate('companyId', 'companyName');
+      const found = new Set(jobs.map(job => job._id.toString()));
+      const rankings = await jobMatchService.rankJobs(analysis, jobs, this.analyzer);
+
+      res.json({
+        success: true,
+        data: {
+          analysisId: analysis._id,
+          rankings,
+          notFound: ids.filter(id => !found.has(id))
+        }
+      });
+
+    } catch (error) {
+      console.error("Compare jobs error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to compare jobs",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
   /**
    * Reanalyze existing CV
    * POST /api/v1/cv-analyzer/reanalyze/:analysisId
@@ -196,9 +377,17 @@ class CVAnalyzerController {
   reanalyzeCV = async (req, res) => {
     try {
       const { analysisId } = req.params;
-      const { experienceLevel, major, targetJobTitle } = req.body;
+      const { experienceLevel, major, targetJobTitle, jobId } = req.body;
       const userId = req.user._id;
 
+      if (jobId && !mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid job ID format",
+          field: "jobId"
+        });
+      }
+
       const analysis = await CVAnalysis.findOne({
         _id: analysisId,
         userId
@@ -211,6 +400,34 @@ class CVAnalyzerController {
         });
       }
 
+      if (await BackgroundJob.hasActive(QUEUES.CV_ANALYSIS, { analysisId: analysis._id })) {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis is already in progress"
+        });
+      }
+
+      // Check the new target job before anything is changed
+      let targetJob = null;
+      if (jobId) {
+        targetJob = await this.loadTargetJob(jobId);
+        if (!targetJob) {
+          return res.status(404).json({
+            success: false,
+            message: "Job not found",
+            field: "jobId"
+          });
+        }
+      }
+
+      const quota = await usageService.checkQuota(req.user);
+      if (!quota.allowed) {
+        return this.quotaExceeded(res, quota);
+      }
+
+      // Keep the previous results, with the job context they were scored against, for comparison
+      const snapshot = await cvVersionService.snapshot(analysis);
+
       // Update job data if provided
       if (experienceLevel || major || targetJobTitle) {
         let jobData = { ...analysis.jobData };
@@ -230,31 +447,44 @@ class CVAnalyzerController {
         analysis.jobData = jobData;
       }
 
-      // Reset analysis status and clear previous results
+      // Switch to another posting, or drop the target job with an empty jobId
+      if (jobId !== undefined) {
+        if (targetJob) {
+          analysis.jobId = targetJob._id;
+          analysis.set('jobData.targetJobDescriptions', [CVAnalysis.toTargetJobDescription(targetJob)]);
+        } else {
+          analysis.jobId = undefined;
+          analysis.set('jobData.targetJobDescriptions', []);
+        }
+      }
+
+      // Clear the previous results
       analysis.processingStatus = 'processing';
       analysis.overallScore = undefined;
       analysis.summary = undefined;
       analysis.sections = {};
       analysis.recommendations = [];
+      // Feedback on the old recommendations was kept with the snapshot
+      analysis.analytics.improvementsImplemented = [];
       analysis.jobMatching = {};
       analysis.marketInsights = {};
       analysis.openaiProcessing = undefined;
       analysis.errorMessage = undefined;
+      analysis.initializeStages();
 
       await analysis.save();
 
-      // Start async reanalysis
-      this.performAnalysis(analysis._id).catch(error => {
-        console.error(`Reanalysis failed for ${analysis._id}:`, error);
-        this.markAnalysisAsFailed(analysis._id, error.message);
-      });
+      // Hand the reanalysis to a queue worker
+      await queueService.enqueue(QUEUES.CV_ANALYSIS, { analysisId: analysis._id });
 
       res.json({
         success: true,
         message: "CV reanalysis started successfully",
         data: {
           analysisId: analysis._id,
-          status: analysis.processingStatus
+          previousRevision: snapshot ? { snapshotId: snapshot._id, revision: snapshot.revision } : null,
+          status: analysis.processingStatus,
+          progress: analysis.progress
         }
       });
 
@@ -298,6 +528,9 @@ class CVAnalyzerController {
 
       // Delete analysis record
       await CVAnalysis.findByIdAndDelete(analysisId);
+      await jobMatchService.clearForAnalysis(analysisId);
+      await cvVersionService.clearForAnalysis(analysisId);
+      await shareService.clearForAnalysis(analysisId);
 
       res.json({
         success: true,
@@ -314,6 +547,296 @@ class CVAnalyzerController {
     }
   };
 
+  /**
+   * Mark a recommendation as implemented or dismissed, and/or rate it
+   * PATCH /api/v1/cv-analyzer/results/:analysisId/recommendations/:recommendationId
+   */
+  updateRecommendation = async (req, res) => {
+    try {
+      const { analysisId, recommendationId } = req.params;
+      const { status, feedback } = req.body ?? {};
+
+      if (!mongoose.Types.ObjectId.isValid(analysisId) || !mongoose.Types.ObjectId.isValid(recommendationId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid analysis or recommendation ID format"
+        });
+      }
+
+      if (status === undefined && feedback === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide status or feedback"
+        });
+      }
+
+      if (status !== undefined && status !== null && !CVAnalysis.RECOMMENDATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${CVAnalysis.RECOMMENDATION_STATUSES.join(', ')}, or null to clear it`,
+          field: "status"
+        });
+      }
+
+      if (feedback !== undefined && feedback !== null && !CVAnalysis.RECOMMENDATION_FEEDBACK.includes(feedback)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid feedback. Must be one of: ${CVAnalysis.RECOMMENDATION_FEEDBACK.join(', ')}, or null to clear it`,
+          field: "feedback"
+        });
+      }
+
+      const analysis = await CVAnalysis.findOne({ _id: analysisId, userId: req.user._id, isActive: true });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis not found"
+        });
+      }
+
+      const entry = await analysis.trackRecommendation(recommendationId, { status, feedback });
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: "Recommendation not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Recommendation updated",
+        data: entry
+      });
+
+    } catch (error) {
+      console.error("Update recommendation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update recommendation",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * List the versions in a CV's lineage and the earlier revisions of each
+   * GET /api/v1/cv-analyzer/versions/:analysisId
+   */
+  getVersions = async (req, res) => {
+    try {
+      const { analysisId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(analysisId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid analysis ID format"
+        });
+      }
+
+      const analysis = await CVAnalysis.findOne({ _id: analysisId, userId: req.user._id, isActive: true });
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await cvVersionService.getLineage(analysis)
+      });
+
+    } catch (error) {
+      console.error("Get versions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve CV versions",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * Diff two versions of a CV: analyses or snapshots of earlier runs
+   * GET /api/v1/cv-analyzer/diff?from=<id>&to=<id>
+   */
+  diffVersions = async (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      if (!from || !to) {
+        return res.status(400).json({
+          success: false,
+          message: "from and to are required",
+          field: !from ? "from" : "to"
+        });
+      }
+
+      const [base, target] = await Promise.all([
+        cvVersionService.findVersion(req.user._id, from),
+        cvVersionService.findVersion(req.user._id, to)
+      ]);
+      if (!base || !target) {
+        return res.status(404).json({
+          success: false,
+          message: "Version not found",
+          field: !base ? "from" : "to"
+        });
+      }
+
+      if (!base.completed || !target.completed) {
+        return res.status(409).json({
+          success: false,
+          message: "Both versions must be completed analyses",
+          field: !base.completed ? "from" : "to"
+        });
+      }
+
+      res.json({
+        success: true,
+        data: cvVersionService.diff(base, target)
+      });
+
+    } catch (error) {
+      console.error("Diff versions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to compare CV versions",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * Create an expiring public link to an analysis report
+   * POST /api/v1/cv-analyzer/share/:analysisId
+   */
+  createShareLink = async (req, res) => {
+    try {
+      const analysis = await this.findOwnAnalysis(req, res);
+      if (!analysis) return;
+
+      const { expiresInDays, label } = req.body ?? {};
+      const { link, token, url } = await shareService.createLink(analysis, { expiresInDays, label });
+
+      res.status(201).json({
+        success: true,
+        message: "Share link created",
+        data: {
+          shareId: link._id,
+          label: link.label,
+          token,
+          url,
+          expiresAt: link.expiresAt
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof ShareServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error("Create share link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create share link",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * List an analysis' share links with their view counts
+   * GET /api/v1/cv-analyzer/share/:analysisId
+   */
+  getShareLinks = async (req, res) => {
+    try {
+      const analysis = await this.findOwnAnalysis(req, res);
+      if (!analysis) return;
+
+      res.json({
+        success: true,
+        data: await shareService.listLinks(analysis._id)
+      });
+
+    } catch (error) {
+      console.error("Get share links error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve share links",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * Revoke a share link
+   * DELETE /api/v1/cv-analyzer/share/:analysisId/:shareId
+   */
+  revokeShareLink = async (req, res) => {
+    try {
+      const analysis = await this.findOwnAnalysis(req, res);
+      if (!analysis) return;
+
+      const link = mongoose.Types.ObjectId.isValid(req.params.shareId)
+        ? await shareService.revokeLink(analysis, req.params.shareId)
+        : null;
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: "Share link not found"
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Share link revoked",
+        data: link
+      });
+
+    } catch (error) {
+      console.error("Revoke share link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke share link",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * Read-only report behind a share link (public)
+   * GET /api/v1/cv-analyzer/shared/:token
+   */
+  getSharedReport = async (req, res) => {
+    try {
+      const report = await shareService.openSharedReport(req.params.token);
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      if (error instanceof ShareServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error("Get shared report error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve shared report",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
   /**
    * Get analytics and insights
    * GET /api/v1/cv-analyzer/analytics
@@ -323,6 +846,14 @@ class CVAnalyzerController {
       const userId = req.user._id;
       const { timeframe = '30d' } = req.query;
 
+      if (!CVAnalysis.ANALYTICS_TIMEFRAMES[timeframe]) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid timeframe. Use one of: ${Object.keys(CVAnalysis.ANALYTICS_TIMEFRAMES).join(', ')}`,
+          field: "timeframe"
+        });
+      }
+
       const analytics = await CVAnalysis.getAnalytics(userId, timeframe);
 
       res.json({
@@ -341,22 +872,148 @@ class CVAnalyzerController {
   };
 
   /**
-   * Perform AI analysis (async)
+   * Get the user's AI usage and remaining quota for a month
+   * GET /api/v1/cv-analyzer/usage?month=YYYY-MM
+   */
+  getUsage = async (req, res) => {
+    try {
+      const report = await usageService.getUserReport(req.user, req.query.month);
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      if (error instanceof UsageServiceError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error("Get usage error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve usage",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+
+  /**
+   * Respond to a request that would go over the monthly AI quota
+   * @private
+   */
+  quotaExceeded(res, quota) {
+    return res.status(429).json({
+      success: false,
+      message: quota.reason,
+      data: {
+        quota: quota.quota,
+        used: quota.used,
+        resetsAt: quota.resetsAt
+      }
+    });
+  }
+
+  /**
+   * Load the user's active analysis named by req.params.analysisId, or send a 400/404
+   * @private
+   */
+  async findOwnAnalysis(req, res) {
+    const { analysisId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(analysisId)) {
+      res.status(400).json({
+        success: false,
+        message: "Invalid analysis ID format"
+      });
+      return null;
+    }
+
+    const analysis = await CVAnalysis.findOne({ _id: analysisId, userId: req.user._id, isActive: true });
+    if (!analysis) {
+      res.status(404).json({
+        success: false,
+        message: "Analysis not found"
+      });
+    }
+    return analysis;
+  }
+
+  /**
+   * Load a job posting with its company name for targetJobDescriptions
    * @private
    */
-  async performAnalysis(analysisId) {
+  async loadTargetJob(jobId) {
+    return Job.findById(jobId).populate('companyId', 'companyName');
+  }
+
+  /**
+   * Register the CV analysis queue handler, retry hook and recovery sweep
+   * @param {QueueService} [queue] - Queue service, defaults to the shared instance
+   */
+  registerQueueHandlers(queue = queueService) {
+    queue.register(QUEUES.CV_ANALYSIS, job => this.performAnalysis(job.payload.analysisId, job._id), {
+      concurrency: parseInt(process.env.CV_ANALYSIS_CONCURRENCY) || undefined,
+      onFailed: (job, error) => this.markAnalysisAsFailed(job.payload.analysisId, error.message),
+      recover: () => this.recoverOrphanedAnalyses()
+    });
+  }
+
+  /**
+   * Find analyses stuck in `processing` without a live queue job (e.g. queued by a
+   * process that crashed, or left over from before the queue existed) and settle them
+   * @private
+   */
+  async recoverOrphanedAnalyses() {
+    const staleMinutes = parseInt(process.env.CV_ANALYSIS_STALE_MINUTES) || 10;
+    const stale = await CVAnalysis.find({
+      processingStatus: 'processing',
+      updatedAt: { $lt: new Date(Date.now() - staleMinutes * 60 * 1000) }
+    }).select('_id');
+
+    for (const { _id: analysisId } of stale) {
+      const lastJob = await BackgroundJob.findOne({ queue: QUEUES.CV_ANALYSIS, 'payload.analysisId': analysisId })
+        .sort({ createdAt: -1 });
+
+      if (!lastJob) {
+        console.log(`Re-queueing orphaned analysis ${analysisId}`);
+        await queueService.enqueue(QUEUES.CV_ANALYSIS, { analysisId });
+      } else if (['failed', 'completed'].includes(lastJob.status)) {
+        // The job finished but the analysis record was never updated
+        await this.markAnalysisAsFailed(analysisId, lastJob.lastError || "Analysis did not finish");
+      }
+    }
+  }
+
+  /**
+   * Perform AI analysis. Runs on a queue worker; errors marked `retryable = false`
+   * fail the analysis straight away, others are retried with backoff.
+   * @param {ObjectId} analysisId - Analysis to run
+   * @param {ObjectId} [runId] - Queue job running it; retries share it, so usage is recorded once
+   * @private
+   */
+  async performAnalysis(analysisId, runId = null) {
+    let analysis;
     try {
       console.log(`Starting analysis for ID: ${analysisId}`);
       
-      const analysis = await CVAnalysis.findById(analysisId);
+      analysis = await CVAnalysis.findById(analysisId);
       if (!analysis) {
-        throw new Error("Analysis record not found");
+        // Deleted while queued; nothing left to do
+        console.warn(`Analysis ${analysisId} no longer exists, skipping`);
+        return;
       }
 
       console.log(`Found analysis record, file path: ${analysis.filePath}`);
 
-      // Extract text from PDF file during analysis (not during upload)
-      console.log('Starting PDF text extraction during analysis...');
+      // A retry starts the pipeline again after the upload stage
+      analysis.initializeStages();
+      analysis.processingStatus = 'processing';
+
+      // Parsing: read the PDF and pull out its text
+      await analysis.updateStage('parsing', 'in-progress');
       let extractedText;
       
       try {
@@ -366,32 +1023,34 @@ class CVAnalyzerController {
         });
         extractedText = extractionResult.text;
         console.log('PDF text extraction completed, text length:', extractedText.length);
-        
-        // Update the analysis record with extracted text
-        analysis.extractedText = extractedText;
-        await analysis.save();
-        
       } catch (extractionError) {
         console.error('PDF extraction failed during analysis:', extractionError);
-        throw new Error(`Failed to extract text from CV: ${extractionError.message}`);
+        throw this.permanentError(`Failed to extract text from CV: ${extractionError.message}`);
       }
+      await analysis.updateStage('parsing', 'completed');
 
-      // Verify we have content to analyze
+      // Extraction: check there is something to analyze and keep it on the record
+      await analysis.updateStage('extraction', 'in-progress');
       if (!extractedText || extractedText.trim().length === 0) {
-        throw new Error('No text content found in the uploaded CV');
+        throw this.permanentError('No text content found in the uploaded CV');
       }
+      analysis.extractedText = extractedText;
+      await analysis.updateStage('extraction', 'completed');
 
+      // Analysis: the AI review
       console.log('Starting OpenAI analysis with text length:', extractedText.length);
-
-      // Perform OpenAI analysis
-      const aiResult = await this.openAIService.analyzeCV(
+      await analysis.updateStage('analysis', 'in-progress');
+      const aiResult = await this.analyzer.analyzeCV(
         extractedText,
         analysis.jobData
       );
-
       console.log('OpenAI analysis completed successfully');
+      await this.recordAnalysisUsage(analysis, aiResult, runId);
+      await analysis.updateStage('analysis', 'completed');
 
-      // Update analysis with results
+      // Completion: store the results
+      await analysis.updateStage('completion', 'in-progress');
+      analysis.engine = aiResult.engine;
       analysis.overallScore = aiResult.analysis?.overallScore;
       analysis.summary = aiResult.analysis?.summary;
       if (aiResult.analysis?.sections) {
@@ -409,19 +1068,61 @@ class CVAnalyzerController {
       if (aiResult.openaiProcessing) {
         analysis.openaiProcessing = aiResult.openaiProcessing;
       }
-      analysis.processingStatus = 'completed';
 
-      await analysis.save();
+      await analysis.markAsCompleted();
 
       console.log(`Analysis completed successfully for ${analysisId}`);
 
     } catch (error) {
       console.error(`Analysis failed for ${analysisId}:`, error);
-      await this.markAnalysisAsFailed(analysisId, error.message);
+      await this.markStageAsFailed(analysis, error);
       throw error;
     }
   }
 
+  /**
+   * Add a finished analysis run to the usage ledger
+   * @private
+   */
+  async recordAnalysisUsage(analysis, aiResult, runId) {
+    const processing = aiResult.openaiProcessing || {};
+    await usageService.record('cv-analysis', { userId: analysis.userId, analysisId: analysis._id, runId }, {
+      engine: aiResult.engine,
+      provider: processing.provider,
+      model: processing.model || this.analyzer.model,
+      requestId: processing.requestId,
+      promptTokens: processing.promptTokens,
+      completionTokens: processing.completionTokens,
+      totalTokens: processing.tokensUsed,
+      cost: processing.cost
+    });
+  }
+
+  /**
+   * Record the error on the stage that was running. The analysis itself is only
+   * marked failed once the queue gives up retrying (see markAnalysisAsFailed).
+   * @private
+   */
+  async markStageAsFailed(analysis, error) {
+    const stage = analysis?.processingStages.find(s => s.status === 'in-progress');
+    if (!stage) return;
+    try {
+      await analysis.updateStage(stage.stage, 'failed', error.message);
+    } catch (updateError) {
+      console.error(`Failed to record stage failure for ${analysis._id}:`, updateError);
+    }
+  }
+
+  /**
+   * An error that retrying won't fix, such as an unreadable file
+   * @private
+   */
+  permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+
   /**
    * Mark analysis as failed
    * @private
@@ -429,15 +1130,18 @@ class CVAnalyzerController {
   async markAnalysisAsFailed(analysisId, errorMessage) {
     try {
       console.log(`Marking analysis ${analysisId} as failed with error: ${errorMessage}`);
-      await CVAnalysis.findByIdAndUpdate(analysisId, {
-        processingStatus: 'failed',
-        errorMessage: errorMessage
-      });
+      const analysis = await CVAnalysis.findById(analysisId);
+      if (!analysis) return;
+
+      await analysis.markAsFailed(errorMessage);
       console.log(`Analysis ${analysisId} marked as failed`);
+
+      eventService.publish(EVENTS.CV_ANALYSIS_FAILED, { analysis });
     } catch (updateError) {
       console.error(`Failed to update analysis status for ${analysisId}:`, updateError);
     }
   }
+
 }
 
 export default new CVAnalyzerController();
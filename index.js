@@ -1,8 +1,7 @@
+import "dotenv/config";
 import mongoose from "mongoose";
 import app from "./app.js";
-import dotenv from "dotenv";
-
-dotenv.config();
+import queueService from "./services/queue.service.js";
 
 mongoose
   .connect(process.env.MONGODB_URI)
@@ -12,6 +11,11 @@ mongoose
     app.listen(PORT, () => {
       console.log(`server is running on port ${PORT}`);
     });
+
+    // Set QUEUE_WORKER_MODE=external when background jobs run in `npm run worker`
+    if (process.env.QUEUE_WORKER_MODE !== "external") {
+      queueService.start();
+    }
   })
   .catch((e) => {
     console.log("error: ", e.message);
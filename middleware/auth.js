@@ -1,6 +1,17 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
 import Company from "../models/company.model.js";
+import Admin from "../models/admin.model.js";
+import tokenService from "../services/token.service.js";
+
+// Reject tokens whose session has been revoked. Tokens without a session id
+// predate refresh tokens and are checked against the account's invalidation time.
+const isSessionRevoked = async (decoded, account) => {
+  if (decoded.sid) {
+    return !(await tokenService.isSessionActive(decoded.sid));
+  }
+  return account.isTokenInvalidated(decoded.iat);
+};
 
 // Middleware to authenticate users
 export const authenticateUser = async (req, res, next) => {
@@ -27,7 +38,12 @@ export const authenticateUser = async (req, res, next) => {
       return res.status(401).json({ message: "Account is deactivated." });
     }
 
+    if (await isSessionRevoked(decoded, user)) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ message: "Invalid token." });
@@ -55,7 +71,45 @@ export const authenticateCompany = async (req, res, next) => {
       return res.status(401).json({ message: "Invalid token. Company not found." });
     }
 
+    if (await isSessionRevoked(decoded, company)) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
     req.company = company;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: "Invalid token." });
+  }
+};
+
+// Middleware to authenticate admins. Admin tokens are always bound to a session.
+export const authenticateAdmin = async (req, res, next) => {
+  try {
+    const token = req.header("Authorization")?.replace("Bearer ", "") || 
+                  req.cookies.token;
+
+    if (!token) {
+      return res.status(401).json({ message: "Access denied. No token provided." });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== "admin") {
+      return res.status(403).json({ message: "Access denied. Invalid token type." });
+    }
+
+    if (!decoded.sid || !(await tokenService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    const admin = await Admin.findById(decoded.adminId);
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ message: "Invalid token or deactivated account." });
+    }
+
+    req.admin = admin;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ message: "Invalid token." });
@@ -79,6 +133,9 @@ export const authenticateAny = async (req, res, next) => {
       if (!user || !user.isActive) {
         return res.status(401).json({ message: "Invalid token or deactivated account." });
       }
+      if (await isSessionRevoked(decoded, user)) {
+        return res.status(401).json({ message: "Session expired. Please log in again." });
+      }
       req.user = user;
       req.userType = "user";
     } else if (decoded.type === "company") {
@@ -86,12 +143,18 @@ export const authenticateAny = async (req, res, next) => {
       if (!company) {
         return res.status(401).json({ message: "Invalid token. Company not found." });
       }
+      if (await isSessionRevoked(decoded, company)) {
+        return res.status(401).json({ message: "Session expired. Please log in again." });
+      }
       req.company = company;
       req.userType = "company";
     } else {
       return res.status(403).json({ message: "Access denied. Invalid token type." });
     }
 
+    req.sessionId = decoded.sid;
+    // Lets long-lived responses such as the realtime stream end with the token
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
     next();
   } catch (error) {
     res.status(401).json({ message: "Invalid token." });
@@ -112,13 +175,13 @@ export const optionalAuth = async (req, res, next) => {
     
     if (decoded.type === "user") {
       const user = await User.findById(decoded.userId).select("-password");
-      if (user && user.isActive) {
+      if (user && user.isActive && !(await isSessionRevoked(decoded, user))) {
         req.user = user;
         req.userType = "user";
       }
     } else if (decoded.type === "company") {
       const company = await Company.findById(decoded.companyId).select("-password");
-      if (company) {
+      if (company && !(await isSessionRevoked(decoded, company))) {
         req.company = company;
         req.userType = "company";
       }
@@ -130,3 +193,51 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Actions that require a verified email, configured as a comma-separated list
+// in EMAIL_VERIFICATION_REQUIRED_FOR (e.g. "apply,post-job"); "none" disables the policy
+const getVerificationRequiredActions = () => {
+  const setting = process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? "apply,post-job";
+  if (setting.trim() === "none") return [];
+  return setting.split(",").map(action => action.trim()).filter(Boolean);
+};
+
+// Block unverified accounts from the given action. Must run after an authenticate* middleware.
+export const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!getVerificationRequiredActions().includes(action)) {
+    return next();
+  }
+
+  const account = req.user || req.company;
+  if (!account) {
+    return res.status(401).json({ message: "Access denied. No token provided." });
+  }
+
+  if (!account.emailVerified) {
+    return res.status(403).json({
+      message: "Please verify your email address before continuing.",
+      code: "EMAIL_NOT_VERIFIED",
+      action
+    });
+  }
+
+  next();
+};
+
+// Only companies whose credentials were approved by an admin may continue.
+// Must run after authenticateCompany.
+export const requireVerifiedCompany = (req, res, next) => {
+  if (!req.company) {
+    return res.status(401).json({ message: "Access denied. No token provided." });
+  }
+
+  if (req.company.credentialStatus !== "approved") {
+    return res.status(403).json({
+      message: "Your company must be verified before publishing jobs. Please submit your credential documents for review.",
+      code: "COMPANY_NOT_VERIFIED",
+      credentialStatus: req.company.credentialStatus
+    });
+  }
+
+  next();
+};
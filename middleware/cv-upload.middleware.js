@@ -198,6 +198,14 @@ export const validateCVUploadRequest = (req, res, next) => {
     });
   }
   
+  if (req.body.parentAnalysisId && !req.body.parentAnalysisId.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid parent analysis ID format',
+      field: 'parentAnalysisId'
+    });
+  }
+  
   next();
 };
 
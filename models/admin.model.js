@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+
+const adminSchema = new mongoose.Schema({
+    fullName: {
+        type: String,
+        required: [true, "Full name is required"],
+        trim: true,
+        maxlength: [100, "Full name cannot exceed 100 characters"],
+    },
+    email: {
+        type: String,
+        required: [true, "Email is required"],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [
+            /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+            "Please enter a valid email",
+        ],
+    },
+    password: {
+        type: String,
+        required: [true, "Password is required"],
+        minlength: [8, "Password must be at least 8 characters"],
+        select: false,
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    lastLogin: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+// Hash password before saving
+adminSchema.pre("save", async function(next) {
+    if (!this.isModified("password")) return next();
+
+    try {
+        this.password = await bcrypt.hash(this.password, 12);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Compare password method
+adminSchema.methods.matchPassword = async function(enteredPassword) {
+    return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// Update last login
+adminSchema.methods.updateLastLogin = function() {
+    this.lastLogin = new Date();
+    return this.save({ validateBeforeSave: false });
+};
+
+export default mongoose.model("Admin", adminSchema);
@@ -1,4 +1,69 @@
 import mongoose from "mongoose";
+import eventService, { EVENTS } from "../services/event.service.js";
+
+// A single interview round; companies propose slots and the candidate picks one
+const interviewRoundSchema = new mongoose.Schema({
+    round: {
+        type: Number,
+        required: true,
+        min: [1, 'Round must be at least 1']
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Interview title cannot exceed 200 characters']
+    },
+    type: {
+        type: String,
+        enum: ['phone', 'video', 'onsite', 'online'],
+        default: 'onsite'
+    },
+    location: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Interview location cannot exceed 500 characters']
+    },
+    interviewers: [{
+        type: String,
+        trim: true,
+        maxlength: [100, 'Interviewer name cannot exceed 100 characters']
+    }],
+    proposedSlots: [{
+        start: {
+            type: Date,
+            required: true
+        },
+        end: {
+            type: Date,
+            required: true
+        }
+    }],
+    scheduledStart: {
+        type: Date
+    },
+    scheduledEnd: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: ['proposed', 'scheduled', 'reschedule-requested', 'completed', 'cancelled'],
+        default: 'proposed'
+    },
+    notes: {
+        type: String,
+        maxlength: [1000, 'Interview notes cannot exceed 1000 characters']
+    },
+    rescheduleReason: {
+        type: String,
+        maxlength: [500, 'Reschedule reason cannot exceed 500 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company'
+    }
+}, {
+    timestamps: true
+});
 
 const applicationSchema = new mongoose.Schema({
     userId: {
@@ -106,8 +171,23 @@ const applicationSchema = new mongoose.Schema({
         },
         updatedBy: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: 'Company'
-        }
+            refPath: 'statusHistory.updatedByType'
+        },
+        updatedByType: {
+            type: String,
+            enum: ['Company', 'User', 'Admin'],
+            default: 'Company'
+        },
+        // Field-level changes made by the candidate when editing the application
+        changes: [{
+            _id: false,
+            field: {
+                type: String,
+                required: true
+            },
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed
+        }]
     }],
     companyNotes: [{
         note: {
@@ -143,6 +223,7 @@ const applicationSchema = new mongoose.Schema({
             maxlength: [1000, 'Interview notes cannot exceed 1000 characters']
         }
     },
+    interviews: [interviewRoundSchema],
     expectedSalary: {
         amount: {
             type: Number,
@@ -177,7 +258,62 @@ const applicationSchema = new mongoose.Schema({
             enum: ['portfolio', 'certificate', 'recommendation', 'other'],
             default: 'other'
         }
-    }]
+    }],
+    // AI screening of the resume against the job. Advisory only: companies decide,
+    // and anything the model was unsure about is flagged for a human to review.
+    screening: {
+        status: {
+            type: String,
+            enum: ['not-screened', 'pending', 'processing', 'completed', 'failed', 'skipped', 'opted-out'],
+            default: 'not-screened'
+        },
+        fitScore: {
+            type: Number,
+            min: [0, 'Fit score cannot be negative'],
+            max: [100, 'Fit score cannot exceed 100']
+        },
+        rationale: {
+            type: String,
+            maxlength: [2000, 'Screening rationale cannot exceed 2000 characters']
+        },
+        matchingSkills: [{
+            type: String,
+            trim: true
+        }],
+        missingSkills: [{
+            type: String,
+            trim: true
+        }],
+        confidence: {
+            type: String,
+            enum: ['low', 'medium', 'high']
+        },
+        needsHumanReview: {
+            type: Boolean,
+            default: false
+        },
+        reviewReason: {
+            type: String,
+            maxlength: [500, 'Review reason cannot exceed 500 characters']
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Company'
+        },
+        reviewedAt: {
+            type: Date
+        },
+        model: {
+            type: String
+        },
+        error: {
+            type: String,
+            maxlength: [500, 'Screening error cannot exceed 500 characters']
+        },
+        screenedAt: {
+            type: Date
+        }
+    }
 }, {
     timestamps: true
 });
@@ -190,6 +326,8 @@ applicationSchema.index({ status: 1 });
 applicationSchema.index({ applicationDate: -1 });
 applicationSchema.index({ jobId: 1, status: 1 });
 applicationSchema.index({ userId: 1, status: 1 });
+applicationSchema.index({ 'interviews.status': 1, 'interviews.scheduledStart': 1 });
+applicationSchema.index({ jobId: 1, 'screening.fitScore': -1 });
 
 // Virtual to populate job and user details
 applicationSchema.virtual('job', {
@@ -206,24 +344,180 @@ applicationSchema.virtual('user', {
     justOne: true
 });
 
+// Status transition graph: status -> statuses it may move to, and who may move it there.
+// Edges out of a terminal state are ignored (see getTerminalStatuses).
+const STATUS_TRANSITIONS = {
+    pending: { Company: ['reviewing', 'shortlisted', 'rejected'], User: ['withdrawn'] },
+    reviewing: { Company: ['shortlisted', 'interview', 'rejected'], User: ['withdrawn'] },
+    shortlisted: { Company: ['interview', 'offered', 'rejected'], User: ['withdrawn'] },
+    interview: { Company: ['shortlisted', 'offered', 'rejected'], User: ['withdrawn'] },
+    offered: { Company: ['rejected'], User: ['withdrawn'] },
+    // Only reachable when `rejected` is configured as non-terminal
+    rejected: { Company: ['reviewing'], User: [] },
+    withdrawn: { Company: [], User: [] }
+};
+
+// Statuses with no way out, configurable through APPLICATION_TERMINAL_STATUSES
+applicationSchema.statics.getTerminalStatuses = function() {
+    const configured = process.env.APPLICATION_TERMINAL_STATUSES || 'rejected,withdrawn';
+    return configured.split(',').map(status => status.trim()).filter(Boolean);
+};
+
+// Statuses an actor ('Company' or 'User') may move an application to from the given status
+applicationSchema.statics.getAllowedTransitions = function(fromStatus, actorType = 'Company') {
+    if (this.getTerminalStatuses().includes(fromStatus)) {
+        return [];
+    }
+    return STATUS_TRANSITIONS[fromStatus]?.[actorType] || [];
+};
+
+// Method to get the statuses this application may move to next
+applicationSchema.methods.getAllowedTransitions = function(actorType = 'Company') {
+    return this.constructor.getAllowedTransitions(this.status, actorType);
+};
+
+// Method to check a single transition
+applicationSchema.methods.canTransitionTo = function(newStatus, actorType = 'Company') {
+    return this.getAllowedTransitions(actorType).includes(newStatus);
+};
+
+// Fields a candidate may change while the application is editable
+applicationSchema.statics.CANDIDATE_EDITABLE_FIELDS = ['coverLetter', 'personalStatement', 'expectedSalary', 'resume'];
+
 // Method to update application status
-applicationSchema.methods.updateStatus = function(newStatus, note = '', updatedBy = null) {
+// `message` is a note for the candidate that goes out with the status notification.
+applicationSchema.methods.updateStatus = async function(newStatus, note = '', updatedBy = null, updatedByType = 'Company', { session = null, message = null } = {}) {
+    if (!this.canTransitionTo(newStatus, updatedByType)) {
+        throw new Error(`Cannot change application status from ${this.status} to ${newStatus}`);
+    }
+
+    const previousStatus = this.status;
     this.status = newStatus;
+    if (this.constructor.getTerminalStatuses().includes(newStatus)) {
+        // Closed applications must not keep interview slots booked
+        this.cancelOpenInterviews();
+    }
     this.statusHistory.push({
         status: newStatus,
         note,
-        updatedBy
+        updatedBy,
+        updatedByType
     });
+    await this.save({ session });
+
+    const event = { application: this, from: previousStatus, to: newStatus, note, message, updatedBy, updatedByType };
+    if (session) {
+        // Inside a transaction: publish once the caller has committed
+        this.$locals.pendingEvents = [...(this.$locals.pendingEvents || []), event];
+    } else {
+        eventService.publish(EVENTS.APPLICATION_STATUS_CHANGED, event);
+    }
+    return this;
+};
+
+// Method to publish status changes made inside a committed transaction
+applicationSchema.methods.publishPendingEvents = function() {
+    for (const event of this.$locals.pendingEvents || []) {
+        eventService.publish(EVENTS.APPLICATION_STATUS_CHANGED, event);
+    }
+    this.$locals.pendingEvents = [];
+};
+
+// Method to check if the candidate can still withdraw
+applicationSchema.methods.isWithdrawable = function() {
+    return this.canTransitionTo('withdrawn', 'User');
+};
+
+// Method for the candidate to withdraw the application
+applicationSchema.methods.withdraw = function(userId, reason = '') {
+    return this.updateStatus('withdrawn', reason || 'Withdrawn by candidate', userId, 'User');
+};
+
+// Method for the candidate to edit the application; returns the recorded changes
+applicationSchema.methods.applyCandidateEdits = async function(updates, userId) {
+    const changes = [];
+
+    for (const field of this.constructor.CANDIDATE_EDITABLE_FIELDS) {
+        if (updates[field] === undefined) continue;
+
+        const current = this.get(field);
+        const before = current?.toObject ? current.toObject() : current;
+        // Partial salary updates keep the remaining sub-fields
+        const value = field === 'expectedSalary' ? { ...before, ...updates[field] } : updates[field];
+        this.set(field, value);
+        const updated = this.get(field);
+        const after = updated?.toObject ? updated.toObject() : updated;
+
+        if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+            changes.push({ field, from: before ?? null, to: after ?? null });
+        }
+    }
+
+    if (changes.length) {
+        this.statusHistory.push({
+            status: this.status,
+            note: `Application updated by candidate: ${changes.map(change => change.field).join(', ')}`,
+            updatedBy: userId,
+            updatedByType: 'User',
+            changes
+        });
+        await this.save();
+    }
+
+    return changes;
+};
+
+// Screening results that are cleared when the candidate opts out
+const SCREENING_RESULT_FIELDS = ['fitScore', 'rationale', 'confidence', 'model', 'error', 'screenedAt'];
+
+// Method for the candidate to opt this application out of AI screening
+applicationSchema.methods.optOutOfScreening = function() {
+    for (const field of SCREENING_RESULT_FIELDS) {
+        this.set(`screening.${field}`, undefined);
+    }
+    this.screening.matchingSkills = [];
+    this.screening.missingSkills = [];
+    this.screening.status = 'opted-out';
+    this.screening.needsHumanReview = false;
+    this.screening.reviewReason = undefined;
     return this.save();
 };
 
+// Method for the company to set or clear the human-review flag
+applicationSchema.methods.setScreeningReview = function(needsHumanReview, reason, companyId) {
+    this.screening.needsHumanReview = needsHumanReview;
+    this.screening.reviewReason = reason || undefined;
+    this.screening.reviewedBy = companyId;
+    this.screening.reviewedAt = new Date();
+    return this.save();
+};
+
+// Atomically store screening fields unless the candidate opted out in the meantime.
+// Undefined values are removed; `filter` adds conditions, e.g. the resume that was screened.
+applicationSchema.statics.recordScreening = function(applicationId, screening, filter = {}) {
+    const set = {};
+    const unset = {};
+    for (const [field, value] of Object.entries(screening)) {
+        if (value === undefined) {
+            unset[`screening.${field}`] = 1;
+        } else {
+            set[`screening.${field}`] = value;
+        }
+    }
+    const update = { $set: set };
+    if (Object.keys(unset).length) {
+        update.$unset = unset;
+    }
+    return this.updateOne({ ...filter, _id: applicationId, 'screening.status': { $ne: 'opted-out' } }, update);
+};
+
 // Method to add company note
-applicationSchema.methods.addCompanyNote = function(note, createdBy) {
+applicationSchema.methods.addCompanyNote = function(note, createdBy, { session = null } = {}) {
     this.companyNotes.push({
         note,
         createdBy
     });
-    return this.save();
+    return this.save({ session });
 };
 
 // Method to check if application is editable
@@ -231,6 +525,99 @@ applicationSchema.methods.isEditable = function() {
     return ['pending', 'reviewing'].includes(this.status);
 };
 
+// Method to propose a new interview round
+applicationSchema.methods.addInterviewRound = function({ title, type, location, interviewers = [], slots, notes }, createdBy) {
+    const round = this.interviews.length + 1;
+    this.interviews.push({
+        round,
+        title: title || `Interview round ${round}`,
+        type,
+        location,
+        interviewers,
+        proposedSlots: slots,
+        notes,
+        createdBy
+    });
+    return this.interviews[this.interviews.length - 1];
+};
+
+// Method for the candidate to accept one of the proposed slots
+applicationSchema.methods.scheduleInterview = function(interview, slot) {
+    interview.scheduledStart = slot.start;
+    interview.scheduledEnd = slot.end;
+    interview.status = 'scheduled';
+    interview.rescheduleReason = undefined;
+
+    // Keep the summary field in sync with the latest scheduled round
+    this.interviewDetails = {
+        scheduledDate: slot.start,
+        location: interview.location,
+        type: interview.type,
+        notes: interview.notes
+    };
+    return this.save();
+};
+
+// Method to cancel every interview round that hasn't happened yet
+applicationSchema.methods.cancelOpenInterviews = function() {
+    for (const interview of this.interviews) {
+        if (['proposed', 'scheduled', 'reschedule-requested'].includes(interview.status)) {
+            interview.status = 'cancelled';
+        }
+    }
+};
+
+// Method to check whether the application is closed (rejected, withdrawn, ...)
+applicationSchema.methods.isTerminal = function() {
+    return this.constructor.getTerminalStatuses().includes(this.status);
+};
+
+// Find scheduled interviews of a company that overlap any of the given slots.
+// Rounds conflict when they share an interviewer, or when either lists no interviewers.
+applicationSchema.statics.findInterviewConflicts = async function(companyId, slots, interviewers = [], excludeInterviewId = null) {
+    const jobIds = await mongoose.model('Job').find({ companyId }).distinct('_id');
+    const earliest = new Date(Math.min(...slots.map(slot => new Date(slot.start))));
+    const latest = new Date(Math.max(...slots.map(slot => new Date(slot.end))));
+
+    const applications = await this.find({
+        jobId: { $in: jobIds },
+        status: { $nin: this.getTerminalStatuses() },
+        interviews: {
+            $elemMatch: {
+                status: 'scheduled',
+                scheduledStart: { $lt: latest },
+                scheduledEnd: { $gt: earliest }
+            }
+        }
+    }).select('fullName jobId interviews');
+
+    const conflicts = [];
+    for (const application of applications) {
+        for (const interview of application.interviews) {
+            if (interview.status !== 'scheduled') continue;
+            if (excludeInterviewId && interview._id.equals(excludeInterviewId)) continue;
+
+            const sharesInterviewer = !interviewers.length || !interview.interviewers.length ||
+                interview.interviewers.some(name => interviewers.includes(name));
+            const overlaps = slots.some(slot =>
+                new Date(slot.start) < interview.scheduledEnd && new Date(slot.end) > interview.scheduledStart
+            );
+
+            if (sharesInterviewer && overlaps) {
+                conflicts.push({
+                    applicationId: application._id,
+                    interviewId: interview._id,
+                    candidateName: application.fullName,
+                    start: interview.scheduledStart,
+                    end: interview.scheduledEnd,
+                    interviewers: interview.interviewers
+                });
+            }
+        }
+    }
+    return conflicts;
+};
+
 // Pre-save middleware to add initial status to history
 applicationSchema.pre('save', function(next) {
     if (this.isNew) {
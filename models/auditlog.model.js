@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+// Append-only record of who changed what and when
+const auditLogSchema = new mongoose.Schema({
+    actorType: {
+        type: String,
+        enum: ["user", "company", "admin", "system"],
+        required: [true, "Actor type is required"],
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+    },
+    actorName: {
+        type: String,
+        trim: true,
+        maxlength: [200, "Actor name cannot exceed 200 characters"],
+    },
+    action: {
+        type: String,
+        required: [true, "Action is required"],
+        trim: true,
+        maxlength: [100, "Action cannot exceed 100 characters"],
+    },
+    targetType: {
+        type: String,
+        required: [true, "Target type is required"],
+        trim: true,
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Target ID is required"],
+    },
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true,
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+    }],
+    ipAddress: {
+        type: String,
+        trim: true,
+    },
+    userAgent: {
+        type: String,
+        maxlength: [500, "User agent cannot exceed 500 characters"],
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorType: 1, actorId: 1, createdAt: -1 });
+
+// Audit entries are never edited after they are written
+auditLogSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function(next) {
+    next(new Error("Audit log entries are immutable"));
+});
+
+// Build the list of changed fields between two plain objects
+auditLogSchema.statics.diff = function(before, after, fields) {
+    return fields
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+// Record an action, taking client metadata from the request when given
+auditLogSchema.statics.record = function({ actorType, actorId, actorName, action, targetType, targetId, changes = [], req = null }) {
+    return this.create({
+        actorType,
+        actorId,
+        actorName,
+        action,
+        targetType,
+        targetId,
+        changes,
+        ipAddress: req?.ip,
+        userAgent: req?.get?.("User-Agent")?.substring(0, 500),
+    });
+};
+
+// Get the history of a single document
+auditLogSchema.statics.getHistory = function(targetType, targetId, { page = 1, limit = 20 } = {}) {
+    return this.find({ targetType, targetId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+};
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,147 @@
+import mongoose from "mongoose";
+
+// A unit of work in a MongoDB-backed queue. Workers claim a job by taking its lock;
+// a lock that isn't renewed before `lockedUntil` makes the job claimable again.
+const backgroundJobSchema = new mongoose.Schema({
+    queue: {
+        type: String,
+        required: [true, "Queue name is required"],
+        trim: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    status: {
+        type: String,
+        enum: ["queued", "running", "completed", "failed"],
+        default: "queued",
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3,
+        min: [1, "A job needs at least one attempt"],
+    },
+    // Not claimable before this time; pushed back after each failed attempt
+    runAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lockedBy: {
+        type: String,
+    },
+    lockedUntil: {
+        type: Date,
+    },
+    lastError: {
+        type: String,
+        maxlength: [2000, "Error message cannot exceed 2000 characters"],
+    },
+    startedAt: {
+        type: Date,
+    },
+    finishedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+backgroundJobSchema.index({ queue: 1, status: 1, runAt: 1 });
+backgroundJobSchema.index({ queue: 1, status: 1, lockedUntil: 1 });
+// Keep finished jobs around for a week for troubleshooting
+backgroundJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Add a job to a queue
+backgroundJobSchema.statics.enqueue = function(queue, payload = {}, { maxAttempts, runAt } = {}) {
+    return this.create({ queue, payload, maxAttempts, runAt });
+};
+
+// Atomically claim the next due job, including running jobs whose lock has expired
+backgroundJobSchema.statics.claimNext = function(queue, workerId, visibilityTimeoutMs) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            queue,
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                { status: "running", lockedUntil: { $lte: now } },
+            ],
+        },
+        {
+            $set: {
+                status: "running",
+                lockedBy: workerId,
+                lockedUntil: new Date(now.getTime() + visibilityTimeoutMs),
+                startedAt: now,
+            },
+            $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+// Whether a job for this queue and payload match is still waiting or running
+backgroundJobSchema.statics.hasActive = async function(queue, payloadQuery) {
+    const query = { queue, status: { $in: ["queued", "running"] } };
+    for (const [key, value] of Object.entries(payloadQuery)) {
+        query[`payload.${key}`] = value;
+    }
+    return !!(await this.exists(query));
+};
+
+// Push the lock forward while the job is still being worked on.
+// Resolves to false when another worker has taken the job over.
+backgroundJobSchema.methods.extendLock = async function(visibilityTimeoutMs) {
+    const lockedUntil = new Date(Date.now() + visibilityTimeoutMs);
+    const result = await this.constructor.updateOne(
+        { _id: this._id, lockedBy: this.lockedBy, status: "running" },
+        { lockedUntil }
+    );
+    if (result.modifiedCount === 1) {
+        this.lockedUntil = lockedUntil;
+        return true;
+    }
+    return false;
+};
+
+// Whether a failure now should be final
+backgroundJobSchema.methods.isFinalAttempt = function() {
+    return this.attempts >= this.maxAttempts;
+};
+
+// Mark the job done, as long as this worker still holds the lock
+backgroundJobSchema.methods.complete = function() {
+    return this.constructor.updateOne(
+        { _id: this._id, lockedBy: this.lockedBy },
+        {
+            status: "completed",
+            finishedAt: new Date(),
+            $unset: { lockedBy: 1, lockedUntil: 1 },
+        }
+    );
+};
+
+// Record a failed attempt; retry after `retryDelayMs` or give up when `retry` is false
+backgroundJobSchema.methods.fail = function(error, { retry = true, retryDelayMs = 0 } = {}) {
+    const update = {
+        lastError: String(error?.message || error).substring(0, 2000),
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+    };
+
+    if (retry) {
+        update.status = "queued";
+        update.runAt = new Date(Date.now() + retryDelayMs);
+    } else {
+        update.status = "failed";
+        update.finishedAt = new Date();
+    }
+
+    return this.constructor.updateOne({ _id: this._id, lockedBy: this.lockedBy }, update);
+};
+
+export default mongoose.model("BackgroundJob", backgroundJobSchema);
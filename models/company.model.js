@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 
 // Add lastLogin field to schema
 const companySchema = new mongoose.Schema({
@@ -57,14 +58,60 @@ const companySchema = new mongoose.Schema({
     lastLogin: {
         type: Date,
     },
-    // credentialFile: String,
-    // credentialStatus: {
-    //   type: String,
-    // ,
-    //   default: "pending",
-    // },
-    // credentialReviewDate: Date,
-    // adminNotes: String,
+    preferredLanguage: {
+        type: String,
+        enum: ["en", "id"],
+        default: "en",
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerificationToken: {
+        type: String,
+    },
+    emailVerificationExpire: {
+        type: Date,
+    },
+    passwordResetToken: {
+        type: String,
+    },
+    passwordResetExpire: {
+        type: Date,
+    },
+    sessionsInvalidatedAt: {
+        type: Date,
+    },
+    credentialFile: {
+        type: String,
+    },
+    credentialOriginalName: {
+        type: String,
+        trim: true,
+        maxlength: [255, "Filename cannot exceed 255 characters"],
+    },
+    credentialSubmittedAt: {
+        type: Date,
+    },
+    credentialStatus: {
+        type: String,
+        enum: ["not-submitted", "pending", "approved", "rejected", "resubmission-requested"],
+        default: "not-submitted",
+    },
+    credentialReviewDate: Date,
+    credentialReviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Admin",
+    },
+    adminNotes: {
+        type: String,
+        maxlength: [1000, "Admin notes cannot exceed 1000 characters"],
+    },
+    // Public "verified" badge, kept in sync with credentialStatus
+    isVerified: {
+        type: Boolean,
+        default: false,
+    },
     // ===============================================
     // socialMedia: {
     //   linkedin: {
@@ -88,6 +135,8 @@ const companySchema = new mongoose.Schema({
     timestamps: true,
 });
 
+companySchema.index({ credentialStatus: 1, credentialSubmittedAt: 1 });
+
 // Virtual for getting posted jobs count
 companySchema.virtual("jobsCount", {
     ref: "Job",
@@ -96,6 +145,12 @@ companySchema.virtual("jobsCount", {
     count: true,
 });
 
+// Keep the verified badge in sync with the credential review outcome
+companySchema.pre("save", function(next) {
+    this.isVerified = this.credentialStatus === "approved";
+    next();
+});
+
 // Hash password before saving
 companySchema.pre("save", async function(next) {
     // Only hash the password if it has been modified (or is new)
@@ -122,4 +177,90 @@ companySchema.methods.updateLastLogin = function() {
     return this.save({ validateBeforeSave: false });
 };
 
+// Attach a newly uploaded credential document and put it back in the review queue
+companySchema.methods.submitCredential = function(file) {
+    this.credentialFile = file.path;
+    this.credentialOriginalName = file.originalname;
+    this.credentialSubmittedAt = new Date();
+    this.credentialStatus = "pending";
+    return this.save({ validateBeforeSave: false });
+};
+
+// Record an admin review decision
+companySchema.methods.reviewCredential = function(status, adminId, notes = "") {
+    this.credentialStatus = status;
+    this.credentialReviewDate = new Date();
+    this.credentialReviewedBy = adminId;
+    this.adminNotes = notes;
+    return this.save({ validateBeforeSave: false });
+};
+
+// Projection for public company responses (no secrets or review internals)
+companySchema.statics.publicFields = function() {
+    return "-password -passwordResetToken -passwordResetExpire -emailVerificationToken -emailVerificationExpire -sessionsInvalidatedAt -credentialFile -credentialOriginalName -credentialReviewedBy -adminNotes";
+};
+
+// Generate a single-use password reset token; only its hash is stored
+companySchema.methods.createPasswordResetToken = function() {
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    this.passwordResetToken = crypto.createHash("sha256").update(resetToken).digest("hex");
+    this.passwordResetExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+    return resetToken;
+};
+
+// Set a new password, consume the reset token and invalidate existing sessions
+companySchema.methods.resetPassword = function(newPassword) {
+    this.password = newPassword;
+    this.passwordResetToken = undefined;
+    this.passwordResetExpire = undefined;
+    this.sessionsInvalidatedAt = new Date();
+    return this.save();
+};
+
+// Check whether a token issued at `issuedAt` (JWT iat, in seconds) predates a session invalidation
+companySchema.methods.isTokenInvalidated = function(issuedAt) {
+    if (!this.sessionsInvalidatedAt) return false;
+    return issuedAt < Math.floor(this.sessionsInvalidatedAt.getTime() / 1000);
+};
+
+// Generate an email verification token; only its hash is stored
+companySchema.methods.createEmailVerificationToken = function() {
+    const verificationToken = crypto.randomBytes(32).toString("hex");
+    const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+    this.emailVerificationToken = crypto.createHash("sha256").update(verificationToken).digest("hex");
+    this.emailVerificationExpire = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+    return verificationToken;
+};
+
+// Mark the email as verified and consume the verification token
+companySchema.methods.markEmailVerified = function() {
+    this.emailVerified = true;
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpire = undefined;
+    return this.save({ validateBeforeSave: false });
+};
+
+// Find the company owning an unexpired email verification token
+companySchema.statics.findByEmailVerificationToken = function(token) {
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+    return this.findOne({
+        emailVerificationToken: hashedToken,
+        emailVerificationExpire: { $gt: new Date() },
+    });
+};
+
+// Find the company owning an unexpired password reset token
+companySchema.statics.findByPasswordResetToken = function(token) {
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+    return this.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpire: { $gt: new Date() },
+    });
+};
+
 export default mongoose.model("Company", companySchema);
\ No newline at end of file
@@ -1,5 +1,30 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import eventService, { EVENTS } from "../services/event.service.js";
+
+// Pipeline stages in order, with their share of the progress percentage
+const STAGE_WEIGHTS = {
+  upload: 10,
+  parsing: 15,
+  extraction: 10,
+  analysis: 55,
+  completion: 10
+};
+const PROCESSING_STAGES = Object.keys(STAGE_WEIGHTS);
+
+// Analytics windows in days
+const ANALYTICS_TIMEFRAMES = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365
+};
+const ANALYSIS_SECTIONS = ['atsCompatibility', 'skillsAlignment', 'experienceRelevance', 'achievementQuantification', 'marketPositioning'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What users can do with a recommendation, and how they can rate it
+const RECOMMENDATION_STATUSES = ['implemented', 'dismissed'];
+const RECOMMENDATION_FEEDBACK = ['helpful', 'somewhat-helpful', 'not-helpful'];
 
 const cvAnalysisSchema = new mongoose.Schema({
   userId: {
@@ -74,9 +99,19 @@ const cvAnalysisSchema = new mongoose.Schema({
       requirements: [{
         type: String,
         trim: true
+      }],
+      skills: [{
+        type: String,
+        trim: true
       }]
     }]
   },
+
+  // JobHive posting the CV was scored against (mapped into jobData.targetJobDescriptions)
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
   
   // Analysis Results (populated after AI analysis)
   overallScore: {
@@ -162,11 +197,11 @@ const cvAnalysisSchema = new mongoose.Schema({
     maxlength: [500, 'Error message cannot exceed 500 characters']
   },
   
-  // Processing stages (optional detailed tracking)
+  // Processing stages, in pipeline order
   processingStages: [{
     stage: {
       type: String,
-      enum: ['upload', 'parsing', 'extraction', 'analysis', 'completion']
+      enum: PROCESSING_STAGES
     },
     status: {
       type: String,
@@ -175,11 +210,27 @@ const cvAnalysisSchema = new mongoose.Schema({
     },
     startTime: Date,
     endTime: Date,
+    durationMs: Number,
     error: String
   }],
   
+  // Engine that produced the results: OpenAI or the offline rule-based analyzer
+  engine: {
+    type: String,
+    enum: ['openai', 'heuristic']
+  },
+  
   // OpenAI Processing Details
   openaiProcessing: {
+    // LLM provider the request went through (openai, openai-compatible, fixture)
+    provider: {
+      type: String,
+      trim: true
+    },
+    requestId: {
+      type: String,
+      trim: true
+    },
     model: {
       type: String,
       default: 'gpt-4'
@@ -195,7 +246,9 @@ const cvAnalysisSchema = new mongoose.Schema({
     cost: {
       type: Number, // in USD
       min: [0, 'Cost cannot be negative']
-    }
+    },
+    requestTimestamp: Date,
+    responseTimestamp: Date
   },
   
   // Analytics & Tracking
@@ -214,25 +267,42 @@ const cvAnalysisSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // What the user did with each recommendation and how useful they found it. A reanalysis
+    // replaces the recommendations, so it moves these entries into the snapshot of the old run.
     improvementsImplemented: [{
       recommendationId: mongoose.Schema.Types.ObjectId,
-      implementedAt: {
-        type: Date,
-        default: Date.now
+      category: String,
+      priority: String,
+      status: {
+        type: String,
+        enum: RECOMMENDATION_STATUSES
       },
+      implementedAt: Date,
+      dismissedAt: Date,
       userFeedback: {
         type: String,
-        enum: ['helpful', 'somewhat-helpful', 'not-helpful']
+        enum: RECOMMENDATION_FEEDBACK
       }
     }]
   },
   
-  // Version Control
+  // Version Control: uploads of an edited CV name the analysis they revise. Every
+  // analysis in a lineage shares the first one's ID as rootAnalysisId (unset on the root).
   version: {
     type: Number,
     default: 1,
     min: [1, 'Version must be at least 1']
   },
+
+  parentAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CVAnalysis'
+  },
+
+  rootAnalysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CVAnalysis'
+  },
   
   // Soft Delete
   isActive: {
@@ -250,11 +320,13 @@ const cvAnalysisSchema = new mongoose.Schema({
 
 // Indexes for performance optimization
 cvAnalysisSchema.index({ userId: 1, createdAt: -1 });
+cvAnalysisSchema.index({ userId: 1, jobId: 1, createdAt: -1 });
 cvAnalysisSchema.index({ processingStatus: 1 });
 cvAnalysisSchema.index({ overallScore: -1 });
 cvAnalysisSchema.index({ 'jobData.experienceLevel': 1 });
 cvAnalysisSchema.index({ 'jobData.major': 1 });
 cvAnalysisSchema.index({ isActive: 1, createdAt: -1 });
+cvAnalysisSchema.index({ rootAnalysisId: 1, version: 1 });
 
 // Virtual for user details
 cvAnalysisSchema.virtual('user', {
@@ -264,41 +336,94 @@ cvAnalysisSchema.virtual('user', {
   justOne: true
 });
 
+// Progress through the pipeline for the UI
+cvAnalysisSchema.virtual('progress').get(function() {
+  const stages = this.processingStages || [];
+  const currentStage = stages.find(stage => ['in-progress', 'failed'].includes(stage.status));
+
+  let percentage = stages
+    .filter(stage => stage.status === 'completed')
+    .reduce((total, stage) => total + (STAGE_WEIGHTS[stage.stage] || 0), 0);
+  if (this.processingStatus === 'completed') {
+    percentage = 100;
+  }
+
+  return {
+    percentage: Math.min(percentage, 100),
+    currentStage: currentStage?.stage || null,
+    failedStage: stages.find(stage => stage.status === 'failed')?.stage || null
+  };
+});
+
 // Instance Methods
+
+// (Re)build the stage list for a new run. A completed upload stage is kept,
+// everything after it starts again as pending.
+cvAnalysisSchema.methods.initializeStages = function() {
+  const upload = this.processingStages.find(stage => stage.stage === 'upload' && stage.status === 'completed');
+  const now = new Date();
+
+  this.processingStages = PROCESSING_STAGES.map(stage => {
+    if (stage === 'upload') {
+      return upload ? upload.toObject() : { stage, status: 'completed', startTime: now, endTime: now, durationMs: 0 };
+    }
+    return { stage, status: 'pending' };
+  });
+  return this;
+};
+
 cvAnalysisSchema.methods.markAsCompleted = function() {
   this.processingStatus = 'completed';
+  this.errorMessage = undefined;
   this.processingStages.forEach(stage => {
     if (stage.status === 'in-progress') {
-      stage.status = 'completed';
-      stage.endTime = new Date();
+      finishStage(stage, 'completed');
     }
   });
   return this.save();
 };
 
 cvAnalysisSchema.methods.markAsFailed = function(error) {
+  const message = String(error?.message || error).substring(0, 500);
   this.processingStatus = 'failed';
+  this.errorMessage = message;
   const currentStage = this.processingStages.find(stage => stage.status === 'in-progress');
   if (currentStage) {
-    currentStage.status = 'failed';
-    currentStage.endTime = new Date();
-    currentStage.error = error.message;
+    finishStage(currentStage, 'failed', message);
   }
   return this.save();
 };
 
-cvAnalysisSchema.methods.updateStage = function(stageName, status, error = null) {
-  const stage = this.processingStages.find(s => s.stage === stageName);
-  if (stage) {
+cvAnalysisSchema.methods.updateStage = async function(stageName, status, error = null) {
+  let stage = this.processingStages.find(s => s.stage === stageName);
+  if (!stage) {
+    // Analyses created before stages were tracked
+    this.processingStages.push({ stage: stageName });
+    stage = this.processingStages[this.processingStages.length - 1];
+  }
+
+  if (status === 'in-progress') {
+    stage.status = status;
+    stage.startTime = new Date();
+    stage.endTime = undefined;
+    stage.durationMs = undefined;
+    stage.error = undefined;
+  } else if (status === 'completed' || status === 'failed') {
+    finishStage(stage, status, error);
+  } else {
     stage.status = status;
-    if (status === 'in-progress') {
-      stage.startTime = new Date();
-    } else if (status === 'completed' || status === 'failed') {
-      stage.endTime = new Date();
-      if (error) stage.error = error;
-    }
   }
-  return this.save();
+  await this.save();
+
+  eventService.publish(EVENTS.CV_ANALYSIS_STAGE_CHANGED, {
+    analysis: this,
+    stage: stageName,
+    status,
+    error,
+    durationMs: stage.durationMs,
+    progress: this.progress
+  });
+  return this;
 };
 
 cvAnalysisSchema.methods.incrementViews = function() {
@@ -307,13 +432,78 @@ cvAnalysisSchema.methods.incrementViews = function() {
   return this.save();
 };
 
+// Record that the user implemented or dismissed a recommendation, and/or their rating of it.
+// `null` clears a value; undefined leaves it as it is. Returns null for an unknown recommendation.
+cvAnalysisSchema.methods.trackRecommendation = async function(recommendationId, { status, feedback }) {
+  const recommendation = this.recommendations.id(recommendationId);
+  if (!recommendation) return null;
+
+  const entries = this.analytics.improvementsImplemented;
+  let entry = entries.find(item => item.recommendationId?.equals(recommendation._id));
+  if (!entry) {
+    entries.push({ recommendationId: recommendation._id });
+    entry = entries[entries.length - 1];
+  }
+  entry.category = recommendation.category;
+  entry.priority = recommendation.priority;
+
+  if (status !== undefined && status !== entry.status) {
+    entry.status = status ?? undefined;
+    entry.implementedAt = status === 'implemented' ? new Date() : undefined;
+    entry.dismissedAt = status === 'dismissed' ? new Date() : undefined;
+  }
+  if (feedback !== undefined) {
+    entry.userFeedback = feedback ?? undefined;
+  }
+
+  await this.save();
+  return entry;
+};
+
 cvAnalysisSchema.methods.softDelete = function() {
   this.isActive = false;
   this.deletedAt = new Date();
   return this.save();
 };
 
+// Fit against the target job, taken from the AI job matching results
+cvAnalysisSchema.methods.getJobFit = function() {
+  const match = (this.jobMatching?.bestMatches || []).find(m => m.jobIndex === 1) || this.jobMatching?.bestMatches?.[0];
+  return {
+    fitScore: match?.compatibilityScore ?? this.jobMatching?.averageCompatibility ?? null,
+    matchingSkills: match?.matchingSkills || [],
+    missingSkills: match?.missingSkills || [],
+    recommendations: match?.recommendations || []
+  };
+};
+
 // Static Methods
+cvAnalysisSchema.statics.PROCESSING_STAGES = PROCESSING_STAGES;
+cvAnalysisSchema.statics.ANALYTICS_TIMEFRAMES = ANALYTICS_TIMEFRAMES;
+cvAnalysisSchema.statics.ANALYSIS_SECTIONS = ANALYSIS_SECTIONS;
+cvAnalysisSchema.statics.RECOMMENDATION_STATUSES = RECOMMENDATION_STATUSES;
+cvAnalysisSchema.statics.RECOMMENDATION_FEEDBACK = RECOMMENDATION_FEEDBACK;
+
+// Map a Job posting (with companyId populated) to a targetJobDescriptions entry
+cvAnalysisSchema.statics.toTargetJobDescription = function(job) {
+  const description = [job.description, ...(job.responsibilities || []).map(item => `- ${item}`)]
+    .filter(Boolean)
+    .join('\n');
+
+  return {
+    title: job.title,
+    company: job.companyId?.companyName,
+    description: description.substring(0, 10000),
+    requirements: job.requirements || [],
+    skills: (job.skills || []).map(skill => skill.trim()).filter(Boolean)
+  };
+};
+
+// Most recent analysis of a user's CV against a job
+cvAnalysisSchema.statics.findLatestForJob = function(userId, jobId) {
+  return this.findOne({ userId, jobId, isActive: true }).sort({ createdAt: -1 });
+};
+
 cvAnalysisSchema.statics.findByUser = function(userId, options = {}) {
   const query = { userId, isActive: true };
   return this.find(query)
@@ -352,24 +542,270 @@ cvAnalysisSchema.statics.getAnalyticsData = function(startDate, endDate) {
   ]);
 };
 
+// A user's progress over a timeframe (7d, 30d, 90d, 1y), from their completed analyses
+cvAnalysisSchema.statics.getAnalytics = async function(userId, timeframe = '30d') {
+  const days = ANALYTICS_TIMEFRAMES[timeframe];
+  if (!days) {
+    throw new Error(`Invalid timeframe. Use one of: ${Object.keys(ANALYTICS_TIMEFRAMES).join(', ')}`);
+  }
+
+  const to = new Date();
+  const from = new Date(to.getTime() - days * DAY_MS);
+  const analyses = await this.find({
+    userId,
+    isActive: true,
+    processingStatus: 'completed',
+    overallScore: { $ne: null },
+    createdAt: { $gte: from, $lte: to }
+  })
+    .select('originalFilename overallScore sections recommendations.category recommendations.priority createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const scores = analyses.map(analysis => analysis.overallScore);
+  const first = analyses[0];
+  const latest = analyses[analyses.length - 1];
+
+  return {
+    timeframe,
+    from,
+    to,
+    summary: {
+      totalAnalyses: analyses.length,
+      averageScore: scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      bestScore: scores.length ? Math.max(...scores) : null,
+      firstScore: first?.overallScore ?? null,
+      latestScore: latest?.overallScore ?? null,
+      scoreChange: analyses.length > 1 ? latest.overallScore - first.overallScore : null,
+      lastAnalysisDate: latest?.createdAt ?? null
+    },
+    scoreDistribution: {
+      excellent: scores.filter(score => score >= 90).length,
+      good: scores.filter(score => score >= 80 && score < 90).length,
+      average: scores.filter(score => score >= 70 && score < 80).length,
+      poor: scores.filter(score => score < 70).length
+    },
+    scoreTrend: analyses.map(analysis => ({
+      analysisId: analysis._id,
+      date: analysis.createdAt,
+      originalFilename: analysis.originalFilename,
+      overallScore: analysis.overallScore
+    })),
+    sectionDeltas: getSectionDeltas(analyses),
+    topRecommendationCategories: getRecommendationCategories(analyses),
+    improvementVelocity: getImprovementVelocity(analyses)
+  };
+};
+
+// Analyses across the platform per day, shaped for the admin dashboard
+cvAnalysisSchema.statics.getPlatformAnalytics = async function(startDate, endDate) {
+  const rows = await this.getAnalyticsData(startDate, endDate);
+
+  const days = new Map();
+  const totals = { total: 0, completed: 0, failed: 0, processing: 0, pending: 0 };
+  let scoreSum = 0;
+  let scored = 0;
+  for (const { _id, count, avgScore } of rows) {
+    const day = days.get(_id.date) || { date: _id.date, total: 0, completed: 0, failed: 0, processing: 0, pending: 0, averageScore: null };
+    day.total += count;
+    day[_id.status] = count;
+    totals.total += count;
+    totals[_id.status] += count;
+    if (_id.status === 'completed' && avgScore !== null) {
+      day.averageScore = round(avgScore);
+      scoreSum += avgScore * count;
+      scored += count;
+    }
+    days.set(_id.date, day);
+  }
+  const daily = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+  return {
+    from: startDate,
+    to: endDate,
+    totals: {
+      ...totals,
+      averageScore: scored ? round(scoreSum / scored) : null,
+      failureRate: totals.total ? round(totals.failed / totals.total * 100) : null
+    },
+    daily
+  };
+};
+
+// How users responded to recommendations, per category, for analyses created in the range.
+// `engine` narrows the report to one analyzer, e.g. 'openai' when tuning its prompt.
+cvAnalysisSchema.statics.getRecommendationFeedback = async function(startDate, endDate, { engine } = {}) {
+  const match = {
+    createdAt: { $gte: startDate, $lte: endDate },
+    isActive: true,
+    ...(engine ? { engine } : {})
+  };
+  const category = field => ({ $toLower: { $ifNull: [field, 'general'] } });
+
+  const [shownRows, feedbackRows] = await Promise.all([
+    this.aggregate([
+      { $match: { ...match, processingStatus: 'completed' } },
+      { $unwind: '$recommendations' },
+      {
+        $group: {
+          _id: category('$recommendations.category'),
+          shown: { $sum: 1 },
+          highPriority: { $sum: { $cond: [{ $in: ['$recommendations.priority', ['high', 'critical']] }, 1, 0] } }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { ...match, processingStatus: 'completed' } },
+      { $unwind: '$analytics.improvementsImplemented' },
+      // Only feedback on recommendations the analysis still shows, so rates are against `shown`
+      { $match: { $expr: { $in: ['$analytics.improvementsImplemented.recommendationId', '$recommendations._id'] } } },
+      {
+        $group: {
+          _id: category('$analytics.improvementsImplemented.category'),
+          implemented: { $sum: { $cond: [{ $eq: ['$analytics.improvementsImplemented.status', 'implemented'] }, 1, 0] } },
+          dismissed: { $sum: { $cond: [{ $eq: ['$analytics.improvementsImplemented.status', 'dismissed'] }, 1, 0] } },
+          helpful: { $sum: { $cond: [{ $eq: ['$analytics.improvementsImplemented.userFeedback', 'helpful'] }, 1, 0] } },
+          somewhatHelpful: { $sum: { $cond: [{ $eq: ['$analytics.improvementsImplemented.userFeedback', 'somewhat-helpful'] }, 1, 0] } },
+          notHelpful: { $sum: { $cond: [{ $eq: ['$analytics.improvementsImplemented.userFeedback', 'not-helpful'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const empty = { shown: 0, highPriority: 0, implemented: 0, dismissed: 0, helpful: 0, somewhatHelpful: 0, notHelpful: 0 };
+  const categories = new Map();
+  for (const { _id, ...counts } of [...shownRows, ...feedbackRows]) {
+    categories.set(_id, { ...(categories.get(_id) || { category: _id, ...empty }), ...counts });
+  }
+
+  const totals = { ...empty };
+  const rows = [...categories.values()].map(row => {
+    for (const key of Object.keys(totals)) totals[key] += row[key];
+    return withFeedbackRates(row);
+  });
+
+  return {
+    from: startDate,
+    to: endDate,
+    engine: engine || null,
+    totals: withFeedbackRates(totals),
+    categories: rows.sort((a, b) => b.shown - a.shown || a.category.localeCompare(b.category))
+  };
+};
+
 // Pre-save middleware
 cvAnalysisSchema.pre('save', function(next) {
   // Simple validation - no automatic processing stages creation
   if (this.isNew && !this.processingStatus) {
     this.processingStatus = 'pending';
   }
+  // Remember whether this save finishes the analysis, for the post-save hook
+  this.$locals.justCompleted = this.isModified('processingStatus') && this.processingStatus === 'completed';
   next();
 });
 
 // Post-save middleware for notifications
 cvAnalysisSchema.post('save', function(doc) {
-  if (doc.processingStatus === 'completed') {
-    // Trigger notification service
-    // This would integrate with your existing notification system
-    console.log(`CV Analysis completed for user ${doc.userId}`);
+  if (doc.$locals.justCompleted) {
+    doc.$locals.justCompleted = false;
+    eventService.publish(EVENTS.CV_ANALYSIS_COMPLETED, { analysis: doc });
   }
 });
 
+// Close a stage and record how long it took
+function finishStage(stage, status, error = null) {
+  stage.status = status;
+  stage.endTime = new Date();
+  if (stage.startTime) {
+    stage.durationMs = stage.endTime - stage.startTime;
+  }
+  if (error) stage.error = error;
+}
+
+// Per-section score change between the first, previous and latest analysis
+function getSectionDeltas(analyses) {
+  return ANALYSIS_SECTIONS.map(section => {
+    const scored = analyses
+      .map(analysis => analysis.sections?.[section]?.score)
+      .filter(score => typeof score === 'number');
+    if (!scored.length) return null;
+
+    const first = scored[0];
+    const previous = scored.length > 1 ? scored[scored.length - 2] : null;
+    const latest = scored[scored.length - 1];
+    return {
+      section,
+      first,
+      previous,
+      latest,
+      changeSincePrevious: previous === null ? null : latest - previous,
+      changeSinceFirst: scored.length > 1 ? latest - first : null
+    };
+  }).filter(Boolean);
+}
+
+// Recommendation categories by how often they came up, most frequent first
+function getRecommendationCategories(analyses, limit = 5) {
+  const categories = new Map();
+  for (const analysis of analyses) {
+    for (const { category, priority } of analysis.recommendations || []) {
+      if (!category) continue;
+      const entry = categories.get(category) || { category, count: 0, highPriority: 0 };
+      entry.count++;
+      if (priority === 'high' || priority === 'critical') entry.highPriority++;
+      categories.set(category, entry);
+    }
+  }
+  return [...categories.values()]
+    .sort((a, b) => b.count - a.count || a.category.localeCompare(b.category))
+    .slice(0, limit);
+}
+
+// Least-squares trend of the overall score, so one outlier doesn't decide the direction
+function getImprovementVelocity(analyses) {
+  if (analyses.length < 2) {
+    return { pointsPerWeek: null, pointsPerAnalysis: null, trend: 'insufficient-data' };
+  }
+
+  const start = analyses[0].createdAt.getTime();
+  const points = analyses.map(analysis => ({
+    days: (analysis.createdAt.getTime() - start) / DAY_MS,
+    score: analysis.overallScore
+  }));
+  const meanDays = points.reduce((sum, point) => sum + point.days, 0) / points.length;
+  const meanScore = points.reduce((sum, point) => sum + point.score, 0) / points.length;
+  const variance = points.reduce((sum, point) => sum + (point.days - meanDays) ** 2, 0);
+  const pointsPerDay = variance
+    ? points.reduce((sum, point) => sum + (point.days - meanDays) * (point.score - meanScore), 0) / variance
+    : null;
+
+  const latest = analyses[analyses.length - 1].overallScore;
+  const pointsPerAnalysis = round((latest - analyses[0].overallScore) / (analyses.length - 1));
+  const direction = pointsPerDay ?? pointsPerAnalysis;
+
+  return {
+    pointsPerWeek: pointsPerDay === null ? null : round(pointsPerDay * 7),
+    pointsPerAnalysis,
+    trend: direction > 0.1 ? 'improving' : direction < -0.1 ? 'declining' : 'stable'
+  };
+}
+
+// Shares in percent; helpfulRate counts somewhat-helpful as half
+function withFeedbackRates(row) {
+  const rated = row.helpful + row.somewhatHelpful + row.notHelpful;
+  return {
+    ...row,
+    rated,
+    implementationRate: row.shown ? round(row.implemented / row.shown * 100) : null,
+    dismissalRate: row.shown ? round(row.dismissed / row.shown * 100) : null,
+    helpfulRate: rated ? round((row.helpful + row.somewhatHelpful / 2) / rated * 100) : null
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
 // Add pagination plugin
 cvAnalysisSchema.plugin(mongoosePaginate);
 
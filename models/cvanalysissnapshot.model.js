@@ -0,0 +1,109 @@
+import mongoose from "mongoose";
+
+// Results of an earlier run of a CV analysis, kept when the analysis is rerun so the
+// user can compare against them. `revision` counts runs of the same analysis from 1.
+const cvAnalysisSnapshotSchema = new mongoose.Schema({
+    analysisId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CVAnalysis",
+        required: [true, "Analysis ID is required"],
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"],
+    },
+    revision: {
+        type: Number,
+        required: true,
+        min: [1, "Revision must be at least 1"],
+    },
+    // Job context the run was scored against
+    jobData: {
+        type: Object,
+        default: {},
+    },
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Job",
+    },
+    engine: {
+        type: String,
+        enum: ["openai", "heuristic"],
+    },
+    model: {
+        type: String,
+        trim: true,
+    },
+    overallScore: {
+        type: Number,
+        min: [0, "Score cannot be negative"],
+        max: [100, "Score cannot exceed 100"],
+    },
+    summary: {
+        type: Object,
+        default: {},
+    },
+    sections: {
+        type: Object,
+        default: {},
+    },
+    recommendations: {
+        type: [Object],
+        default: [],
+    },
+    // The user's feedback on those recommendations (analytics.improvementsImplemented)
+    improvementsImplemented: {
+        type: [Object],
+        default: [],
+    },
+    jobMatching: {
+        type: Object,
+        default: {},
+    },
+    marketInsights: {
+        type: Object,
+        default: {},
+    },
+    // When the results were produced, not when the snapshot was taken
+    analyzedAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+cvAnalysisSnapshotSchema.index({ analysisId: 1, revision: 1 }, { unique: true });
+cvAnalysisSnapshotSchema.index({ userId: 1, createdAt: -1 });
+
+// Snapshots are never edited after they are taken
+cvAnalysisSnapshotSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function(next) {
+    next(new Error("CV analysis snapshots are immutable"));
+});
+
+// Copy an analysis' current results before they are replaced
+cvAnalysisSnapshotSchema.statics.capture = async function(analysis) {
+    const revision = await this.countDocuments({ analysisId: analysis._id }) + 1;
+    const current = analysis.toObject();
+
+    return this.create({
+        analysisId: current._id,
+        userId: current.userId,
+        revision,
+        jobData: current.jobData,
+        jobId: current.jobId,
+        engine: current.engine,
+        model: current.openaiProcessing?.model,
+        overallScore: current.overallScore,
+        summary: current.summary,
+        sections: current.sections,
+        recommendations: current.recommendations,
+        improvementsImplemented: current.analytics?.improvementsImplemented || [],
+        jobMatching: current.jobMatching,
+        marketInsights: current.marketInsights,
+        analyzedAt: current.openaiProcessing?.responseTimestamp || current.updatedAt,
+    });
+};
+
+export default mongoose.model("CVAnalysisSnapshot", cvAnalysisSnapshotSchema);
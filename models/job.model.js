@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import eventService, { EVENTS } from "../services/event.service.js";
 
 const jobSchema = new mongoose.Schema({
     title: {
@@ -163,17 +164,36 @@ jobSchema.methods.incrementApplications = function() {
     return this.save();
 };
 
+// Method to decrement applications count (e.g. when an application is withdrawn)
+jobSchema.methods.decrementApplications = function() {
+    this.applicationsCount = Math.max(this.applicationsCount - 1, 0);
+    return this.save();
+};
+
 // Static method to update all jobs that have passed their deadline to inactive
 jobSchema.statics.updateJobsWithPassedDeadlines = async function() {
     const now = new Date();
-    const result = await this.updateMany({
+    const expiredJobs = await this.find({
         applicationDeadline: { $lt: now },
         isActive: true
-    }, {
-        isActive: false
-    });
-    console.log(`Updated ${result.modifiedCount} jobs with passed deadlines to inactive`);
-    return result;
+    }).select("_id");
+
+    // Deactivate one by one so each expiry is announced exactly once, even with concurrent callers
+    let modifiedCount = 0;
+    for (const { _id } of expiredJobs) {
+        const job = await this.findOneAndUpdate(
+            { _id, isActive: true },
+            { isActive: false },
+            { new: true }
+        );
+        if (job) {
+            modifiedCount += 1;
+            eventService.publish(EVENTS.JOB_DEADLINE_EXPIRED, { job });
+        }
+    }
+
+    console.log(`Updated ${modifiedCount} jobs with passed deadlines to inactive`);
+    return { modifiedCount };
 };
 
 // Pre-save middleware
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+// Cached score of one CV analysis against one job posting. `fingerprint` covers the CV
+// text, the job context and the posting, so an edited job or reanalysed CV misses the cache.
+const jobMatchSchema = new mongoose.Schema({
+    analysisId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CVAnalysis",
+        required: [true, "Analysis ID is required"],
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"],
+    },
+    jobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Job",
+        required: [true, "Job ID is required"],
+    },
+    fingerprint: {
+        type: String,
+        required: true,
+    },
+    compatibilityScore: {
+        type: Number,
+        required: true,
+        min: [0, "Compatibility score cannot be negative"],
+        max: [100, "Compatibility score cannot exceed 100"],
+    },
+    matchingSkills: [{
+        type: String,
+        trim: true,
+    }, ],
+    missingSkills: [{
+        type: String,
+        trim: true,
+    }, ],
+    recommendations: [{
+        type: String,
+        trim: true,
+    }, ],
+    // Analyzer that produced the score, e.g. the OpenAI model name
+    model: {
+        type: String,
+    },
+}, {
+    timestamps: true,
+});
+
+jobMatchSchema.index({ analysisId: 1, jobId: 1 }, { unique: true });
+jobMatchSchema.index({ jobId: 1 });
+
+// Cached matches for these jobs that are still valid for the given fingerprints
+jobMatchSchema.statics.findFresh = async function(analysisId, fingerprints) {
+    const matches = await this.find({ analysisId, jobId: { $in: [...fingerprints.keys()] } });
+    return matches.filter(match => match.fingerprint === fingerprints.get(match.jobId.toString()));
+};
+
+// Insert or replace the cached match for an analysis and job
+jobMatchSchema.statics.store = function(match) {
+    return this.findOneAndUpdate(
+        { analysisId: match.analysisId, jobId: match.jobId },
+        match,
+        { upsert: true, new: true, runValidators: true }
+    );
+};
+
+export default mongoose.model("JobMatch", jobMatchSchema);
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+const NOTIFICATION_TYPES = [
+    "application.submitted",
+    "application.status-changed",
+    "application.withdrawn",
+    "job.expired",
+    "cv-analysis.completed",
+    "cv-analysis.failed",
+];
+
+// In-app notification for a user or company
+const notificationSchema = new mongoose.Schema({
+    recipientType: {
+        type: String,
+        enum: ["user", "company"],
+        required: [true, "Recipient type is required"],
+    },
+    recipientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Recipient ID is required"],
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: [true, "Notification type is required"],
+    },
+    title: {
+        type: String,
+        required: [true, "Title is required"],
+        trim: true,
+        maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    // Ids of the related documents, e.g. { applicationId, jobId }
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    readAt: {
+        type: Date,
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+notificationSchema.index({ recipientType: 1, recipientId: 1, createdAt: -1 });
+notificationSchema.index({ recipientType: 1, recipientId: 1, readAt: 1 });
+
+// Method to mark a notification as read
+notificationSchema.methods.markRead = function() {
+    if (!this.readAt) {
+        this.readAt = new Date();
+    }
+    return this.save();
+};
+
+// Mark every unread notification of a recipient as read
+notificationSchema.statics.markAllRead = function(recipientType, recipientId) {
+    return this.updateMany(
+        { recipientType, recipientId, readAt: null },
+        { readAt: new Date() }
+    );
+};
+
+// Count unread notifications of a recipient
+notificationSchema.statics.getUnreadCount = function(recipientType, recipientId) {
+    return this.countDocuments({ recipientType, recipientId, readAt: null });
+};
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+export default mongoose.model("Notification", notificationSchema);
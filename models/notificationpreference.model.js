@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import Notification from "./notification.model.js";
+
+const notificationPreferenceSchema = new mongoose.Schema({
+    recipientType: {
+        type: String,
+        enum: ["user", "company"],
+        required: [true, "Recipient type is required"],
+    },
+    recipientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Recipient ID is required"],
+    },
+    // Per-type channel settings; types without an entry use the channel defaults
+    preferences: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: Notification.TYPES,
+            required: true,
+        },
+        inApp: {
+            type: Boolean,
+            default: true,
+        },
+        email: {
+            type: Boolean,
+            default: false,
+        },
+    }],
+}, {
+    timestamps: true,
+});
+
+notificationPreferenceSchema.index({ recipientType: 1, recipientId: 1 }, { unique: true });
+
+// Resolve the channel settings for one notification type
+notificationPreferenceSchema.methods.getChannels = function(type) {
+    const entry = this.preferences.find(preference => preference.type === type);
+    return {
+        inApp: entry?.inApp ?? true,
+        email: entry?.email ?? false,
+    };
+};
+
+// Method to change the channels of one notification type
+notificationPreferenceSchema.methods.setChannels = function(type, { inApp, email }) {
+    const current = this.getChannels(type);
+    const channels = {
+        type,
+        inApp: typeof inApp === "boolean" ? inApp : current.inApp,
+        email: typeof email === "boolean" ? email : current.email,
+    };
+
+    const index = this.preferences.findIndex(preference => preference.type === type);
+    if (index === -1) {
+        this.preferences.push(channels);
+    } else {
+        this.preferences.set(index, channels);
+    }
+};
+
+// Get a recipient's preferences, or defaults when none are stored
+notificationPreferenceSchema.statics.findForRecipient = async function(recipientType, recipientId) {
+    const existing = await this.findOne({ recipientType, recipientId });
+    return existing || new this({ recipientType, recipientId });
+};
+
+// List every type with its resolved channels
+notificationPreferenceSchema.methods.toSettings = function() {
+    return Object.fromEntries(Notification.TYPES.map(type => [type, this.getChannels(type)]));
+};
+
+export default mongoose.model("NotificationPreference", notificationPreferenceSchema);
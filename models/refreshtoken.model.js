@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+// One document per issued refresh token. Tokens issued from the same login share
+// a `family`, which is also embedded in access tokens as `sid`.
+const refreshTokenSchema = new mongoose.Schema({
+    subjectType: {
+        type: String,
+        enum: ["user", "company", "admin"],
+        required: [true, "Subject type is required"],
+    },
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Subject ID is required"],
+    },
+    family: {
+        type: String,
+        required: [true, "Token family is required"],
+    },
+    tokenHash: {
+        type: String,
+        required: [true, "Token hash is required"],
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, "Expiry date is required"],
+    },
+    revokedAt: {
+        type: Date,
+    },
+    revokedReason: {
+        type: String,
+        enum: ["rotated", "logout", "logout-all", "password-change", "password-reset", "reuse-detected", "deactivated"],
+    },
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "RefreshToken",
+    },
+    userAgent: {
+        type: String,
+        maxlength: [500, "User agent cannot exceed 500 characters"],
+    },
+    ipAddress: {
+        type: String,
+        trim: true,
+    },
+}, {
+    timestamps: true,
+});
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ subjectType: 1, subjectId: 1 });
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether this token can still be exchanged
+refreshTokenSchema.methods.isUsable = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every token in a family (a single login session)
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+// Revoke every session of a user or company, optionally keeping one family alive
+refreshTokenSchema.statics.revokeAllForSubject = function(subjectType, subjectId, reason, exceptFamily = null) {
+    const query = { subjectType, subjectId, revokedAt: null };
+    if (exceptFamily) {
+        query.family = { $ne: exceptFamily };
+    }
+    return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// A session is active while at least one token in its family is unrevoked and unexpired
+refreshTokenSchema.statics.isFamilyActive = async function(family) {
+    const token = await this.exists({
+        family,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    return !!token;
+};
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
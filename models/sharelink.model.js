@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// A public, read-only link to a CV analysis. The token handed out is a JWT whose
+// subject is this document's id; the document is what makes the link revocable.
+const shareLinkSchema = new mongoose.Schema({
+    analysisId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CVAnalysis",
+        required: [true, "Analysis ID is required"],
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"],
+    },
+    // Who the link is for, e.g. "Mentor"; shown to the owner only
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Label cannot exceed 100 characters"],
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, "Expiry date is required"],
+    },
+    revokedAt: {
+        type: Date,
+    },
+    viewCount: {
+        type: Number,
+        default: 0,
+        min: [0, "View count cannot be negative"],
+    },
+    lastViewedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+shareLinkSchema.index({ analysisId: 1, createdAt: -1 });
+// Keep expired links around for a while so owners can still see their view counts
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// "active", "revoked" or "expired"
+shareLinkSchema.virtual("status").get(function() {
+    if (this.revokedAt) return "revoked";
+    return this.expiresAt > new Date() ? "active" : "expired";
+});
+
+shareLinkSchema.set("toJSON", { virtuals: true });
+
+// Count a view of the shared report
+shareLinkSchema.statics.recordView = function(id) {
+    return this.updateOne({ _id: id }, { $inc: { viewCount: 1 }, lastViewedAt: new Date() });
+};
+
+// Whether any link to the analysis can still be opened
+shareLinkSchema.statics.hasActive = async function(analysisId) {
+    const link = await this.exists({ analysisId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return !!link;
+};
+
+export default mongoose.model("ShareLink", shareLinkSchema);
@@ -0,0 +1,154 @@
+import mongoose from "mongoose";
+
+// Append-only ledger of AI requests: one entry per analysis, job comparison batch or
+// screening, with the tokens and cost the provider reported. Heuristic runs are
+// recorded with zero tokens so analysis counts stay complete.
+const usageRecordSchema = new mongoose.Schema({
+    // Who the usage is billed to: the user for their own analyses, the company for screenings
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+    },
+    companyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Company",
+    },
+    feature: {
+        type: String,
+        enum: ["cv-analysis", "job-matching", "screening"],
+        required: [true, "Feature is required"],
+    },
+    analysisId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CVAnalysis",
+    },
+    applicationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Application",
+    },
+    engine: {
+        type: String,
+        enum: ["openai", "heuristic"],
+        required: [true, "Engine is required"],
+    },
+    provider: {
+        type: String,
+        trim: true,
+    },
+    model: {
+        type: String,
+        required: [true, "Model is required"],
+        trim: true,
+    },
+    requestId: {
+        type: String,
+        trim: true,
+    },
+    // Background job that made the request. Retries of a job share it, so a run is only billed once
+    runId: {
+        type: String,
+        trim: true,
+    },
+    promptTokens: {
+        type: Number,
+        default: 0,
+        min: [0, "Prompt tokens cannot be negative"],
+    },
+    completionTokens: {
+        type: Number,
+        default: 0,
+        min: [0, "Completion tokens cannot be negative"],
+    },
+    totalTokens: {
+        type: Number,
+        default: 0,
+        min: [0, "Total tokens cannot be negative"],
+    },
+    // Estimated USD cost from the environment's pricing table
+    cost: {
+        type: Number,
+        default: 0,
+        min: [0, "Cost cannot be negative"],
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+});
+
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+usageRecordSchema.index({ companyId: 1, createdAt: -1 });
+usageRecordSchema.index({ createdAt: -1, model: 1 });
+usageRecordSchema.index(
+    { feature: 1, runId: 1 },
+    { unique: true, partialFilterExpression: { runId: { $type: "string" } } }
+);
+
+// Ledger entries are never edited after they are written
+usageRecordSchema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function(next) {
+    next(new Error("Usage records are immutable"));
+});
+
+// Totals for one account over a period, overall and per feature
+usageRecordSchema.statics.summarize = async function(match, from, to) {
+    const byFeature = await this.aggregate([
+        { $match: { ...match, createdAt: { $gte: from, $lt: to } } },
+        {
+            $group: {
+                _id: "$feature",
+                requests: { $sum: 1 },
+                promptTokens: { $sum: "$promptTokens" },
+                completionTokens: { $sum: "$completionTokens" },
+                totalTokens: { $sum: "$totalTokens" },
+                cost: { $sum: "$cost" },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    for (const row of byFeature) {
+        for (const key of Object.keys(totals)) totals[key] += row[key];
+    }
+    totals.cost = roundCost(totals.cost);
+
+    return {
+        ...totals,
+        byFeature: byFeature.map(({ _id, ...row }) => ({ feature: _id, ...row, cost: roundCost(row.cost) })),
+    };
+};
+
+// Usage across all accounts per UTC day and model, for the admin cost dashboard
+usageRecordSchema.statics.getDailyCosts = async function(from, to) {
+    const rows = await this.aggregate([
+        { $match: { createdAt: { $gte: from, $lt: to } } },
+        {
+            $group: {
+                _id: {
+                    date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                    model: "$model",
+                    provider: "$provider",
+                },
+                requests: { $sum: 1 },
+                promptTokens: { $sum: "$promptTokens" },
+                completionTokens: { $sum: "$completionTokens" },
+                totalTokens: { $sum: "$totalTokens" },
+                cost: { $sum: "$cost" },
+            },
+        },
+        { $sort: { "_id.date": 1, "_id.model": 1 } },
+    ]);
+
+    return rows.map(({ _id, ...row }) => ({
+        date: _id.date,
+        model: _id.model,
+        provider: _id.provider ?? null,
+        ...row,
+        cost: roundCost(row.cost),
+    }));
+};
+
+// Sums of float prices drift; report costs to the micro-dollar
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+export default mongoose.model("UsageRecord", usageRecordSchema);
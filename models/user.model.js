@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 
 const userSchema = new mongoose.Schema({
     fullName: {
@@ -64,6 +65,32 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date,
     },
+    preferredLanguage: {
+        type: String,
+        enum: ["en", "id"],
+        default: "en",
+    },
+    // Keep new applications out of AI screening by companies
+    aiScreeningOptOut: {
+        type: Boolean,
+        default: false,
+    },
+    // AI usage plan (see AI_QUOTA_PLANS); unset means AI_QUOTA_DEFAULT_PLAN
+    aiPlan: {
+        type: String,
+        trim: true,
+    },
+    // Per-user overrides of the plan's monthly limits, set by admins
+    aiQuota: {
+        analysesPerMonth: {
+            type: Number,
+            min: [0, "Analyses per month cannot be negative"],
+        },
+        tokensPerMonth: {
+            type: Number,
+            min: [0, "Tokens per month cannot be negative"],
+        },
+    },
     emailVerified: {
         type: Boolean,
         default: false,
@@ -71,12 +98,18 @@ const userSchema = new mongoose.Schema({
     emailVerificationToken: {
         type: String,
     },
+    emailVerificationExpire: {
+        type: Date,
+    },
     passwordResetToken: {
         type: String,
     },
     passwordResetExpire: {
         type: Date,
     },
+    sessionsInvalidatedAt: {
+        type: Date,
+    },
     skills: [{
         type: String,
         trim: true,
@@ -169,4 +202,67 @@ userSchema.methods.updateLastLogin = function() {
     return this.save({ validateBeforeSave: false });
 };
 
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    this.passwordResetToken = crypto.createHash("sha256").update(resetToken).digest("hex");
+    this.passwordResetExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+    return resetToken;
+};
+
+// Set a new password, consume the reset token and invalidate existing sessions
+userSchema.methods.resetPassword = function(newPassword) {
+    this.password = newPassword;
+    this.passwordResetToken = undefined;
+    this.passwordResetExpire = undefined;
+    this.sessionsInvalidatedAt = new Date();
+    return this.save();
+};
+
+// Check whether a token issued at `issuedAt` (JWT iat, in seconds) predates a session invalidation
+userSchema.methods.isTokenInvalidated = function(issuedAt) {
+    if (!this.sessionsInvalidatedAt) return false;
+    return issuedAt < Math.floor(this.sessionsInvalidatedAt.getTime() / 1000);
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+    const verificationToken = crypto.randomBytes(32).toString("hex");
+    const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+    this.emailVerificationToken = crypto.createHash("sha256").update(verificationToken).digest("hex");
+    this.emailVerificationExpire = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+    return verificationToken;
+};
+
+// Mark the email as verified and consume the verification token
+userSchema.methods.markEmailVerified = function() {
+    this.emailVerified = true;
+    this.emailVerificationToken = undefined;
+    this.emailVerificationExpire = undefined;
+    return this.save({ validateBeforeSave: false });
+};
+
+// Find the user owning an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+    return this.findOne({
+        emailVerificationToken: hashedToken,
+        emailVerificationExpire: { $gt: new Date() },
+    });
+};
+
+// Find the user owning an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+    const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
+    return this.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpire: { $gt: new Date() },
+    });
+};
+
 export default mongoose.model("User", userSchema);
\ No newline at end of file
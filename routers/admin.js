@@ -0,0 +1,691 @@
+import express from "express";
+import Admin from "../models/admin.model.js";
+import User from "../models/user.model.js";
+import Company from "../models/company.model.js";
+import Job from "../models/job.model.js";
+import Category from "../models/category.model.js";
+import CVAnalysis from "../models/cvanalysis.model.js";
+import AuditLog from "../models/auditlog.model.js";
+import { authenticateAdmin } from "../middleware/auth.js";
+import tokenService from "../services/token.service.js";
+import MailService from "../services/mail.service.js";
+import usageService, { UsageServiceError } from "../services/usage.service.js";
+import path from "path";
+import fs from "fs";
+
+const router = express.Router();
+const mailService = new MailService();
+
+/**
+ * Admin Routes
+ * Base path: /api/v1/admin
+ */
+
+// Fields that are never returned from user/company lookups
+const PRIVATE_ACCOUNT_FIELDS = "-password -passwordResetToken -passwordResetExpire -emailVerificationToken -emailVerificationExpire -credentialFile";
+
+function parsePagination(query) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Record an admin action in the audit trail
+function audit(req, action, targetType, targetId, changes = []) {
+    return AuditLog.record({
+        actorType: "admin",
+        actorId: req.admin._id,
+        actorName: req.admin.fullName,
+        action,
+        targetType,
+        targetId,
+        changes,
+        req
+    });
+}
+
+// Admin login
+router.post("/auth/login", async(req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ message: "Email and password are required." });
+        }
+
+        const admin = await Admin.findOne({ email: email.toLowerCase() }).select("+password");
+        if (!admin || !admin.isActive) {
+            return res.status(401).json({ message: "Invalid credentials." });
+        }
+
+        const isPasswordMatch = await admin.matchPassword(password);
+        if (!isPasswordMatch) {
+            return res.status(401).json({ message: "Invalid credentials." });
+        }
+
+        await admin.updateLastLogin();
+
+        const session = await tokenService.createSession("admin", admin, req);
+        res.cookie("refreshToken", session.refreshToken, tokenService.getRefreshCookieOptions());
+
+        await AuditLog.record({
+            actorType: "admin",
+            actorId: admin._id,
+            actorName: admin.fullName,
+            action: "admin.login",
+            targetType: "Admin",
+            targetId: admin._id,
+            req
+        });
+
+        res.json({
+            message: "Login successful.",
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
+            admin: {
+                _id: admin._id,
+                fullName: admin.fullName,
+                email: admin.email,
+                type: "admin"
+            }
+        });
+    } catch (err) {
+        console.error("Admin login error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Everything below requires an admin token
+router.use(authenticateAdmin);
+
+// Admin logout
+router.post("/auth/logout", async(req, res) => {
+    try {
+        await tokenService.revokeSession(req.sessionId, "logout");
+        res.clearCookie("refreshToken", { path: "/" });
+        res.json({ message: "Logout successful." });
+    } catch (err) {
+        console.error("Admin logout error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Current admin
+router.get("/auth/me", (req, res) => {
+    res.json({ admin: req.admin });
+});
+
+// ----- Users -----
+
+router.get("/users", async(req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const { search, isActive } = req.query;
+
+        const query = {};
+        if (search) {
+            const regex = new RegExp(escapeRegex(search), "i");
+            query.$or = [{ fullName: regex }, { email: regex }];
+        }
+        if (isActive !== undefined) query.isActive = isActive === "true";
+
+        const [users, total] = await Promise.all([
+            User.find(query).select(PRIVATE_ACCOUNT_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            User.countDocuments(query)
+        ]);
+
+        res.json({ users, totalPages: Math.ceil(total / limit), currentPage: page, total });
+    } catch (err) {
+        console.error("Admin list users error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.get("/users/:id", async(req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select(PRIVATE_ACCOUNT_FIELDS);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+        res.json(user);
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// Activate or deactivate a user; deactivation signs the user out everywhere
+router.patch("/users/:id/status", async(req, res) => {
+    try {
+        const { isActive } = req.body;
+        if (typeof isActive !== "boolean") {
+            return res.status(400).json({ message: "isActive must be a boolean." });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const previous = user.isActive;
+        user.isActive = isActive;
+        if (!isActive) {
+            user.sessionsInvalidatedAt = new Date();
+        }
+        await user.save({ validateBeforeSave: false });
+
+        if (!isActive) {
+            await tokenService.revokeAllSessions("user", user._id, "deactivated");
+        }
+
+        await audit(req, isActive ? "user.activate" : "user.deactivate", "User", user._id, [
+            { field: "isActive", from: previous, to: isActive }
+        ]);
+
+        res.json({ message: `User ${isActive ? "activated" : "deactivated"} successfully.` });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// Change a user's AI plan or override its monthly limits; null clears an override
+router.patch("/users/:id/ai-quota", async(req, res) => {
+    try {
+        const { plan, analysesPerMonth, tokensPerMonth } = req.body;
+        if (plan !== undefined && plan !== null && !usageService.getPlans()[plan]) {
+            return res.status(400).json({
+                message: `Unknown plan. Use one of: ${Object.keys(usageService.getPlans()).join(", ")}.`
+            });
+        }
+        for (const [field, value] of Object.entries({ analysesPerMonth, tokensPerMonth })) {
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+                return res.status(400).json({ message: `${field} must be a non-negative integer or null.` });
+            }
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const before = {
+            aiPlan: user.aiPlan,
+            analysesPerMonth: user.aiQuota?.analysesPerMonth,
+            tokensPerMonth: user.aiQuota?.tokensPerMonth
+        };
+        if (plan !== undefined) user.aiPlan = plan ?? undefined;
+        if (analysesPerMonth !== undefined) user.set("aiQuota.analysesPerMonth", analysesPerMonth ?? undefined);
+        if (tokensPerMonth !== undefined) user.set("aiQuota.tokensPerMonth", tokensPerMonth ?? undefined);
+        await user.save({ validateBeforeSave: false });
+
+        const after = {
+            aiPlan: user.aiPlan,
+            analysesPerMonth: user.aiQuota?.analysesPerMonth,
+            tokensPerMonth: user.aiQuota?.tokensPerMonth
+        };
+        await audit(req, "user.ai-quota", "User", user._id,
+            AuditLog.diff(before, after, ["aiPlan", "analysesPerMonth", "tokensPerMonth"]));
+
+        res.json({ message: "AI quota updated successfully.", quota: usageService.getQuota(user) });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// ----- Companies -----
+
+router.get("/companies", async(req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const { search, credentialStatus } = req.query;
+
+        const query = {};
+        if (search) {
+            const regex = new RegExp(escapeRegex(search), "i");
+            query.$or = [{ companyName: regex }, { email: regex }];
+        }
+        if (credentialStatus) query.credentialStatus = credentialStatus;
+
+        const [companies, total] = await Promise.all([
+            Company.find(query).select(PRIVATE_ACCOUNT_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Company.countDocuments(query)
+        ]);
+
+        res.json({ companies, totalPages: Math.ceil(total / limit), currentPage: page, total });
+    } catch (err) {
+        console.error("Admin list companies error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.get("/companies/:id", async(req, res) => {
+    try {
+        const company = await Company.findById(req.params.id)
+            .select(PRIVATE_ACCOUNT_FIELDS)
+            .populate("jobsCount");
+        if (!company) {
+            return res.status(404).json({ message: "Company not found." });
+        }
+        res.json(company.toObject({ virtuals: true }));
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// ----- Company credential review -----
+
+const CREDENTIAL_DECISIONS = {
+    approve: "approved",
+    reject: "rejected",
+    "request-resubmission": "resubmission-requested"
+};
+
+// Review queue: companies waiting for a credential decision, oldest submission first
+router.get("/credentials/queue", async(req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const status = req.query.status || "pending";
+
+        const query = { credentialStatus: status };
+
+        const [companies, total] = await Promise.all([
+            Company.find(query)
+                .select("companyName email industry mainLocation website credentialStatus credentialOriginalName credentialSubmittedAt credentialReviewDate adminNotes createdAt")
+                .sort({ credentialSubmittedAt: 1 })
+                .skip(skip)
+                .limit(limit),
+            Company.countDocuments(query)
+        ]);
+
+        const queue = companies.map(company => ({
+            ...company.toObject(),
+            credentialDocument: company.credentialOriginalName ? {
+                name: company.credentialOriginalName,
+                url: `/api/v1/admin/companies/${company._id}/credential-file`
+            } : null
+        }));
+
+        res.json({ companies: queue, totalPages: Math.ceil(total / limit), currentPage: page, total });
+    } catch (err) {
+        console.error("Admin credential queue error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Download a company's credential document
+router.get("/companies/:id/credential-file", async(req, res) => {
+    try {
+        const company = await Company.findById(req.params.id).select("credentialFile credentialOriginalName");
+        if (!company || !company.credentialFile) {
+            return res.status(404).json({ message: "Credential document not found." });
+        }
+
+        const filePath = path.resolve(company.credentialFile);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ message: "Credential document is missing from storage." });
+        }
+
+        await audit(req, "company.credential.view", "Company", company._id);
+
+        res.download(filePath, company.credentialOriginalName || path.basename(filePath));
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// Approve, reject or request resubmission of a company's credentials
+router.patch("/companies/:id/credential", async(req, res) => {
+    try {
+        const { decision, adminNotes = "" } = req.body;
+        const status = CREDENTIAL_DECISIONS[decision];
+
+        if (!status) {
+            return res.status(400).json({
+                message: `Invalid decision. Must be one of: ${Object.keys(CREDENTIAL_DECISIONS).join(", ")}`
+            });
+        }
+
+        if (status !== "approved" && !adminNotes.trim()) {
+            return res.status(400).json({ message: "Admin notes are required when rejecting or requesting resubmission." });
+        }
+
+        const company = await Company.findById(req.params.id);
+        if (!company) {
+            return res.status(404).json({ message: "Company not found." });
+        }
+
+        if (status === "approved" && !company.credentialFile) {
+            return res.status(409).json({ message: "Company has not submitted a credential document." });
+        }
+
+        const previousStatus = company.credentialStatus;
+        await company.reviewCredential(status, req.admin._id, adminNotes);
+
+        await audit(req, `company.credential.${decision}`, "Company", company._id, [
+            { field: "credentialStatus", from: previousStatus, to: status },
+            ...(adminNotes ? [{ field: "adminNotes", from: null, to: adminNotes }] : [])
+        ]);
+
+        try {
+            await mailService.sendTemplate({
+                to: company.email,
+                template: "company-credential-review",
+                locale: company.preferredLanguage,
+                data: {
+                    name: company.companyName,
+                    status,
+                    adminNotes,
+                    profileUrl: `${process.env.FRONTEND_URL || "http://localhost:5173"}/company/profile`
+                }
+            });
+        } catch (mailError) {
+            console.error("Credential decision email error:", mailError);
+        }
+
+        res.json({
+            message: `Company credential ${status}.`,
+            company: {
+                _id: company._id,
+                companyName: company.companyName,
+                credentialStatus: company.credentialStatus,
+                credentialReviewDate: company.credentialReviewDate,
+                adminNotes: company.adminNotes,
+                isVerified: company.isVerified
+            }
+        });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// ----- Jobs -----
+
+router.get("/jobs", async(req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const { search, companyId, isActive } = req.query;
+
+        const query = {};
+        if (search) query.title = new RegExp(escapeRegex(search), "i");
+        if (companyId) query.companyId = companyId;
+        if (isActive !== undefined) query.isActive = isActive === "true";
+
+        const [jobs, total] = await Promise.all([
+            Job.find(query)
+                .populate("companyId", "companyName email")
+                .sort({ datePosted: -1 })
+                .skip(skip)
+                .limit(limit),
+            Job.countDocuments(query)
+        ]);
+
+        res.json({ jobs, totalPages: Math.ceil(total / limit), currentPage: page, total });
+    } catch (err) {
+        console.error("Admin list jobs error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Moderate a job posting (activate, deactivate, feature)
+router.patch("/jobs/:id", async(req, res) => {
+    try {
+        const allowedUpdates = ["isActive", "isFeatured"];
+        const updates = {};
+        allowedUpdates.forEach(key => {
+            if (typeof req.body[key] === "boolean") updates[key] = req.body[key];
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: "Provide isActive and/or isFeatured as booleans." });
+        }
+
+        const job = await Job.findById(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: "Job not found." });
+        }
+
+        const before = job.toObject();
+        job.set(updates);
+        await job.save();
+
+        await audit(req, "job.update", "Job", job._id, AuditLog.diff(before, job.toObject(), Object.keys(updates)));
+
+        res.json({ message: "Job updated successfully.", job });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+router.delete("/jobs/:id", async(req, res) => {
+    try {
+        const job = await Job.findByIdAndDelete(req.params.id);
+        if (!job) {
+            return res.status(404).json({ message: "Job not found." });
+        }
+
+        await audit(req, "job.delete", "Job", job._id, [
+            { field: "title", from: job.title, to: null }
+        ]);
+
+        res.json({ message: "Job deleted successfully." });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// ----- Categories -----
+
+router.get("/categories", async(req, res) => {
+    try {
+        const categories = await Category.find().sort({ categoryType: 1, categoryName: 1 });
+        res.json(categories);
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.post("/categories", async(req, res) => {
+    try {
+        const { categoryName, categoryType, description, isActive } = req.body;
+        const category = await Category.create({ categoryName, categoryType, description, isActive });
+
+        await audit(req, "category.create", "Category", category._id, [
+            { field: "categoryName", from: null, to: category.categoryName }
+        ]);
+
+        res.status(201).json(category);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Category with this name already exists." });
+        }
+        res.status(400).json({ message: err.message });
+    }
+});
+
+router.put("/categories/:id", async(req, res) => {
+    try {
+        const allowedUpdates = ["categoryName", "categoryType", "description", "isActive"];
+        const updates = {};
+        allowedUpdates.forEach(key => {
+            if (req.body[key] !== undefined) updates[key] = req.body[key];
+        });
+
+        const category = await Category.findById(req.params.id);
+        if (!category) {
+            return res.status(404).json({ message: "Category not found." });
+        }
+
+        const before = category.toObject();
+        category.set(updates);
+        await category.save();
+
+        await audit(req, "category.update", "Category", category._id, AuditLog.diff(before, category.toObject(), Object.keys(updates)));
+
+        res.json(category);
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ message: "Category with this name already exists." });
+        }
+        res.status(400).json({ message: err.message });
+    }
+});
+
+router.delete("/categories/:id", async(req, res) => {
+    try {
+        const category = await Category.findByIdAndDelete(req.params.id);
+        if (!category) {
+            return res.status(404).json({ message: "Category not found." });
+        }
+
+        await audit(req, "category.delete", "Category", category._id, [
+            { field: "categoryName", from: category.categoryName, to: null }
+        ]);
+
+        res.json({ message: "Category deleted successfully." });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// ----- CV Analyses -----
+
+router.get("/cv-analyses", async(req, res) => {
+    try {
+        const { page, limit } = parsePagination(req.query);
+        const { userId, status, includeDeleted } = req.query;
+
+        const query = {};
+        if (userId) query.userId = userId;
+        if (status) query.processingStatus = status;
+        if (includeDeleted !== "true") query.isActive = true;
+
+        const analyses = await CVAnalysis.paginate(query, {
+            page,
+            limit,
+            sort: { createdAt: -1 },
+            select: "-extractedText",
+            populate: { path: "userId", select: "fullName email" }
+        });
+
+        res.json(analyses);
+    } catch (err) {
+        console.error("Admin list CV analyses error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+router.get("/cv-analyses/:id", async(req, res) => {
+    try {
+        const analysis = await CVAnalysis.findById(req.params.id)
+            .select("-extractedText")
+            .populate("userId", "fullName email");
+        if (!analysis) {
+            return res.status(404).json({ message: "Analysis not found." });
+        }
+        res.json(analysis);
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+router.delete("/cv-analyses/:id", async(req, res) => {
+    try {
+        const analysis = await CVAnalysis.findById(req.params.id);
+        if (!analysis || !analysis.isActive) {
+            return res.status(404).json({ message: "Analysis not found." });
+        }
+
+        await analysis.softDelete();
+
+        await audit(req, "cv-analysis.delete", "CVAnalysis", analysis._id, [
+            { field: "isActive", from: true, to: false }
+        ]);
+
+        res.json({ message: "Analysis deleted successfully." });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+// Analyses per day by status, with average scores and the failure rate, ?from=&to= (ISO dates)
+router.get("/cv-analytics", async(req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ message: "from and to must be valid dates, with from before to." });
+        }
+
+        res.json(await CVAnalysis.getPlatformAnalytics(from, to));
+    } catch (err) {
+        console.error("Admin CV analytics error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// Recommendation outcomes and ratings per category, ?from=&to= (ISO dates)&engine=openai|heuristic
+router.get("/recommendation-feedback", async(req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ message: "from and to must be valid dates, with from before to." });
+        }
+        const { engine } = req.query;
+        if (engine && !["openai", "heuristic"].includes(engine)) {
+            return res.status(400).json({ message: "engine must be openai or heuristic." });
+        }
+
+        res.json(await CVAnalysis.getRecommendationFeedback(from, to, { engine }));
+    } catch (err) {
+        console.error("Admin recommendation feedback error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// ----- AI usage -----
+
+// Cost dashboard: usage across all accounts by UTC day and model, ?from=&to= (ISO dates)
+router.get("/ai-usage", async(req, res) => {
+    try {
+        res.json(await usageService.getCostDashboard(req.query.from, req.query.to));
+    } catch (err) {
+        if (err instanceof UsageServiceError) {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error("Admin AI usage error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+// ----- Audit trail -----
+
+router.get("/audit-logs", async(req, res) => {
+    try {
+        const { page, limit, skip } = parsePagination(req.query);
+        const { actorType, actorId, targetType, targetId, action } = req.query;
+
+        const query = {};
+        if (actorType) query.actorType = actorType;
+        if (actorId) query.actorId = actorId;
+        if (targetType) query.targetType = targetType;
+        if (targetId) query.targetId = targetId;
+        if (action) query.action = action;
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({ logs, totalPages: Math.ceil(total / limit), currentPage: page, total });
+    } catch (err) {
+        console.error("Admin audit log error:", err);
+        res.status(500).json({ message: err.message });
+    }
+});
+
+export default router;
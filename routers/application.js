@@ -2,11 +2,17 @@ import express from "express";
 import mongoose from "mongoose";
 import Application from "../models/application.model.js";
 import Job from "../models/job.model.js";
-import { authenticateUser, authenticateCompany } from "../middleware/auth.js";
+import Company from "../models/company.model.js";
+import calendarService from "../services/calendar.service.js";
+import MailService from "../services/mail.service.js";
+import { withTransaction } from "../config/database.js";
+import eventService, { EVENTS } from "../services/event.service.js";
+import { authenticateUser, authenticateCompany, authenticateAny, requireVerifiedEmail } from "../middleware/auth.js";
 import multer from "multer";
 import path from "path";
 
 const router = express.Router();
+const mailService = new MailService();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -34,8 +40,95 @@ const upload = multer({
     }
 });
 
+const MAX_INTERVIEW_SLOTS = 10;
+
+// Validate proposed interview slots; a slot without an end lasts durationMinutes
+function parseInterviewSlots(slots, durationMinutes = 60) {
+    if (!Array.isArray(slots) || slots.length === 0) {
+        throw new Error("At least one interview slot is required");
+    }
+    if (slots.length > MAX_INTERVIEW_SLOTS) {
+        throw new Error(`No more than ${MAX_INTERVIEW_SLOTS} slots can be proposed at once`);
+    }
+
+    return slots.map(slot => {
+        const start = new Date(slot.start);
+        const end = slot.end ? new Date(slot.end) : new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+        if (isNaN(start) || isNaN(end)) {
+            throw new Error("Interview slots need a valid start and end");
+        }
+        if (end <= start) {
+            throw new Error("Interview slot must end after it starts");
+        }
+        if (start <= new Date()) {
+            throw new Error("Interview slots must be in the future");
+        }
+        return { start, end };
+    });
+}
+
+// Check whether the authenticated user or company is a party to the application
+function isApplicationParticipant(application, req) {
+    if (req.userType === "user") {
+        return application.userId.toString() === req.user._id.toString();
+    }
+    return application.jobId?.companyId?.toString() === req.company._id.toString();
+}
+
+// Sort keys accepted by the company applicant list, mapped to fields
+const COMPANY_APPLICATION_SORTS = {
+    applicationDate: "applicationDate",
+    fitScore: "screening.fitScore"
+};
+
+const MAX_BULK_APPLICATIONS = 200;
+
+// Validate and de-duplicate the application ids of a bulk request
+function parseBulkIds(applicationIds) {
+    if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+        throw new Error("applicationIds must be a non-empty array");
+    }
+    const ids = [...new Set(applicationIds.map(String))];
+    if (ids.length > MAX_BULK_APPLICATIONS) {
+        throw new Error(`No more than ${MAX_BULK_APPLICATIONS} applications can be processed at once`);
+    }
+    return ids;
+}
+
+// Load the company's applications among the given ids, keyed by id
+async function findCompanyApplications(companyId, ids, session = null) {
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const applications = await Application.find({ _id: { $in: validIds } })
+        .populate("jobId", "title companyId")
+        .session(session);
+
+    return new Map(applications
+        .filter(application => application.jobId?.companyId?.toString() === companyId.toString())
+        .map(application => [application._id.toString(), application]));
+}
+
+// Fill {{placeholders}} in a bulk message template for one application
+function renderMessageTemplate(template, application, company) {
+    const values = {
+        fullName: application.fullName,
+        jobTitle: application.jobId?.title || "",
+        companyName: company.companyName,
+        status: application.status
+    };
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => values[key] ?? match);
+}
+
+// Quote a CSV value, neutralising spreadsheet formulas
+function toCsvValue(value) {
+    if (value === undefined || value === null) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 // Submit application (User only)
-router.post("/", authenticateUser, upload.single("resume"), async(req, res) => {
+router.post("/", authenticateUser, requireVerifiedEmail("apply"), upload.single("resume"), async(req, res) => {
     try {
         const { jobId } = req.body;
 
@@ -60,12 +153,17 @@ router.post("/", authenticateUser, upload.single("resume"), async(req, res) => {
             return res.status(400).json({ message: "Application deadline has passed" });
         }
 
+        // Screening results are only ever written by the screening service
+        const { screening, aiScreeningOptOut, ...fields } = req.body;
         const applicationData = {
-            ...req.body,
+            ...fields,
             userId: req.user._id,
             resume: req.file ? req.file.path : null,
             email: req.user.email
         };
+        if (aiScreeningOptOut === true || aiScreeningOptOut === "true") {
+            applicationData.screening = { status: "opted-out" };
+        }
 
         const application = new Application(applicationData);
         await application.save();
@@ -73,6 +171,25 @@ router.post("/", authenticateUser, upload.single("resume"), async(req, res) => {
         // Increment job applications count
         await job.incrementApplications();
 
+        eventService.publish(EVENTS.APPLICATION_SUBMITTED, { application, job });
+
+        try {
+            const company = await Company.findById(job.companyId).select("companyName");
+            await mailService.sendTemplate({
+                to: application.email,
+                template: "application-received",
+                locale: req.user.preferredLanguage,
+                data: {
+                    name: application.fullName,
+                    jobTitle: job.title,
+                    companyName: company?.companyName || "",
+                    applicationsUrl: `${process.env.FRONTEND_URL || "http://localhost:5173"}/applications`
+                }
+            });
+        } catch (mailError) {
+            console.error("Application received email error:", mailError);
+        }
+
         res.status(201).json({
             message: "Application submitted successfully",
             application
@@ -119,7 +236,12 @@ router.get("/my-applications", authenticateUser, async(req, res) => {
 // Get applications for company's jobs
 router.get("/company-applications", authenticateCompany, async(req, res) => {
     try {
-        const { page = 1, limit = 10, status, jobId } = req.query;
+        const { page = 1, limit = 10, status, jobId, screeningStatus, needsHumanReview, minFitScore, maxFitScore, sort = "-applicationDate" } = req.query;
+
+        const sortField = sort.replace(/^-/, "");
+        if (!COMPANY_APPLICATION_SORTS[sortField]) {
+            return res.status(400).json({ message: `sort must be one of: ${Object.keys(COMPANY_APPLICATION_SORTS).join(", ")} (prefix with - for descending)` });
+        }
 
         // Get company's jobs
         const companyJobs = await Job.find({ companyId: req.company._id }).select("_id");
@@ -128,11 +250,18 @@ router.get("/company-applications", authenticateCompany, async(req, res) => {
         const query = { jobId: { $in: jobIds } };
         if (status) query.status = status;
         if (jobId) query.jobId = jobId;
+        if (screeningStatus) query["screening.status"] = screeningStatus;
+        if (needsHumanReview !== undefined) query["screening.needsHumanReview"] = needsHumanReview === "true";
+        if (minFitScore !== undefined || maxFitScore !== undefined) {
+            query["screening.fitScore"] = {};
+            if (minFitScore !== undefined) query["screening.fitScore"].$gte = Number(minFitScore);
+            if (maxFitScore !== undefined) query["screening.fitScore"].$lte = Number(maxFitScore);
+        }
 
         const applications = await Application.find(query)
             .populate("userId", "fullName email phoneNumber")
             .populate("jobId", "title location type")
-            .sort({ applicationDate: -1 })
+            .sort({ [COMPANY_APPLICATION_SORTS[sortField]]: sort.startsWith("-") ? -1 : 1, _id: -1 })
             .limit(limit * 1)
             .skip((page - 1) * limit);
 
@@ -176,6 +305,153 @@ router.get("/company-applications/status-counts", authenticateCompany, async(req
     }
 });
 
+// Change the status of many applications at once (Company only)
+router.patch("/company-applications/bulk/status", authenticateCompany, async(req, res) => {
+    try {
+        const { status, note = "", messageTemplate } = req.body;
+        const ids = parseBulkIds(req.body.applicationIds);
+
+        if (!status) {
+            return res.status(400).json({ message: "Status is required" });
+        }
+
+        let results = [];
+        let updated = [];
+
+        // Everything below runs again if the transaction is retried
+        await withTransaction(async(session) => {
+            results = [];
+            updated = [];
+            const applications = await findCompanyApplications(req.company._id, ids, session);
+
+            for (const id of ids) {
+                const application = applications.get(id);
+
+                if (!application) {
+                    results.push({ applicationId: id, success: false, message: "Application not found" });
+                    continue;
+                }
+
+                if (!application.canTransitionTo(status, "Company")) {
+                    results.push({
+                        applicationId: id,
+                        success: false,
+                        message: `Cannot change application status from ${application.status} to ${status}`,
+                        allowedTransitions: application.getAllowedTransitions("Company")
+                    });
+                    continue;
+                }
+
+                const message = messageTemplate ? renderMessageTemplate(messageTemplate, { ...application.toObject(), status }, req.company) : "";
+                // The full message goes out with the candidate's notification; the history keeps what fits
+                await application.updateStatus(status, (message || note).substring(0, 500), req.company._id, "Company", { session, message: message || null });
+
+                results.push({ applicationId: id, success: true, status });
+                updated.push(application);
+            }
+        });
+
+        // Notify candidates only once the changes are committed
+        for (const application of updated) {
+            application.publishPendingEvents();
+        }
+
+        res.json({
+            message: `${updated.length} of ${ids.length} applications updated`,
+            succeeded: updated.length,
+            failed: ids.length - updated.length,
+            results
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Add the same note to many applications at once (Company only)
+router.post("/company-applications/bulk/notes", authenticateCompany, async(req, res) => {
+    try {
+        const { note } = req.body;
+        const ids = parseBulkIds(req.body.applicationIds);
+
+        if (!note || !note.trim()) {
+            return res.status(400).json({ message: "Note is required" });
+        }
+
+        let results = [];
+
+        await withTransaction(async(session) => {
+            results = [];
+            const applications = await findCompanyApplications(req.company._id, ids, session);
+
+            for (const id of ids) {
+                const application = applications.get(id);
+
+                if (!application) {
+                    results.push({ applicationId: id, success: false, message: "Application not found" });
+                    continue;
+                }
+
+                await application.addCompanyNote(note, req.company._id, { session });
+                results.push({ applicationId: id, success: true });
+            }
+        });
+
+        const succeeded = results.filter(result => result.success).length;
+
+        res.json({
+            message: `Note added to ${succeeded} of ${ids.length} applications`,
+            succeeded,
+            failed: ids.length - succeeded,
+            results
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Export selected applications as CSV (Company only)
+router.post("/company-applications/bulk/export", authenticateCompany, async(req, res) => {
+    try {
+        const ids = parseBulkIds(req.body.applicationIds);
+        const applications = await findCompanyApplications(req.company._id, ids);
+
+        const columns = [
+            ["Application ID", application => application._id],
+            ["Full Name", application => application.fullName],
+            ["Email", application => application.email],
+            ["Phone Number", application => application.phoneNumber],
+            ["Domicile", application => application.domicile],
+            ["Job Title", application => application.jobId?.title],
+            ["Status", application => application.status],
+            ["Application Date", application => application.applicationDate],
+            ["Experience Level", application => application.experienceLevel],
+            ["Expected Salary", application => application.expectedSalary?.amount],
+            ["Salary Currency", application => application.expectedSalary?.amount !== undefined ? application.expectedSalary.currency : ""],
+            ["Salary Period", application => application.expectedSalary?.amount !== undefined ? application.expectedSalary.period : ""],
+            ["Available Start Date", application => application.availableStartDate],
+            ["Resume", application => application.resume],
+            ["Fit Score", application => application.screening?.fitScore],
+            ["Needs Human Review", application => application.screening?.needsHumanReview ? "yes" : "no"]
+        ];
+
+        const rows = [columns.map(([header]) => header)];
+        for (const id of ids) {
+            const application = applications.get(id);
+            if (application) {
+                rows.push(columns.map(([, getValue]) => getValue(application)));
+            }
+        }
+
+        const csv = rows.map(row => row.map(toCsvValue).join(",")).join("\r\n") + "\r\n";
+
+        res.set("Content-Type", "text/csv; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="applications-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
 // Update application status (Company only)
 router.patch("/:id/status", authenticateCompany, async(req, res) => {
     try {
@@ -193,6 +469,14 @@ router.patch("/:id/status", authenticateCompany, async(req, res) => {
             return res.status(403).json({ message: "Unauthorized" });
         }
 
+        if (!application.canTransitionTo(status, "Company")) {
+            return res.status(409).json({
+                message: `Cannot change application status from ${application.status} to ${status}`,
+                currentStatus: application.status,
+                allowedTransitions: application.getAllowedTransitions("Company")
+            });
+        }
+
         await application.updateStatus(status, note, req.company._id);
 
         res.json({
@@ -232,6 +516,38 @@ router.post("/:id/note", authenticateCompany, async(req, res) => {
     }
 });
 
+// Set or clear the human-review flag on an application's AI screening (Company only)
+router.patch("/:id/screening/review", authenticateCompany, async(req, res) => {
+    try {
+        const { needsHumanReview, reason } = req.body;
+
+        if (typeof needsHumanReview !== "boolean") {
+            return res.status(400).json({ message: "needsHumanReview must be true or false" });
+        }
+
+        const application = await Application.findById(req.params.id)
+            .populate("jobId", "companyId");
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if company owns the job
+        if (application.jobId.companyId.toString() !== req.company._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        await application.setScreeningReview(needsHumanReview, reason, req.company._id);
+
+        res.json({
+            message: needsHumanReview ? "Application flagged for human review" : "Human review completed",
+            screening: application.screening
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
 // Get single application details for company
 router.get("/company/:id", authenticateCompany, async(req, res) => {
     try {
@@ -246,7 +562,8 @@ router.get("/company/:id", authenticateCompany, async(req, res) => {
         
         const application = await Application.findById(req.params.id)
             .populate("jobId", "title location type companyId")
-            .populate("userId", "fullName email phoneNumber");
+            .populate("userId", "fullName email phoneNumber")
+            .populate("statusHistory.updatedBy", "fullName companyName");
 
         console.log('Application found:', !!application);
         if (application) {
@@ -275,6 +592,492 @@ router.get("/company/:id", authenticateCompany, async(req, res) => {
     }
 });
 
+// Propose a new interview round with one or more slots (Company only)
+router.post("/:id/interviews", authenticateCompany, async(req, res) => {
+    try {
+        const { title, type, location, interviewers = [], durationMinutes, notes } = req.body;
+
+        const application = await Application.findById(req.params.id)
+            .populate("jobId", "companyId title");
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if company owns the job
+        if (application.jobId.companyId.toString() !== req.company._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        if (application.status !== "interview" && !application.canTransitionTo("interview", "Company")) {
+            return res.status(409).json({
+                message: `Cannot schedule an interview while the application is ${application.status}`,
+                currentStatus: application.status,
+                allowedTransitions: application.getAllowedTransitions("Company")
+            });
+        }
+
+        const slots = parseInterviewSlots(req.body.slots, durationMinutes);
+
+        const conflicts = await Application.findInterviewConflicts(req.company._id, slots, interviewers);
+        if (conflicts.length) {
+            return res.status(409).json({ message: "Proposed slots conflict with scheduled interviews", conflicts });
+        }
+
+        const interview = application.addInterviewRound({ title, type, location, interviewers, slots, notes }, req.company._id);
+
+        if (application.status !== "interview") {
+            await application.updateStatus("interview", `Interview round ${interview.round} proposed`, req.company._id);
+        } else {
+            await application.save();
+        }
+
+        res.status(201).json({
+            message: "Interview proposed successfully",
+            interview
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// List interview rounds (owning user or company)
+router.get("/:id/interviews", authenticateAny, async(req, res) => {
+    try {
+        const application = await Application.findById(req.params.id)
+            .populate("jobId", "companyId");
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        if (!isApplicationParticipant(application, req)) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        res.json({ interviews: application.interviews });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Propose new slots for an existing round, e.g. after a reschedule request (Company only)
+router.put("/:id/interviews/:interviewId/slots", authenticateCompany, async(req, res) => {
+    try {
+        const application = await Application.findById(req.params.id)
+            .populate("jobId", "companyId");
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if company owns the job
+        if (application.jobId.companyId.toString() !== req.company._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        const interview = application.interviews.id(req.params.interviewId);
+        if (!interview) {
+            return res.status(404).json({ message: "Interview not found" });
+        }
+
+        if (["completed", "cancelled"].includes(interview.status)) {
+            return res.status(409).json({ message: `Interview is already ${interview.status}` });
+        }
+
+        const slots = parseInterviewSlots(req.body.slots, req.body.durationMinutes);
+
+        const conflicts = await Application.findInterviewConflicts(req.company._id, slots, interview.interviewers, interview._id);
+        if (conflicts.length) {
+            return res.status(409).json({ message: "Proposed slots conflict with scheduled interviews", conflicts });
+        }
+
+        interview.proposedSlots = slots;
+        interview.status = "proposed";
+        interview.scheduledStart = undefined;
+        interview.scheduledEnd = undefined;
+        await application.save();
+
+        res.json({
+            message: "New interview slots proposed",
+            interview
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Accept one of the proposed slots (User only)
+router.patch("/:id/interviews/:interviewId/accept", authenticateUser, async(req, res) => {
+    try {
+        const { slotId } = req.body ?? {};
+
+        const application = await Application.findById(req.params.id)
+            .populate({
+                path: "jobId",
+                select: "title companyId",
+                populate: { path: "companyId", select: "companyName" }
+            });
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if user owns the application
+        if (application.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        if (application.isTerminal()) {
+            return res.status(409).json({
+                message: `Interviews can't be changed while the application is ${application.status}`,
+                currentStatus: application.status
+            });
+        }
+
+        const interview = application.interviews.id(req.params.interviewId);
+        if (!interview) {
+            return res.status(404).json({ message: "Interview not found" });
+        }
+
+        if (interview.status !== "proposed") {
+            return res.status(409).json({ message: `Interview is ${interview.status}, not awaiting a slot choice` });
+        }
+
+        const slot = interview.proposedSlots.id(slotId);
+        if (!slot) {
+            return res.status(400).json({ message: "Please choose one of the proposed slots" });
+        }
+
+        // The company's calendar may have filled up since the slots were proposed
+        const company = application.jobId.companyId;
+        const conflicts = await Application.findInterviewConflicts(company._id, [slot], interview.interviewers, interview._id);
+        if (conflicts.length) {
+            return res.status(409).json({ message: "This slot is no longer available. Please choose another one or request a reschedule." });
+        }
+
+        await application.scheduleInterview(interview, slot);
+
+        try {
+            await mailService.sendTemplate({
+                to: application.email,
+                template: "interview-scheduled",
+                locale: req.user.preferredLanguage,
+                data: {
+                    name: application.fullName,
+                    jobTitle: application.jobId.title,
+                    companyName: company.companyName,
+                    start: interview.scheduledStart,
+                    end: interview.scheduledEnd,
+                    type: interview.type,
+                    location: interview.location
+                }
+            });
+        } catch (mailError) {
+            console.error("Interview scheduled email error:", mailError);
+        }
+
+        res.json({
+            message: "Interview scheduled successfully",
+            interview
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Ask the company for different slots (User only)
+router.patch("/:id/interviews/:interviewId/reschedule", authenticateUser, async(req, res) => {
+    try {
+        const { reason } = req.body ?? {};
+
+        const application = await Application.findById(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if user owns the application
+        if (application.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        if (application.isTerminal()) {
+            return res.status(409).json({
+                message: `Interviews can't be changed while the application is ${application.status}`,
+                currentStatus: application.status
+            });
+        }
+
+        const interview = application.interviews.id(req.params.interviewId);
+        if (!interview) {
+            return res.status(404).json({ message: "Interview not found" });
+        }
+
+        if (!["proposed", "scheduled"].includes(interview.status)) {
+            return res.status(409).json({ message: `Interview is already ${interview.status}` });
+        }
+
+        interview.status = "reschedule-requested";
+        interview.rescheduleReason = reason;
+        interview.scheduledStart = undefined;
+        interview.scheduledEnd = undefined;
+        await application.save();
+
+        res.json({
+            message: "Reschedule requested",
+            interview
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Mark an interview round as completed or cancelled (Company only)
+router.patch("/:id/interviews/:interviewId/status", authenticateCompany, async(req, res) => {
+    try {
+        const { status, notes } = req.body;
+
+        if (!["completed", "cancelled"].includes(status)) {
+            return res.status(400).json({ message: "Status must be completed or cancelled" });
+        }
+
+        const application = await Application.findById(req.params.id)
+            .populate("jobId", "companyId");
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if company owns the job
+        if (application.jobId.companyId.toString() !== req.company._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        const interview = application.interviews.id(req.params.interviewId);
+        if (!interview) {
+            return res.status(404).json({ message: "Interview not found" });
+        }
+
+        if (status === "completed" && interview.status !== "scheduled") {
+            return res.status(409).json({ message: "Only scheduled interviews can be completed" });
+        }
+
+        interview.status = status;
+        if (notes !== undefined) interview.notes = notes;
+        await application.save();
+
+        res.json({
+            message: `Interview ${status}`,
+            interview
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Download a scheduled interview as an iCalendar file (owning user or company)
+router.get("/:id/interviews/:interviewId/ics", authenticateAny, async(req, res) => {
+    try {
+        const application = await Application.findById(req.params.id)
+            .populate({
+                path: "jobId",
+                select: "title companyId",
+                populate: { path: "companyId", select: "companyName email" }
+            });
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        const company = application.jobId.companyId;
+        const isParticipant = req.userType === "user"
+            ? application.userId.toString() === req.user._id.toString()
+            : company._id.toString() === req.company._id.toString();
+
+        if (!isParticipant) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        const interview = application.interviews.id(req.params.interviewId);
+        if (!interview) {
+            return res.status(404).json({ message: "Interview not found" });
+        }
+
+        if (!["scheduled", "cancelled"].includes(interview.status) || !interview.scheduledStart) {
+            return res.status(409).json({ message: "Interview has not been scheduled yet" });
+        }
+
+        const description = [
+            `${interview.title} for ${application.jobId.title} at ${company.companyName}`,
+            interview.interviewers.length ? `Interviewers: ${interview.interviewers.join(", ")}` : null,
+            interview.notes
+        ].filter(Boolean).join("\n\n");
+
+        const ics = calendarService.createEvent({
+            uid: `interview-${interview._id}@jobhive`,
+            start: interview.scheduledStart,
+            end: interview.scheduledEnd,
+            summary: `${interview.title}: ${application.jobId.title} (${company.companyName})`,
+            description,
+            location: interview.location,
+            organizerName: company.companyName,
+            organizerEmail: company.email,
+            attendees: [{ name: application.fullName, email: application.email }],
+            status: interview.status === "cancelled" ? "CANCELLED" : "CONFIRMED"
+        });
+
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.set("Content-Disposition", `attachment; filename="interview-${interview._id}.ics"`);
+        res.send(ics);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Get the statuses an application can move to next (owning user or company)
+router.get("/:id/transitions", authenticateAny, async(req, res) => {
+    try {
+        const application = await Application.findById(req.params.id)
+            .populate("jobId", "companyId");
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        if (!isApplicationParticipant(application, req)) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        const actorType = req.userType === "user" ? "User" : "Company";
+
+        res.json({
+            currentStatus: application.status,
+            isTerminal: application.isTerminal(),
+            allowedTransitions: application.getAllowedTransitions(actorType)
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Withdraw an application (User only)
+router.patch("/:id/withdraw", authenticateUser, async(req, res) => {
+    try {
+        const { reason } = req.body ?? {};
+
+        const application = await Application.findById(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if user owns the application
+        if (application.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        if (!application.isWithdrawable()) {
+            return res.status(409).json({
+                message: `Application cannot be withdrawn while it is ${application.status}`,
+                currentStatus: application.status,
+                allowedTransitions: application.getAllowedTransitions("User")
+            });
+        }
+
+        await application.withdraw(req.user._id, reason);
+
+        // Withdrawn applications no longer count towards the job
+        const job = await Job.findById(application.jobId);
+        if (job) {
+            await job.decrementApplications();
+        }
+
+        res.json({
+            message: "Application withdrawn successfully",
+            application
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Opt an application out of AI screening and remove its results (User only)
+router.patch("/:id/screening/opt-out", authenticateUser, async(req, res) => {
+    try {
+        const application = await Application.findById(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if user owns the application
+        if (application.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        await application.optOutOfScreening();
+
+        res.json({
+            message: "Application opted out of AI screening",
+            screening: application.screening
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Edit an application while it is still editable (User only)
+router.put("/:id", authenticateUser, upload.single("resume"), async(req, res) => {
+    try {
+        const application = await Application.findById(req.params.id);
+
+        if (!application) {
+            return res.status(404).json({ message: "Application not found" });
+        }
+
+        // Check if user owns the application
+        if (application.userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ message: "Unauthorized" });
+        }
+
+        if (!application.isEditable()) {
+            return res.status(400).json({ message: `Application can no longer be edited while it is ${application.status}` });
+        }
+
+        const { coverLetter, personalStatement } = req.body;
+        let { expectedSalary } = req.body;
+
+        // Multipart requests send nested objects as JSON strings
+        if (typeof expectedSalary === "string") {
+            try {
+                expectedSalary = JSON.parse(expectedSalary);
+            } catch {
+                return res.status(400).json({ message: "expectedSalary must be an object" });
+            }
+        }
+
+        const changes = await application.applyCandidateEdits({
+            coverLetter,
+            personalStatement,
+            expectedSalary,
+            resume: req.file ? req.file.path : undefined
+        }, req.user._id);
+
+        if (changes.length) {
+            eventService.publish(EVENTS.APPLICATION_UPDATED, { application, changes, updatedBy: req.user._id });
+        }
+
+        res.json({
+            message: changes.length ? "Application updated successfully" : "No changes to update",
+            changes,
+            application
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
 // Get single application details
 router.get("/:id", authenticateUser, async(req, res) => {
     try {
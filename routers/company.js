@@ -2,9 +2,15 @@ import express from "express";
 import Company from "../models/company.model.js";
 import multer from "multer";
 import path from "path";
-import jwt from "jsonwebtoken";
+import fs from "fs";
+import AuditLog from "../models/auditlog.model.js";
+import { authenticateCompany } from "../middleware/auth.js";
+import MailService from "../services/mail.service.js";
+import tokenService from "../services/token.service.js";
+import usageService, { UsageServiceError } from "../services/usage.service.js";
 
 const router = express.Router();
+const mailService = new MailService();
 
 // Multer setup
 const storage = multer.diskStorage({
@@ -14,6 +20,35 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
+// Credential documents are kept outside the public /uploads directory
+const credentialStorage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const credentialDir = process.env.CREDENTIAL_UPLOAD_DIR || "storage/credentials";
+        if (!fs.existsSync(credentialDir)) {
+            fs.mkdirSync(credentialDir, { recursive: true });
+        }
+        cb(null, credentialDir);
+    },
+    filename: (req, file, cb) => {
+        const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1E9);
+        cb(null, "credential-" + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    },
+});
+const credentialUpload = multer({
+    storage: credentialStorage,
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = /pdf|jpeg|jpg|png/;
+        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+        const mimetype = allowedTypes.test(file.mimetype);
+
+        if (mimetype && extname) {
+            return cb(null, true);
+        }
+        cb(new Error("Only PDF, JPG and PNG credential documents are allowed"));
+    },
+});
+
 function validateEmail(email) {
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
@@ -30,27 +65,45 @@ function validatePassword(password) {
         /\d/.test(password);
 }
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-    const token = (req.header("Authorization") || "").replace("Bearer ", "");
+// Email the company a link to verify its address
+async function sendVerificationEmail(company) {
+    const verificationToken = company.createEmailVerificationToken();
+    await company.save({ validateBeforeSave: false });
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const verifyUrl = `${frontendUrl}/company/verify-email/${verificationToken}`;
+
+    await mailService.sendTemplate({
+        to: company.email,
+        template: "email-verification",
+        locale: company.preferredLanguage,
+        data: {
+            name: company.companyName,
+            verifyUrl,
+            expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+        }
+    });
+}
 
-    if (!token) {
-        return res
-            .status(401)
-            .json({ message: "Access denied. No token provided." });
+// Pick the email language from the request body, falling back to Accept-Language
+function resolvePreferredLanguage(req) {
+    const supported = Company.schema.path("preferredLanguage").enumValues;
+    if (req.body.preferredLanguage) {
+        return supported.includes(req.body.preferredLanguage) ? req.body.preferredLanguage : null;
     }
+    return req.acceptsLanguages(...supported) || undefined;
+}
 
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.company = decoded;
-        next();
-    } catch (error) {
-        return res.status(400).json({ message: "Invalid token." });
+// Reject requests for another company's profile
+const requireOwnProfile = (req, res, next) => {
+    if (req.params.id !== req.company._id.toString()) {
+        return res.status(403).json({ message: "You can only access your own company profile." });
     }
+    next();
 };
 
 // Register (with credential file)
-router.post("/register", upload.single("credentialFile"), async(req, res) => {
+router.post("/register", credentialUpload.single("credentialFile"), async(req, res) => {
     try {
         const { companyName, email, password, phoneNumber } = req.body;
 
@@ -74,6 +127,11 @@ router.post("/register", upload.single("credentialFile"), async(req, res) => {
             });
         }
 
+        const preferredLanguage = resolvePreferredLanguage(req);
+        if (preferredLanguage === null) {
+            return res.status(400).json({ message: "Unsupported preferred language." });
+        }
+
         // Check if company already exists
         const existingCompany = await Company.findOne({ email });
         if (existingCompany) {
@@ -86,16 +144,34 @@ router.post("/register", upload.single("credentialFile"), async(req, res) => {
             email,
             password, // Will be hashed automatically
             phoneNumber,
+            preferredLanguage,
         });
 
         await company.save();
 
+        // Queue the uploaded credential document for admin review
+        if (req.file) {
+            await company.submitCredential(req.file);
+        }
+
+        // Registration still succeeds if the mail can't be sent; the company can ask for a resend
+        let emailVerificationSent = true;
+        try {
+            await sendVerificationEmail(company);
+        } catch (mailError) {
+            console.error("Company verification email error:", mailError);
+            emailVerificationSent = false;
+        }
+
         res.status(201).json({
-            message: "Company registered successfully.",
+            message: "Company registered successfully. Please check your email to verify your account.",
+            emailVerificationSent,
             company: {
                 _id: company._id,
                 companyName: company.companyName,
-                email: company.email
+                email: company.email,
+                emailVerified: company.emailVerified,
+                credentialStatus: company.credentialStatus
             }
         });
     } catch (err) {
@@ -143,18 +219,20 @@ router.post("/login", async(req, res) => {
         // Update last login
         await company.updateLastLogin();
 
-        // Issue JWT for company
-        const token = jwt.sign({ companyId: company._id, email: company.email, type: "company" },
-            process.env.JWT_SECRET, { expiresIn: "7d" } // Extended to 7 days
-        );
+        // Issue a short-lived access token plus a rotating refresh token
+        const session = await tokenService.createSession("company", company, req);
+        res.cookie("refreshToken", session.refreshToken, tokenService.getRefreshCookieOptions());
 
         res.json({
             message: "Login successful.",
-            token,
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
             company: {
                 _id: company._id,
                 companyName: company.companyName,
                 email: company.email,
+                emailVerified: company.emailVerified,
                 type: "company"
             },
         });
@@ -165,7 +243,7 @@ router.post("/login", async(req, res) => {
 });
 
 // Change password endpoint for companies
-router.put("/change-password", verifyToken, async(req, res) => {
+router.put("/change-password", authenticateCompany, async(req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
 
@@ -181,7 +259,7 @@ router.put("/change-password", verifyToken, async(req, res) => {
         }
 
         // Find company with password
-        const company = await Company.findById(req.company.companyId).select('+password');
+        const company = await Company.findById(req.company._id).select('+password');
         if (!company) {
             return res.status(404).json({ message: "Company not found." });
         }
@@ -194,8 +272,12 @@ router.put("/change-password", verifyToken, async(req, res) => {
 
         // Update password (will be hashed by pre-save middleware)
         company.password = newPassword;
+        company.sessionsInvalidatedAt = new Date();
         await company.save();
 
+        // Keep the current session, sign out everywhere else
+        await tokenService.revokeAllSessions("company", company._id, "password-change", req.sessionId);
+
         res.json({ message: "Password changed successfully." });
     } catch (err) {
         console.error("Change password error:", err);
@@ -203,35 +285,178 @@ router.put("/change-password", verifyToken, async(req, res) => {
     }
 });
 
-// Company validation endpoint (admin only)
-router.post("/validate/:id", async(req, res) => {
-    const adminToken = process.env.ADMIN_TOKEN;
-    if (req.headers.authorization !== `Bearer ${adminToken}`) {
-        return res.status(403).json({ message: "Forbidden" });
+// Verify company email address
+router.get("/verify-email/:token", async(req, res) => {
+    try {
+        const company = await Company.findByEmailVerificationToken(req.params.token);
+        if (!company) {
+            return res.status(400).json({ message: "Verification token is invalid or has expired." });
+        }
+
+        await company.markEmailVerified();
+
+        try {
+            await mailService.sendTemplate({
+                to: company.email,
+                template: "welcome",
+                locale: company.preferredLanguage,
+                data: {
+                    name: company.companyName,
+                    accountType: "company",
+                    dashboardUrl: process.env.FRONTEND_URL || "http://localhost:5173"
+                }
+            });
+        } catch (mailError) {
+            console.error("Company welcome email error:", mailError);
+        }
+
+        res.json({ message: "Email verified successfully." });
+    } catch (err) {
+        console.error("Company verify email error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Resend the company verification email
+router.post("/resend-verification", async(req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return res.status(400).json({ message: "A valid email is required." });
+        }
+
+        const genericResponse = { message: "If an unverified company account with that email exists, a new verification link has been sent." };
+
+        const company = await Company.findOne({ email: email.toLowerCase() });
+        if (!company || company.emailVerified) {
+            return res.json(genericResponse);
+        }
+
+        await sendVerificationEmail(company);
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error("Company resend verification error:", err);
+        res.status(500).json({ message: "Failed to send verification email. Please try again." });
     }
+});
+
+// Request a password reset link for a company account
+router.post("/forgot-password", async(req, res) => {
     try {
-        const { status, adminNotes } = req.body;
-        if (!["approved", "rejected"].includes(status)) {
-            return res.status(400).json({ message: "Invalid status value." });
-        }
-        const company = await Company.findByIdAndUpdate(
-            req.params.id, {
-                credentialStatus: status,
-                credentialReviewDate: new Date(),
-                adminNotes: adminNotes || "",
-            }, { new: true }
-        ).select("-password");
-
-        if (!company)
-            return res.status(404).json({ message: "Company not found." });
-        res.json({ message: `Company credential ${status}.`, company });
+        const { email } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return res.status(400).json({ message: "A valid email is required." });
+        }
+
+        // Always answer the same way so the endpoint can't be used to probe for accounts
+        const genericResponse = { message: "If a company account with that email exists, a password reset link has been sent." };
+
+        const company = await Company.findOne({ email: email.toLowerCase() });
+        if (!company) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = company.createPasswordResetToken();
+        await company.save({ validateBeforeSave: false });
+
+        const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+        const resetUrl = `${frontendUrl}/company/reset-password/${resetToken}`;
+
+        try {
+            await mailService.sendTemplate({
+                to: company.email,
+                template: "password-reset",
+                locale: company.preferredLanguage,
+                data: {
+                    name: company.companyName,
+                    resetUrl,
+                    expiresInMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30
+                }
+            });
+        } catch (mailError) {
+            console.error("Company password reset email error:", mailError);
+            company.passwordResetToken = undefined;
+            company.passwordResetExpire = undefined;
+            await company.save({ validateBeforeSave: false });
+            return res.status(500).json({ message: "Failed to send password reset email. Please try again." });
+        }
+
+        res.json(genericResponse);
     } catch (err) {
+        console.error("Company forgot password error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Reset company password with a token from the reset email
+router.post("/reset-password/:token", async(req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ message: "New password is required." });
+        }
+
+        if (!validatePassword(password)) {
+            return res.status(400).json({
+                message: "Password must be at least 6 characters long and contain at least one uppercase letter, one lowercase letter, and one number."
+            });
+        }
+
+        const company = await Company.findByPasswordResetToken(req.params.token);
+        if (!company) {
+            return res.status(400).json({ message: "Password reset token is invalid or has expired." });
+        }
+
+        // Consumes the token and logs out every existing session
+        await company.resetPassword(password);
+        await tokenService.revokeAllSessions("company", company._id, "password-reset");
+
+        res.json({ message: "Password has been reset successfully. Please log in with your new password." });
+    } catch (err) {
+        console.error("Company reset password error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Upload or replace the credential document for verification
+router.put("/credential", authenticateCompany, credentialUpload.single("credentialFile"), async(req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: "No credential file uploaded." });
+        }
+
+        const company = await Company.findById(req.company._id);
+        if (company.credentialStatus === "approved") {
+            fs.unlink(req.file.path, () => {});
+            return res.status(409).json({ message: "Company credentials are already approved." });
+        }
+
+        const previousFile = company.credentialFile;
+        await company.submitCredential(req.file);
+
+        if (previousFile && previousFile !== company.credentialFile) {
+            fs.unlink(previousFile, (unlinkErr) => {
+                if (unlinkErr) console.warn("Failed to remove previous credential file:", unlinkErr.message);
+            });
+        }
+
+        res.json({
+            message: "Credential document submitted for review.",
+            credentialStatus: company.credentialStatus,
+            credentialSubmittedAt: company.credentialSubmittedAt
+        });
+    } catch (err) {
+        console.error("Credential upload error:", err);
         res.status(400).json({ message: err.message });
     }
 });
 
-// Get company profile
-router.get("/profile/:id", verifyToken, async(req, res) => {
+// Get company profile (owner only)
+router.get("/profile/:id", authenticateCompany, requireOwnProfile, async(req, res) => {
     try {
         const company = await Company.findById(req.params.id).select("-password");
         if (!company) {
@@ -243,17 +468,30 @@ router.get("/profile/:id", verifyToken, async(req, res) => {
     }
 });
 
-// Update company profile
+// Update company profile (owner only)
 router.put(
     "/profile/:id",
-    verifyToken,
+    authenticateCompany,
+    requireOwnProfile,
     upload.fields([
         { name: "profilePicture", maxCount: 1 },
         { name: "bannerPicture", maxCount: 1 },
     ]),
     async(req, res) => {
         try {
-            const updateData = {...req.body };
+            const allowedUpdates = [
+                'companyName', 'phoneNumber', 'website', 'industry',
+                'mainLocation', 'description', 'profilePicture', 'bannerPicture',
+                'preferredLanguage'
+            ];
+
+            const body = req.body ?? {};
+            const updateData = {};
+            Object.keys(body).forEach(key => {
+                if (allowedUpdates.includes(key)) {
+                    updateData[key] = body[key];
+                }
+            });
 
             // Handle file uploads
             if (req.files) {
@@ -265,22 +503,75 @@ router.put(
                 }
             }
 
-            const company = await Company.findByIdAndUpdate(
-                req.params.id,
-                updateData, { new: true, runValidators: true }
-            ).select("-password");
-
+            const company = await Company.findById(req.params.id);
             if (!company) {
                 return res.status(404).json({ message: "Company not found." });
             }
 
-            res.json({ message: "Profile updated successfully.", company });
+            const before = company.toObject();
+            company.set(updateData);
+            await company.save();
+
+            const changes = AuditLog.diff(before, company.toObject(), Object.keys(updateData));
+            if (changes.length > 0) {
+                await AuditLog.record({
+                    actorType: "company",
+                    actorId: req.company._id,
+                    actorName: req.company.companyName,
+                    action: "company.profile.update",
+                    targetType: "Company",
+                    targetId: company._id,
+                    changes,
+                    req
+                });
+            }
+
+            const companyObj = company.toObject();
+            delete companyObj.password;
+
+            res.json({ message: "Profile updated successfully.", company: companyObj });
         } catch (err) {
             res.status(400).json({ message: err.message });
         }
     }
 );
 
+// Get company profile change history (owner only)
+router.get("/profile/:id/history", authenticateCompany, requireOwnProfile, async(req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const [history, total] = await Promise.all([
+            AuditLog.getHistory("Company", req.params.id, { page, limit }),
+            AuditLog.countDocuments({ targetType: "Company", targetId: req.params.id })
+        ]);
+
+        res.json({
+            history,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (err) {
+        console.error("Company profile history error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Get the company's AI screening usage for a month (owner only), ?month=YYYY-MM
+router.get("/profile/:id/ai-usage", authenticateCompany, requireOwnProfile, async(req, res) => {
+    try {
+        res.json(await usageService.getCompanyReport(req.company._id, req.query.month));
+    } catch (err) {
+        if (err instanceof UsageServiceError) {
+            return res.status(400).json({ message: err.message });
+        }
+        console.error("Company AI usage error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
 // Get all companies (public endpoint)
 router.get("/", async(req, res) => {
     try {
@@ -313,7 +604,7 @@ router.get("/", async(req, res) => {
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const companies = await Company.find(filter)
-            .select('-password') // Exclude password field
+            .select(Company.publicFields()) // Exclude password and review internals
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit));
@@ -341,7 +632,7 @@ router.get("/", async(req, res) => {
 router.get("/:id", async(req, res) => {
     try {
         const company = await Company.findById(req.params.id)
-            .select('-password'); // Exclude password field
+            .select(Company.publicFields()); // Exclude password and review internals
 
         if (!company) {
             return res.status(404).json({ message: "Company not found." });
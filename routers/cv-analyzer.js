@@ -1,5 +1,6 @@
 import express from "express";
 import cvAnalyzerController from "../controllers/cv-analyzer.controller.js";
+import { isProviderConfigured } from "../services/llm-provider.service.js";
 import { authenticateUser } from "../middleware/auth.js";
 import {
   uploadCV,
@@ -15,11 +16,14 @@ const router = express.Router();
  * Base path: /api/v1/cv-analyzer
  */
 
-// Apply authentication middleware to all routes except test endpoint
+// Apply authentication middleware to all routes except test endpoint and shared reports
 router.use((req, res, next) => {
   if (req.path === '/test-upload') {
     return next(); // Skip authentication for test endpoint
   }
+  if (req.method === 'GET' && req.path.startsWith('/shared/')) {
+    return next(); // Shared reports are public; the token is the credential
+  }
   return authenticateUser(req, res, next);
 });
 
@@ -31,7 +35,8 @@ router.use((req, res, next) => {
  *   cv: File (PDF, max 10MB),
  *   experienceLevel: String (entry|mid|senior|executive),
  *   major: String (2-100 chars),
- *   jobId?: String (optional MongoDB ObjectId)
+ *   jobId?: String (optional MongoDB ObjectId),
+ *   parentAnalysisId?: String (optional MongoDB ObjectId of the analysis this CV revises)
  * }
  */
 router.post(
@@ -54,6 +59,21 @@ router.get(
   cvAnalyzerController.getAnalysisResults
 );
 
+/**
+ * @route   PATCH /api/v1/cv-analyzer/results/:analysisId/recommendations/:recommendationId
+ * @desc    Mark a recommendation as implemented or dismissed, and/or rate it
+ * @access  Private (User - own analyses only)
+ * @params  analysisId, recommendationId: String (MongoDB ObjectIds)
+ * @body    {
+ *   status?: String (implemented|dismissed, null clears it),
+ *   feedback?: String (helpful|somewhat-helpful|not-helpful, null clears it)
+ * }
+ */
+router.patch(
+  "/results/:analysisId/recommendations/:recommendationId",
+  cvAnalyzerController.updateRecommendation
+);
+
 /**
  * @route   GET /api/v1/cv-analyzer/history
  * @desc    Get user's CV analysis history
@@ -61,7 +81,8 @@ router.get(
  * @query   {
  *   page?: Number (default: 1),
  *   limit?: Number (default: 10, max: 50),
- *   status?: String (processing|completed|failed)
+ *   status?: String (processing|completed|failed),
+ *   jobId?: String (only analyses scored against this job)
  * }
  */
 router.get(
@@ -69,6 +90,32 @@ router.get(
   cvAnalyzerController.getAnalysisHistory
 );
 
+/**
+ * @route   GET /api/v1/cv-analyzer/jobs/:jobId/fit
+ * @desc    Fit of the user's latest CV analysis against a job posting
+ * @access  Private (User)
+ * @params  jobId: String (MongoDB ObjectId)
+ */
+router.get(
+  "/jobs/:jobId/fit",
+  cvAnalyzerController.getJobFit
+);
+
+/**
+ * @route   POST /api/v1/cv-analyzer/compare/:analysisId
+ * @desc    Rank job postings by how well a completed analysis fits them
+ * @access  Private (User - own analyses only)
+ * @params  analysisId: String (MongoDB ObjectId)
+ * @body    {
+ *   jobIds?: [String] (MongoDB ObjectIds),
+ *   savedJobs?: Boolean (rank the user's saved jobs instead of jobIds)
+ * }
+ */
+router.post(
+  "/compare/:analysisId",
+  cvAnalyzerController.compareJobs
+);
+
 /**
  * @route   POST /api/v1/cv-analyzer/reanalyze/:analysisId
  * @desc    Reanalyze existing CV with new parameters
@@ -77,7 +124,7 @@ router.get(
  * @body    {
  *   experienceLevel?: String (entry|mid|senior|executive),
  *   major?: String (2-100 chars),
- *   jobId?: String (MongoDB ObjectId)
+ *   jobId?: String (MongoDB ObjectId; empty string removes the target job)
  * }
  */
 router.post(
@@ -85,6 +132,79 @@ router.post(
   cvAnalyzerController.reanalyzeCV
 );
 
+/**
+ * @route   GET /api/v1/cv-analyzer/versions/:analysisId
+ * @desc    List the versions in a CV's lineage, each with its earlier revisions
+ * @access  Private (User - own analyses only)
+ * @params  analysisId: String (any analysis in the lineage)
+ */
+router.get(
+  "/versions/:analysisId",
+  cvAnalyzerController.getVersions
+);
+
+/**
+ * @route   GET /api/v1/cv-analyzer/diff
+ * @desc    Score, section and recommendation changes between two CV versions
+ * @access  Private (User - own analyses only)
+ * @query   {
+ *   from: String (analysis or snapshot ID, the baseline),
+ *   to: String (analysis or snapshot ID)
+ * }
+ */
+router.get(
+  "/diff",
+  cvAnalyzerController.diffVersions
+);
+
+/**
+ * @route   POST /api/v1/cv-analyzer/share/:analysisId
+ * @desc    Create a signed, expiring public link to a completed analysis
+ * @access  Private (User - own analyses only)
+ * @params  analysisId: String (MongoDB ObjectId)
+ * @body    {
+ *   expiresInDays?: Number (1-90, default: 7),
+ *   label?: String (who the link is for, max 100 chars)
+ * }
+ */
+router.post(
+  "/share/:analysisId",
+  cvAnalyzerController.createShareLink
+);
+
+/**
+ * @route   GET /api/v1/cv-analyzer/share/:analysisId
+ * @desc    List an analysis' share links with their status and view counts
+ * @access  Private (User - own analyses only)
+ * @params  analysisId: String (MongoDB ObjectId)
+ */
+router.get(
+  "/share/:analysisId",
+  cvAnalyzerController.getShareLinks
+);
+
+/**
+ * @route   DELETE /api/v1/cv-analyzer/share/:analysisId/:shareId
+ * @desc    Revoke a share link
+ * @access  Private (User - own analyses only)
+ * @params  analysisId, shareId: String (MongoDB ObjectIds)
+ */
+router.delete(
+  "/share/:analysisId/:shareId",
+  cvAnalyzerController.revokeShareLink
+);
+
+/**
+ * @route   GET /api/v1/cv-analyzer/shared/:token
+ * @desc    Read-only analysis report behind a share link, without the CV text or file
+ * @access  Public (the share token is the credential)
+ * @params  token: String (share token)
+ */
+router.get(
+  "/shared/:token",
+  cvAnalyzerController.getSharedReport
+);
+
 /**
  * @route   DELETE /api/v1/cv-analyzer/:analysisId
  * @desc    Delete CV analysis and associated file
@@ -109,6 +229,19 @@ router.get(
   cvAnalyzerController.getAnalytics
 );
 
+/**
+ * @route   GET /api/v1/cv-analyzer/usage
+ * @desc    Get the user's AI usage and remaining monthly quota
+ * @access  Private (User)
+ * @query   {
+ *   month?: String (YYYY-MM, default: current month)
+ * }
+ */
+router.get(
+  "/usage",
+  cvAnalyzerController.getUsage
+);
+
 /**
  * @route   GET /api/v1/cv-analyzer/health
  * @desc    Health check endpoint for CV Analyzer service
@@ -120,7 +253,9 @@ router.get("/health", (req, res) => {
     message: "CV Analyzer service is running",
     timestamp: new Date().toISOString(),
     services: {
-      openai: process.env.OPENAI_API_KEY ? "configured" : "not configured",
+      openai: isProviderConfigured() ? "configured" : "not configured",
+      llmProvider: process.env.LLM_PROVIDER || "openai",
+      engine: process.env.CV_ANALYSIS_ENGINE || "auto",
       storage: "local",
       database: "connected"
     }
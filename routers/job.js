@@ -1,7 +1,8 @@
 import express from "express";
 import Job from "../models/job.model.js";
-import { authenticateCompany, authenticateUser } from "../middleware/auth.js";
+import { authenticateCompany, authenticateUser, requireVerifiedEmail, requireVerifiedCompany } from "../middleware/auth.js";
 import Category from "../models/category.model.js";
+import Company from "../models/company.model.js";
 
 const router = express.Router();
 
@@ -71,7 +72,7 @@ router.get("/", async(req, res) => {
 
         const jobs = await Job.find(query)
             .populate("category", "categoryName")
-            .populate("companyId", "companyName profilePicture")
+            .populate("companyId", "companyName profilePicture isVerified")
             .sort(sortCriteria)
             .limit(limit * 1)
             .skip((page - 1) * limit);
@@ -104,7 +105,7 @@ router.get("/:id", async(req, res) => {
     try {
         const job = await Job.findById(req.params.id)
             .populate("category")
-            .populate("companyId", "-password");
+            .populate("companyId", Company.publicFields());
 
         if (!job) {
             return res.status(404).json({ message: "Job not found" });
@@ -131,7 +132,7 @@ router.get("/:id", async(req, res) => {
 });
 
 // Create new job (Company only)
-router.post("/", authenticateCompany, async(req, res) => {
+router.post("/", authenticateCompany, requireVerifiedEmail("post-job"), requireVerifiedCompany, async(req, res) => {
     try {
         const jobData = {
             ...req.body,
@@ -163,6 +164,16 @@ router.put("/:id", authenticateCompany, async(req, res) => {
             return res.status(404).json({ message: "Job not found or unauthorized" });
         }
 
+        // Re-publishing an inactive job counts as publishing
+        const isRepublishing = !job.isActive && [true, "true"].includes(req.body.isActive);
+        if (isRepublishing && req.company.credentialStatus !== "approved") {
+            return res.status(403).json({
+                message: "Your company must be verified before publishing jobs. Please submit your credential documents for review.",
+                code: "COMPANY_NOT_VERIFIED",
+                credentialStatus: req.company.credentialStatus
+            });
+        }
+
         Object.assign(job, req.body);
         await job.save();
 
@@ -0,0 +1,156 @@
+import express from "express";
+import mongoose from "mongoose";
+import Notification from "../models/notification.model.js";
+import NotificationPreference from "../models/notificationpreference.model.js";
+import { authenticateAny } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/**
+ * Notification Routes
+ * Base path: /api/v1/notifications
+ * Available to both users and companies.
+ */
+
+router.use(authenticateAny);
+
+// The authenticated account as a notification recipient
+function getRecipient(req) {
+    return req.userType === "user"
+        ? { recipientType: "user", recipientId: req.user._id }
+        : { recipientType: "company", recipientId: req.company._id };
+}
+
+// List notifications, newest first
+router.get("/", async(req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const recipient = getRecipient(req);
+
+        const query = { ...recipient };
+        if (req.query.unread === "true") query.readAt = null;
+        if (req.query.type) query.type = req.query.type;
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Notification.countDocuments(query),
+            Notification.getUnreadCount(recipient.recipientType, recipient.recipientId)
+        ]);
+
+        res.json({
+            notifications,
+            unreadCount,
+            totalPages: Math.ceil(total / limit),
+            currentPage: page,
+            total
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Unread badge count
+router.get("/unread-count", async(req, res) => {
+    try {
+        const { recipientType, recipientId } = getRecipient(req);
+        const unreadCount = await Notification.getUnreadCount(recipientType, recipientId);
+        res.json({ unreadCount });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Get notification preferences
+router.get("/preferences", async(req, res) => {
+    try {
+        const { recipientType, recipientId } = getRecipient(req);
+        const preference = await NotificationPreference.findForRecipient(recipientType, recipientId);
+        res.json({ preferences: preference.toSettings() });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Update notification preferences, e.g. { "application.status-changed": { "email": true } }
+router.put("/preferences", async(req, res) => {
+    try {
+        const updates = req.body?.preferences;
+        if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+            return res.status(400).json({ message: "preferences must be an object keyed by notification type" });
+        }
+
+        const unknownTypes = Object.keys(updates).filter(type => !Notification.TYPES.includes(type));
+        if (unknownTypes.length) {
+            return res.status(400).json({ message: `Unknown notification types: ${unknownTypes.join(", ")}` });
+        }
+
+        const { recipientType, recipientId } = getRecipient(req);
+        const preference = await NotificationPreference.findForRecipient(recipientType, recipientId);
+
+        for (const [type, channels] of Object.entries(updates)) {
+            preference.setChannels(type, channels || {});
+        }
+        await preference.save();
+
+        res.json({
+            message: "Notification preferences updated",
+            preferences: preference.toSettings()
+        });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Mark all notifications as read
+router.patch("/read-all", async(req, res) => {
+    try {
+        const { recipientType, recipientId } = getRecipient(req);
+        const result = await Notification.markAllRead(recipientType, recipientId);
+        res.json({ message: "All notifications marked as read", updated: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Mark a notification as read
+router.patch("/:id/read", async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: "Invalid notification ID format" });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, ...getRecipient(req) });
+        if (!notification) {
+            return res.status(404).json({ message: "Notification not found" });
+        }
+
+        await notification.markRead();
+        res.json({ message: "Notification marked as read", notification });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Delete a notification
+router.delete("/:id", async(req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: "Invalid notification ID format" });
+        }
+
+        const notification = await Notification.findOneAndDelete({ _id: req.params.id, ...getRecipient(req) });
+        if (!notification) {
+            return res.status(404).json({ message: "Notification not found" });
+        }
+
+        res.json({ message: "Notification deleted" });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import express from "express";
+import { authenticateAny } from "../middleware/auth.js";
+import realtimeService from "../services/realtime.service.js";
+
+const router = express.Router();
+
+// Largest delay setTimeout accepts (~24.8 days)
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Realtime Routes
+ * Base path: /api/v1/realtime
+ */
+
+// EventSource can't send headers, so the stream also accepts ?token=
+function tokenFromQuery(req, res, next) {
+    if (!req.header("Authorization") && typeof req.query.token === "string") {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+// Server-Sent Events stream of notifications, application updates and CV analysis progress
+router.get("/stream", tokenFromQuery, authenticateAny, (req, res) => {
+    const recipientType = req.userType;
+    const recipientId = recipientType === "user" ? req.user._id : req.company._id;
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    res.write("retry: 5000\n\n");
+    res.write(`event: connected\ndata: ${JSON.stringify({ recipientType, recipientId })}\n\n`);
+
+    const removeClient = realtimeService.addClient(recipientType, recipientId, res);
+
+    // End the stream when the access token expires; the client reconnects with a fresh one.
+    // The token may have come from the header, ?token= or the cookie, so use the expiry authenticateAny read.
+    const expiryTimer = req.tokenExpiresAt
+        ? setTimeout(() => {
+            res.write("event: token-expired\ndata: {}\n\n");
+            res.end();
+        }, Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT))
+        : null;
+
+    req.on("close", () => {
+        clearTimeout(expiryTimer);
+        removeClient();
+    });
+});
+
+export default router;
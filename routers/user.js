@@ -1,13 +1,15 @@
 import express from "express";
 import User from "../models/user.model.js";
-import jwt from "jsonwebtoken";
 import passport from "../config/passport.js";
-import { authenticateUser } from "../middleware/auth.js";
+import { authenticateUser, authenticateAny } from "../middleware/auth.js";
+import MailService from "../services/mail.service.js";
+import tokenService, { TokenServiceError } from "../services/token.service.js";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
 
 const router = express.Router();
+const mailService = new MailService();
 
 // Configure multer for profile picture uploads
 const storage = multer.diskStorage({
@@ -59,6 +61,35 @@ function validatePassword(password) {
         /\d/.test(password);
 }
 
+// Email the account owner a link to verify their address
+async function sendVerificationEmail(user) {
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+    const verifyUrl = `${frontendUrl}/verify-email/${verificationToken}`;
+
+    await mailService.sendTemplate({
+        to: user.email,
+        template: "email-verification",
+        locale: user.preferredLanguage,
+        data: {
+            name: user.fullName,
+            verifyUrl,
+            expiresInHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24
+        }
+    });
+}
+
+// Pick the email language from the request body, falling back to Accept-Language
+function resolvePreferredLanguage(req) {
+    const supported = User.schema.path("preferredLanguage").enumValues;
+    if (req.body.preferredLanguage) {
+        return supported.includes(req.body.preferredLanguage) ? req.body.preferredLanguage : null;
+    }
+    return req.acceptsLanguages(...supported) || undefined;
+}
+
 // Register
 router.post("/register", async(req, res) => {
     try {
@@ -84,6 +115,11 @@ router.post("/register", async(req, res) => {
             });
         }
 
+        const preferredLanguage = resolvePreferredLanguage(req);
+        if (preferredLanguage === null) {
+            return res.status(400).json({ message: "Unsupported preferred language." });
+        }
+
         // Check if user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -97,18 +133,30 @@ router.post("/register", async(req, res) => {
             fullName,
             email,
             password, // Will be hashed automatically
-            phoneNumber: phoneNumber || undefined
+            phoneNumber: phoneNumber || undefined,
+            preferredLanguage
         });
 
         await user.save();
         console.log("User saved successfully:", email);
 
+        // Registration still succeeds if the mail can't be sent; the user can ask for a resend
+        let emailVerificationSent = true;
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error("Verification email error:", mailError);
+            emailVerificationSent = false;
+        }
+
         res.status(201).json({
-            message: "User registered successfully.",
+            message: "User registered successfully. Please check your email to verify your account.",
+            emailVerificationSent,
             user: {
                 _id: user._id,
                 fullName: user.fullName,
-                email: user.email
+                email: user.email,
+                emailVerified: user.emailVerified
             }
         });
     } catch (err) {
@@ -154,18 +202,20 @@ router.post("/login", async(req, res) => {
         // Update last login
         await user.updateLastLogin();
 
-        // Issue JWT
-        const token = jwt.sign({ userId: user._id, email: user.email, type: "user" },
-            process.env.JWT_SECRET, { expiresIn: "7d" } // Extended to 7 days
-        );
+        // Issue a short-lived access token plus a rotating refresh token
+        const session = await tokenService.createSession("user", user, req);
+        res.cookie("refreshToken", session.refreshToken, tokenService.getRefreshCookieOptions());
 
         res.json({
             message: "Login successful.",
-            token,
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
             user: {
                 _id: user._id,
                 fullName: user.fullName,
                 email: user.email,
+                emailVerified: user.emailVerified,
                 type: "user"
             }
         });
@@ -198,7 +248,8 @@ router.put("/profile", authenticateUser, async(req, res) => {
     try {
         const allowedUpdates = [
             'fullName', 'phoneNumber', 'bio', 'birthDate', 'gender',
-            'domicile', 'personalSummary', 'skills', 'experience', 'education', 'profilePicture'
+            'domicile', 'personalSummary', 'skills', 'experience', 'education', 'profilePicture',
+            'preferredLanguage', 'aiScreeningOptOut'
         ];
 
         const updates = {};
@@ -257,8 +308,12 @@ router.put("/change-password", authenticateUser, async(req, res) => {
 
         // Update password (will be hashed by pre-save middleware)
         user.password = newPassword;
+        user.sessionsInvalidatedAt = new Date();
         await user.save();
 
+        // Keep the current session, sign out everywhere else
+        await tokenService.revokeAllSessions("user", user._id, "password-change", req.sessionId);
+
         res.json({ message: "Password changed successfully." });
     } catch (err) {
         console.error("Change password error:", err);
@@ -266,6 +321,201 @@ router.put("/change-password", authenticateUser, async(req, res) => {
     }
 });
 
+// Verify email address
+router.get("/verify-email/:token", async(req, res) => {
+    try {
+        const user = await User.findByEmailVerificationToken(req.params.token);
+        if (!user) {
+            return res.status(400).json({ message: "Verification token is invalid or has expired." });
+        }
+
+        await user.markEmailVerified();
+
+        try {
+            await mailService.sendTemplate({
+                to: user.email,
+                template: "welcome",
+                locale: user.preferredLanguage,
+                data: {
+                    name: user.fullName,
+                    accountType: "user",
+                    dashboardUrl: process.env.FRONTEND_URL || "http://localhost:5173"
+                }
+            });
+        } catch (mailError) {
+            console.error("Welcome email error:", mailError);
+        }
+
+        res.json({ message: "Email verified successfully." });
+    } catch (err) {
+        console.error("Verify email error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Resend the verification email
+router.post("/resend-verification", async(req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return res.status(400).json({ message: "A valid email is required." });
+        }
+
+        const genericResponse = { message: "If an unverified account with that email exists, a new verification link has been sent." };
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user || user.emailVerified || !user.isActive) {
+            return res.json(genericResponse);
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error("Resend verification error:", err);
+        res.status(500).json({ message: "Failed to send verification email. Please try again." });
+    }
+});
+
+// Request a password reset link
+router.post("/forgot-password", async(req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return res.status(400).json({ message: "A valid email is required." });
+        }
+
+        // Always answer the same way so the endpoint can't be used to probe for accounts
+        const genericResponse = { message: "If an account with that email exists, a password reset link has been sent." };
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user || !user.isActive) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        const frontendUrl = process.env.FRONTEND_URL || "http://localhost:5173";
+        const resetUrl = `${frontendUrl}/reset-password/${resetToken}`;
+
+        try {
+            await mailService.sendTemplate({
+                to: user.email,
+                template: "password-reset",
+                locale: user.preferredLanguage,
+                data: {
+                    name: user.fullName,
+                    resetUrl,
+                    expiresInMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30
+                }
+            });
+        } catch (mailError) {
+            console.error("Password reset email error:", mailError);
+            user.passwordResetToken = undefined;
+            user.passwordResetExpire = undefined;
+            await user.save({ validateBeforeSave: false });
+            return res.status(500).json({ message: "Failed to send password reset email. Please try again." });
+        }
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error("Forgot password error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Reset password with a token from the reset email
+router.post("/reset-password/:token", async(req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ message: "New password is required." });
+        }
+
+        if (!validatePassword(password)) {
+            return res.status(400).json({
+                message: "Password must be at least 6 characters long and contain at least one uppercase letter, one lowercase letter, and one number."
+            });
+        }
+
+        const user = await User.findByPasswordResetToken(req.params.token);
+        if (!user) {
+            return res.status(400).json({ message: "Password reset token is invalid or has expired." });
+        }
+
+        // Consumes the token and logs out every existing session
+        await user.resetPassword(password);
+        await tokenService.revokeAllSessions("user", user._id, "password-reset");
+
+        res.json({ message: "Password has been reset successfully. Please log in with your new password." });
+    } catch (err) {
+        console.error("Reset password error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Exchange a refresh token for a new access token (users and companies)
+router.post("/refresh", async(req, res) => {
+    try {
+        const refreshToken = req.body?.refreshToken || req.cookies.refreshToken;
+
+        const session = await tokenService.rotateRefreshToken(refreshToken, req);
+        res.cookie("refreshToken", session.refreshToken, tokenService.getRefreshCookieOptions());
+
+        res.json({
+            message: "Token refreshed successfully.",
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
+            type: session.subjectType
+        });
+    } catch (err) {
+        res.clearCookie("refreshToken", { path: "/" });
+        if (err instanceof TokenServiceError) {
+            return res.status(err.statusCode).json({ message: err.message });
+        }
+        console.error("Refresh token error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Logout from the current session
+router.post("/logout", authenticateAny, async(req, res) => {
+    try {
+        await tokenService.revokeSession(req.sessionId, "logout");
+        res.clearCookie("refreshToken", { path: "/" });
+
+        res.json({ message: "Logout successful." });
+    } catch (err) {
+        console.error("Logout error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
+// Logout from every session of the account
+router.post("/logout-all", authenticateAny, async(req, res) => {
+    try {
+        const account = req.userType === "company" ? req.company : req.user;
+
+        await tokenService.revokeAllSessions(req.userType, account._id, "logout-all");
+
+        // Also reject access tokens issued before sessions were tracked
+        account.sessionsInvalidatedAt = new Date();
+        await account.save({ validateBeforeSave: false });
+
+        res.clearCookie("refreshToken", { path: "/" });
+
+        res.json({ message: "Logged out from all sessions." });
+    } catch (err) {
+        console.error("Logout all error:", err);
+        res.status(500).json({ message: "Internal server error. Please try again." });
+    }
+});
+
 // Upload profile picture
 router.post("/upload-profile-picture", authenticateUser, upload.single('profilePicture'), async (req, res) => {
     try {
@@ -314,13 +564,18 @@ router.get(
     passport.authenticate("google", {
         failureRedirect: "http://localhost:5173/signin",
     }),
-    (req, res) => {
-        // Issue JWT for Google OAuth users
-        const token = jwt.sign({ userId: req.user._id, email: req.user.email, type: "user" },
-            process.env.JWT_SECRET, { expiresIn: "7d" }
-        );
-        // Redirect to frontend with token
-        res.redirect(`http://localhost:5173/signin?token=${token}`);
+    async(req, res) => {
+        try {
+            // Start a session for Google OAuth users; the refresh token travels in an httpOnly cookie
+            const session = await tokenService.createSession("user", req.user, req);
+            res.cookie("refreshToken", session.refreshToken, tokenService.getRefreshCookieOptions());
+
+            // Redirect to frontend with token
+            res.redirect(`http://localhost:5173/signin?token=${session.accessToken}`);
+        } catch (err) {
+            console.error("Google OAuth session error:", err);
+            res.redirect("http://localhost:5173/signin");
+        }
     }
 );
 
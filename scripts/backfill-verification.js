@@ -0,0 +1,74 @@
+// Mark accounts created before email verification and company credential review
+// as verified, so existing companies can keep posting jobs and existing users can keep applying.
+// Safe to run again.
+// Usage: npm run backfill-verification -- <date email verification was deployed, e.g. 2025-08-01>
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import User from '../models/user.model.js';
+import Company from '../models/company.model.js';
+
+/**
+ * Verify the accounts that predate verification
+ * @param {Date} verificationReleasedAt - When email verification was deployed
+ * @returns {Promise<Object>} - { users, companyEmails, companyCredentials }: accounts changed
+ */
+export const backfillVerification = async (verificationReleasedAt) => {
+  // emailVerified always defaulted to false, so it can't tell old accounts apart. Old accounts
+  // were never sent a verification link; newer unverified ones have a pending token.
+  const legacyEmail = {
+    emailVerified: { $ne: true },
+    emailVerificationToken: null,
+    emailVerificationExpire: null,
+    createdAt: { $lt: verificationReleasedAt }
+  };
+
+  const users = await User.updateMany(legacyEmail, { $set: { emailVerified: true } });
+  const companyEmails = await Company.updateMany(legacyEmail, { $set: { emailVerified: true } });
+  // credentialStatus is new, so only companies that predate credential review lack it.
+  // updateMany skips the save hook that keeps isVerified in sync, so set it here
+  const companyCredentials = await Company.updateMany(
+    { credentialStatus: { $exists: false } },
+    {
+      $set: {
+        credentialStatus: 'approved',
+        isVerified: true,
+        credentialReviewDate: new Date(),
+        adminNotes: 'Approved automatically: the account predates credential review'
+      }
+    }
+  );
+
+  return {
+    users: users.modifiedCount,
+    companyEmails: companyEmails.modifiedCount,
+    companyCredentials: companyCredentials.modifiedCount
+  };
+};
+
+const run = async () => {
+  dotenv.config();
+
+  const verificationReleasedAt = new Date(process.argv[2]);
+  if (!process.argv[2] || Number.isNaN(verificationReleasedAt.getTime())) {
+    console.error('Usage: npm run backfill-verification -- <date email verification was deployed, e.g. 2025-08-01>');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI);
+    const result = await backfillVerification(verificationReleasedAt);
+
+    console.log(`Marked ${result.users} users and ${result.companyEmails} companies as email-verified`);
+    console.log(`Approved credentials of ${result.companyCredentials} companies`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling verification:', error);
+    process.exit(1);
+  }
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run();
+}
@@ -0,0 +1,41 @@
+// Create (or reactivate) an admin account
+// Usage: npm run create-admin -- <email> <password> "<full name>"
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Admin from '../models/admin.model.js';
+
+dotenv.config();
+
+const [email, password, fullName = 'Administrator'] = process.argv.slice(2);
+
+if (!email || !password) {
+  console.error('Usage: npm run create-admin -- <email> <password> "<full name>"');
+  process.exit(1);
+}
+
+// Connect to database
+mongoose.connect(process.env.MONGODB_URI);
+
+const createAdmin = async () => {
+  try {
+    let admin = await Admin.findOne({ email: email.toLowerCase() });
+
+    if (admin) {
+      admin.password = password;
+      admin.fullName = fullName;
+      admin.isActive = true;
+      await admin.save();
+      console.log(`Updated admin ${admin.email}`);
+    } else {
+      admin = await Admin.create({ email, password, fullName });
+      console.log(`Created admin ${admin.email}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    process.exit(1);
+  }
+};
+
+createAdmin();
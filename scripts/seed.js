@@ -34,12 +34,14 @@ const seedData = async () => {
         email: 'john@example.com',
         password: '123456',
         phoneNumber: '1234567890',
+        emailVerified: true,
       },
       {
         fullName: 'Jane Smith',
         email: 'jane@example.com',
         password: '123456',
         phoneNumber: '1234567891',
+        emailVerified: true,
       },
     ]);
 
@@ -50,16 +52,20 @@ const seedData = async () => {
         email: 'hr@techcorp.com',
         password: '123456',
         phoneNumber: '1234567892',
+        emailVerified: true,
         industry: 'Technology',
         mainLocation: 'San Francisco, CA',
+        credentialStatus: 'approved',
       },
       {
         companyName: 'Marketing Plus',
         email: 'hr@marketingplus.com',
         password: '123456',
         phoneNumber: '1234567893',
+        emailVerified: true,
         industry: 'Marketing',
         mainLocation: 'New York, NY',
+        credentialStatus: 'approved',
       },
     ]);
 
@@ -0,0 +1,104 @@
+import OpenAIService from './openai.service.js';
+import { isProviderConfigured } from './llm-provider.service.js';
+import HeuristicAnalyzerService from './heuristic-analyzer.service.js';
+
+/**
+ * Analyzer Service
+ * Picks the engine behind CV analysis, job matching and screening from
+ * CV_ANALYSIS_ENGINE:
+ * - `openai`: always the LLM behind OpenAIService (see LLM_PROVIDER); failures are errors
+ * - `heuristic`: the offline rule-based analyzer, e.g. for tests and local development
+ * - `auto` (default): the LLM when its provider is configured, falling back to the
+ *   heuristic analyzer when it isn't or the request fails
+ */
+
+const ANALYSIS_ENGINES = ['auto', 'openai', 'heuristic'];
+
+class AnalyzerService {
+  constructor({ engine = process.env.CV_ANALYSIS_ENGINE || 'auto', openAIService, heuristicAnalyzer } = {}) {
+    if (!ANALYSIS_ENGINES.includes(engine)) {
+      throw new AnalyzerServiceError(`Unknown CV_ANALYSIS_ENGINE "${engine}". Use one of: ${ANALYSIS_ENGINES.join(', ')}`);
+    }
+    this.engine = engine;
+    this.heuristicAnalyzer = heuristicAnalyzer || new HeuristicAnalyzerService();
+    this._openAIService = openAIService || null;
+  }
+
+  /**
+   * LLM-backed service, created on first use since its provider may not be configured
+   * @returns {OpenAIService}
+   */
+  get openAIService() {
+    if (!this._openAIService) {
+      this._openAIService = new OpenAIService();
+    }
+    return this._openAIService;
+  }
+
+  /**
+   * Name of the model results are expected from
+   * @returns {string}
+   */
+  get model() {
+    return this.usesOpenAI() ? this.openAIService.model : this.heuristicAnalyzer.model;
+  }
+
+  /**
+   * Whether requests go to the LLM first
+   * @returns {boolean}
+   */
+  usesOpenAI() {
+    return this.engine === 'openai' || (this.engine === 'auto' && isProviderConfigured());
+  }
+
+  /**
+   * @see OpenAIService#analyzeCV
+   */
+  analyzeCV(cvText, jobData) {
+    return this.run('analyzeCV', cvText, jobData);
+  }
+
+  /**
+   * @see OpenAIService#matchJobs
+   */
+  matchJobs(cvText, jobData, targetJobs) {
+    return this.run('matchJobs', cvText, jobData, targetJobs);
+  }
+
+  /**
+   * @see OpenAIService#screenCandidate
+   */
+  screenCandidate(cvText, job) {
+    return this.run('screenCandidate', cvText, job);
+  }
+
+  /**
+   * @private
+   */
+  async run(method, ...args) {
+    if (!this.usesOpenAI()) {
+      return this.heuristicAnalyzer[method](...args);
+    }
+
+    try {
+      return await this.openAIService[method](...args);
+    } catch (error) {
+      if (this.engine !== 'auto') throw error;
+      console.warn(`LLM ${method} failed, using the heuristic analyzer instead:`, error.originalError?.message || error.message);
+      return this.heuristicAnalyzer[method](...args);
+    }
+  }
+}
+
+/**
+ * Custom error class for analyzer configuration errors
+ */
+class AnalyzerServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnalyzerServiceError';
+  }
+}
+
+export default AnalyzerService;
+export { AnalyzerServiceError, ANALYSIS_ENGINES };
@@ -0,0 +1,120 @@
+/**
+ * Calendar Service
+ * Builds iCalendar (RFC 5545) files for scheduled interviews.
+ */
+
+class CalendarService {
+  constructor() {
+    this.productId = '-//JobHive//Interview Scheduler//EN';
+  }
+
+  /**
+   * Build an .ics document containing a single event
+   * @param {Object} event
+   * @param {string} event.uid - Stable unique id, reused so calendar clients update instead of duplicating
+   * @param {Date} event.start - Event start
+   * @param {Date} event.end - Event end
+   * @param {string} event.summary - Event title
+   * @param {string} [event.description] - Event description
+   * @param {string} [event.location] - Event location or meeting link
+   * @param {string} [event.organizerName] - Organizer display name
+   * @param {string} [event.organizerEmail] - Organizer email
+   * @param {Array<{name: string, email: string}>} [event.attendees] - Attendees
+   * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+   * @returns {string} - iCalendar text with CRLF line endings
+   */
+  createEvent({ uid, start, end, summary, description, location, organizerName, organizerEmail, attendees = [], status = 'CONFIRMED' }) {
+    if (!uid || !start || !end || !summary) {
+      throw new CalendarServiceError('uid, start, end and summary are required');
+    }
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${this.formatDate(new Date())}`,
+      `DTSTART:${this.formatDate(start)}`,
+      `DTEND:${this.formatDate(end)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      `STATUS:${status}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${this.escapeText(location)}`);
+    if (organizerEmail) {
+      const name = organizerName ? `;CN=${this.escapeParam(organizerName)}` : '';
+      lines.push(`ORGANIZER${name}:mailto:${organizerEmail}`);
+    }
+    for (const attendee of attendees) {
+      lines.push(`ATTENDEE;CN=${this.escapeParam(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Format a date as UTC date-time (e.g. 20250101T090000Z)
+   * @private
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape a TEXT value
+   * @private
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Quote a parameter value such as CN
+   * @private
+   */
+  escapeParam(value) {
+    return `"${String(value).replace(/"/g, "'")}"`;
+  }
+
+  /**
+   * Fold lines longer than 75 octets
+   * @private
+   */
+  foldLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > 75) {
+        chunks.push(current);
+        current = ' ' + char;
+      } else {
+        current += char;
+      }
+    }
+    chunks.push(current);
+    return chunks.join('\r\n');
+  }
+}
+
+/**
+ * Custom error class for calendar service errors
+ */
+class CalendarServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalendarServiceError';
+  }
+}
+
+export default new CalendarService();
+export { CalendarService, CalendarServiceError };
@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import CVAnalysisSnapshot from '../models/cvanalysissnapshot.model.js';
+
+/**
+ * CV Version Service
+ * Tracks a CV document's lineage and diffs its versions. Each upload of an edited
+ * CV can name the analysis it revises (its parent) and gets the next version number
+ * in the lineage; each rerun of an analysis keeps the results it replaces as a
+ * snapshot (revision). Any two versions or revisions can be compared.
+ */
+
+class CVVersionService {
+  /**
+   * Lineage fields for a new upload that revises `parent`
+   * @param {CVAnalysis} parent - Analysis the upload is a new version of
+   * @returns {Promise<Object>} - { parentAnalysisId, rootAnalysisId, version }
+   */
+  async nextVersion(parent) {
+    const rootAnalysisId = parent.rootAnalysisId || parent._id;
+    const [latest] = await CVAnalysis.find(lineageQuery(rootAnalysisId))
+      .select('version')
+      .sort({ version: -1 })
+      .limit(1);
+
+    return {
+      parentAnalysisId: parent._id,
+      rootAnalysisId,
+      version: (latest?.version || 1) + 1
+    };
+  }
+
+  /**
+   * Keep an analysis' results before a rerun replaces them. Analyses that never
+   * completed have nothing to keep.
+   * @param {CVAnalysis} analysis - Analysis about to be rerun
+   * @returns {Promise<CVAnalysisSnapshot|null>}
+   */
+  async snapshot(analysis) {
+    if (analysis.processingStatus !== 'completed' || analysis.overallScore == null) return null;
+    return CVAnalysisSnapshot.capture(analysis);
+  }
+
+  /**
+   * Every version in an analysis' lineage, oldest first, with its earlier revisions
+   * @param {CVAnalysis} analysis - Any analysis in the lineage
+   * @returns {Promise<Object>} - { rootAnalysisId, versions }
+   */
+  async getLineage(analysis) {
+    const rootAnalysisId = analysis.rootAnalysisId || analysis._id;
+    const analyses = await CVAnalysis.find({ ...lineageQuery(rootAnalysisId), userId: analysis.userId, isActive: true })
+      .select('originalFilename version parentAnalysisId overallScore processingStatus createdAt updatedAt')
+      .sort({ version: 1, createdAt: 1 })
+      .lean();
+    const snapshots = await CVAnalysisSnapshot.find({ analysisId: { $in: analyses.map(item => item._id) } })
+      .select('analysisId revision overallScore analyzedAt')
+      .sort({ revision: 1 })
+      .lean();
+
+    return {
+      rootAnalysisId,
+      versions: analyses.map(item => {
+        const revisions = snapshots
+          .filter(snapshot => snapshot.analysisId.equals(item._id))
+          .map(snapshot => ({
+            snapshotId: snapshot._id,
+            revision: snapshot.revision,
+            overallScore: snapshot.overallScore ?? null,
+            analyzedAt: snapshot.analyzedAt
+          }));
+
+        return {
+          analysisId: item._id,
+          version: item.version,
+          parentAnalysisId: item.parentAnalysisId || null,
+          originalFilename: item.originalFilename,
+          processingStatus: item.processingStatus,
+          overallScore: item.overallScore ?? null,
+          revision: revisions.length + 1,
+          createdAt: item.createdAt,
+          previousRevisions: revisions
+        };
+      })
+    };
+  }
+
+  /**
+   * Load one of the user's versions to compare: an analysis' current results or
+   * a snapshot of an earlier run
+   * @param {ObjectId} userId - Owner
+   * @param {string} id - CVAnalysis or CVAnalysisSnapshot ID
+   * @returns {Promise<Object|null>} - Normalised version, or null if the user has none with this ID
+   */
+  async findVersion(userId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const analysis = await CVAnalysis.findOne({ _id: id, userId, isActive: true })
+      .select('originalFilename version processingStatus overallScore sections recommendations updatedAt openaiProcessing.responseTimestamp')
+      .lean();
+    if (analysis) {
+      return {
+        id: analysis._id,
+        type: 'analysis',
+        analysisId: analysis._id,
+        version: analysis.version,
+        revision: await CVAnalysisSnapshot.countDocuments({ analysisId: analysis._id }) + 1,
+        originalFilename: analysis.originalFilename,
+        completed: analysis.processingStatus === 'completed',
+        analyzedAt: analysis.openaiProcessing?.responseTimestamp || analysis.updatedAt,
+        overallScore: analysis.overallScore ?? null,
+        sections: analysis.sections || {},
+        recommendations: analysis.recommendations || []
+      };
+    }
+
+    const snapshot = await CVAnalysisSnapshot.findOne({ _id: id, userId }).lean();
+    if (!snapshot) return null;
+    const parent = await CVAnalysis.findOne({ _id: snapshot.analysisId, isActive: true })
+      .select('originalFilename version')
+      .lean();
+    if (!parent) return null;
+
+    return {
+      id: snapshot._id,
+      type: 'snapshot',
+      analysisId: snapshot.analysisId,
+      version: parent.version,
+      revision: snapshot.revision,
+      originalFilename: parent.originalFilename,
+      completed: true,
+      analyzedAt: snapshot.analyzedAt,
+      overallScore: snapshot.overallScore ?? null,
+      sections: snapshot.sections || {},
+      recommendations: snapshot.recommendations || []
+    };
+  }
+
+  /**
+   * Score, section and recommendation changes from one version to another
+   * @param {Object} from - Version from findVersion (the baseline)
+   * @param {Object} to - Version from findVersion
+   * @returns {Object} - { from, to, overallScore, sections, recommendations, verdict }
+   */
+  diff(from, to) {
+    const scoreChange = change(from.overallScore, to.overallScore);
+
+    const sections = CVAnalysis.ANALYSIS_SECTIONS
+      .map(section => ({
+        section,
+        from: from.sections[section]?.score ?? null,
+        to: to.sections[section]?.score ?? null
+      }))
+      .filter(row => row.from !== null || row.to !== null)
+      .map(row => ({ ...row, change: change(row.from, row.to) }));
+
+    const before = new Map(from.recommendations.map(item => [recommendationKey(item), item]));
+    const after = new Map(to.recommendations.map(item => [recommendationKey(item), item]));
+    const categories = new Set([...from.recommendations, ...to.recommendations].map(categoryOf));
+
+    return {
+      from: describe(from),
+      to: describe(to),
+      overallScore: { from: from.overallScore, to: to.overallScore, change: scoreChange },
+      sections,
+      recommendations: {
+        resolved: [...before].filter(([key]) => !after.has(key)).map(([, item]) => summarizeRecommendation(item)),
+        added: [...after].filter(([key]) => !before.has(key)).map(([, item]) => summarizeRecommendation(item)),
+        unchanged: [...after.keys()].filter(key => before.has(key)).length,
+        byCategory: [...categories].sort().map(category => {
+          const count = list => list.filter(item => categoryOf(item) === category).length;
+          return { category, from: count(from.recommendations), to: count(to.recommendations), change: count(to.recommendations) - count(from.recommendations) };
+        })
+      },
+      verdict: scoreChange === null ? 'unknown' : scoreChange > 0 ? 'improved' : scoreChange < 0 ? 'regressed' : 'unchanged'
+    };
+  }
+
+  /**
+   * Remove the snapshots of a deleted analysis
+   * @param {ObjectId} analysisId - Analysis ID
+   */
+  clearForAnalysis(analysisId) {
+    return CVAnalysisSnapshot.deleteMany({ analysisId });
+  }
+}
+
+// Analyses in a lineage: the root itself and everything that descends from it
+function lineageQuery(rootAnalysisId) {
+  return { $or: [{ _id: rootAnalysisId }, { rootAnalysisId }] };
+}
+
+function change(from, to) {
+  return typeof from === 'number' && typeof to === 'number' ? to - from : null;
+}
+
+function categoryOf({ category }) {
+  return (category || 'general').trim().toLowerCase();
+}
+
+// Recommendations have no stable ID across runs; match them on category and wording
+function recommendationKey(recommendation) {
+  return `${categoryOf(recommendation)}|${(recommendation.suggestion || '').trim().toLowerCase()}`;
+}
+
+function summarizeRecommendation({ category, priority, suggestion }) {
+  return { category: category || 'general', priority, suggestion };
+}
+
+function describe({ id, type, analysisId, version, revision, originalFilename, analyzedAt }) {
+  return { id, type, analysisId, version, revision, originalFilename, analyzedAt };
+}
+
+export default new CVVersionService();
+export { CVVersionService };
@@ -0,0 +1,63 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Event Service
+ * In-process bus for domain events. Models and routes emit events;
+ * subscribers such as the notification service react to them.
+ * Async handlers are tracked so they can be awaited with `drain()`.
+ */
+
+const EVENTS = {
+  APPLICATION_SUBMITTED: 'application.submitted',
+  APPLICATION_STATUS_CHANGED: 'application.status-changed',
+  APPLICATION_UPDATED: 'application.updated',
+  JOB_DEADLINE_EXPIRED: 'job.deadline-expired',
+  CV_ANALYSIS_STAGE_CHANGED: 'cv-analysis.stage-changed',
+  CV_ANALYSIS_COMPLETED: 'cv-analysis.completed',
+  CV_ANALYSIS_FAILED: 'cv-analysis.failed',
+  NOTIFICATION_CREATED: 'notification.created'
+};
+
+class EventService extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = new Set();
+  }
+
+  /**
+   * Subscribe an async handler; errors are logged instead of crashing the process
+   * @param {string} event - Event name from EVENTS
+   * @param {Function} handler - async (payload) => void
+   */
+  subscribe(event, handler) {
+    this.on(event, (payload) => {
+      const task = Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => console.error(`Error handling ${event}:`, error))
+        .finally(() => this.pending.delete(task));
+      this.pending.add(task);
+    });
+  }
+
+  /**
+   * Publish an event
+   * @param {string} event - Event name from EVENTS
+   * @param {Object} payload - Event data
+   */
+  publish(event, payload) {
+    this.emit(event, payload);
+  }
+
+  /**
+   * Wait for every handler that is still running (used by tests and on shutdown)
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    while (this.pending.size) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+}
+
+export default new EventService();
+export { EventService, EVENTS };
@@ -0,0 +1,431 @@
+import PDFParserService from './pdf-parser.service.js';
+
+/**
+ * Heuristic Analyzer Service
+ * Rule-based CV analysis that runs offline and always gives the same result for
+ * the same input. It checks section presence, contact details, keyword overlap
+ * with the target job or field, quantified achievements and length, and returns
+ * the same result shape as OpenAIService with `engine: 'heuristic'`.
+ */
+
+// Share of the overall score each check contributes
+const WEIGHTS = {
+  structure: 25,
+  contact: 10,
+  keywords: 30,
+  achievements: 20,
+  length: 15
+};
+
+// Sensible CV length in words, and how many quantified achievements to expect
+const LEVEL_EXPECTATIONS = {
+  entry: { minWords: 250, maxWords: 650, achievements: 2 },
+  mid: { minWords: 400, maxWords: 900, achievements: 4 },
+  senior: { minWords: 500, maxWords: 1200, achievements: 5 },
+  lead: { minWords: 500, maxWords: 1200, achievements: 5 },
+  executive: { minWords: 500, maxWords: 1300, achievements: 5 }
+};
+
+// Keywords used when the CV has no target job, by field
+const FIELD_KEYWORDS = {
+  'computer science': ['javascript', 'python', 'java', 'sql', 'git', 'api', 'testing', 'cloud', 'docker', 'algorithms', 'data structures', 'agile'],
+  'information technology': ['networking', 'linux', 'windows server', 'security', 'cloud', 'sql', 'troubleshooting', 'itil', 'scripting', 'virtualization'],
+  'engineering': ['cad', 'project management', 'design', 'analysis', 'testing', 'quality', 'safety', 'simulation', 'specifications', 'matlab'],
+  'business': ['strategy', 'budget', 'stakeholder', 'analysis', 'forecasting', 'negotiation', 'operations', 'excel', 'kpi', 'leadership'],
+  'marketing': ['seo', 'content', 'campaign', 'social media', 'analytics', 'brand', 'google ads', 'email marketing', 'conversion', 'crm'],
+  'design': ['figma', 'user research', 'prototyping', 'wireframes', 'ui', 'ux', 'typography', 'design system', 'adobe', 'usability testing'],
+  'finance': ['financial analysis', 'excel', 'forecasting', 'budgeting', 'accounting', 'reporting', 'valuation', 'audit', 'risk', 'compliance']
+};
+
+const CORE_SECTIONS = ['experience', 'education', 'skills'];
+const EXTRA_SECTIONS = ['summary', 'projects', 'certifications'];
+
+const ACHIEVEMENT_CUE = /%|[$€£¥]|\brp\.?\s?\d|\b\d+(\.\d+)?\s?(k|m|x|\+)(?![a-z])|\b(increased|reduced|grew|saved|cut|improved|boosted|generated|delivered|launched|led|managed|doubled|tripled)\b/i;
+
+class HeuristicAnalyzerService {
+  constructor(pdfParserService = new PDFParserService()) {
+    this.pdfParserService = pdfParserService;
+    this.model = 'heuristic';
+  }
+
+  /**
+   * Analyze a CV; same result shape as OpenAIService.analyzeCV
+   * @param {string} cvText - Extracted CV text
+   * @param {Object} jobData - Job context data
+   * @returns {Promise<Object>} - Structured analysis results
+   */
+  async analyzeCV(cvText, jobData) {
+    const startedAt = Date.now();
+    const expectations = LEVEL_EXPECTATIONS[jobData.experienceLevel] || LEVEL_EXPECTATIONS.mid;
+    const sections = this.pdfParserService.extractStructuredSections(cvText);
+
+    const structure = this.checkStructure(sections, jobData.experienceLevel);
+    const contact = this.checkContact(cvText);
+    const keywords = this.checkKeywords(cvText, this.getKeywords(jobData));
+    const achievements = this.checkAchievements(sections, cvText, expectations);
+    const length = this.checkLength(cvText, expectations);
+
+    const scores = {
+      structure: structure.score,
+      contact: contact.score,
+      keywords: keywords.score,
+      achievements: achievements.score,
+      length: length.score
+    };
+    const overallScore = this.weightedScore(scores);
+
+    const jobMatching = {};
+    if (jobData.targetJobDescriptions?.length) {
+      const { matches } = await this.matchJobs(cvText, jobData, jobData.targetJobDescriptions);
+      jobMatching.bestMatches = matches;
+      jobMatching.averageCompatibility = Math.round(
+        jobMatching.bestMatches.reduce((sum, match) => sum + match.compatibilityScore, 0) / jobMatching.bestMatches.length
+      );
+      jobMatching.improvementPotential = keywords.missing.length
+        ? `Adding evidence of ${keywords.missing.slice(0, 5).join(', ')} would raise the match the most.`
+        : 'The CV already covers the listed skills; quantify results to stand out.';
+    }
+
+    return {
+      engine: 'heuristic',
+      analysis: {
+        overallScore,
+        summary: this.buildSummary(structure, contact, keywords, achievements, length),
+        sections: {
+          atsCompatibility: {
+            score: Math.round((structure.score + contact.score + length.score) / 3),
+            issues: [...structure.issues, ...contact.issues, ...length.issues],
+            recommendations: [...structure.recommendations, ...contact.recommendations, ...length.recommendations],
+            details: {
+              formatScore: length.score,
+              keywordDensity: keywords.score,
+              structureScore: structure.score,
+              readabilityScore: length.score
+            }
+          },
+          skillsAlignment: {
+            score: keywords.score,
+            missing: keywords.missing.map(skill => ({ skill, importance: 'medium' })),
+            present: keywords.present.map(skill => ({ skill, proficiency: 'intermediate' })),
+            suggestions: keywords.missing.length
+              ? [`Show where you have used ${keywords.missing.slice(0, 5).join(', ')}, if you have.`]
+              : []
+          },
+          experienceRelevance: {
+            score: Math.round((structure.score + keywords.score) / 2),
+            strengths: sections.experience ? ['Work experience section present'] : [],
+            weaknesses: sections.experience ? [] : ['No work experience section found']
+          },
+          achievementQuantification: {
+            score: achievements.score,
+            quantifiedAchievements: achievements.found,
+            improvements: achievements.found.length < expectations.achievements
+              ? [{
+                section: 'experience',
+                suggestion: 'Add numbers to your results: percentages, amounts, volumes or time saved.',
+                example: 'Reduced report preparation time by 40% by automating data exports'
+              }]
+              : []
+          }
+        }
+      },
+      recommendations: this.buildRecommendations(structure, contact, keywords, achievements, length, expectations),
+      jobMatching,
+      // No market data offline
+      marketInsights: {},
+      openaiProcessing: {
+        model: this.model,
+        promptTokens: 0,
+        completionTokens: 0,
+        tokensUsed: 0,
+        processingTime: Date.now() - startedAt,
+        cost: 0
+      }
+    };
+  }
+
+  /**
+   * Score a CV against several postings; same result shape as OpenAIService.matchJobs
+   * @param {string} cvText - Extracted CV text
+   * @param {Object} jobData - Job context data
+   * @param {Array<Object>} targetJobs - Entries shaped like jobData.targetJobDescriptions
+   * @returns {Promise<Object>} - { matches, usage }: one match per job, jobIndex 1-based
+   */
+  async matchJobs(cvText, jobData, targetJobs) {
+    const sections = this.pdfParserService.extractStructuredSections(cvText);
+    const expectations = LEVEL_EXPECTATIONS[jobData.experienceLevel] || LEVEL_EXPECTATIONS.mid;
+    const achievements = this.checkAchievements(sections, cvText, expectations);
+
+    const matches = targetJobs.map((job, index) => {
+      const keywords = this.checkKeywords(cvText, this.getJobKeywords(job));
+      return {
+        jobIndex: index + 1,
+        compatibilityScore: Math.round(keywords.score * 0.8 + achievements.score * 0.2),
+        matchingSkills: keywords.present,
+        missingSkills: keywords.missing,
+        recommendations: keywords.missing.length
+          ? [`Show where you have used ${keywords.missing.slice(0, 5).join(', ')}, if you have.`]
+          : []
+      };
+    });
+    return { matches, usage: this.describeUsage() };
+  }
+
+  /**
+   * Screen an applicant; same result shape as OpenAIService.screenCandidate.
+   * Confidence is always low so the result goes to a human.
+   * @param {string} cvText - Text extracted from the applicant's resume
+   * @param {Object} job - Posting plus experienceLevel and major
+   * @returns {Promise<Object>} - { fitScore, rationale, matchingSkills, missingSkills, confidence, usage }
+   */
+  async screenCandidate(cvText, job) {
+    const { matches: [match] } = await this.matchJobs(cvText, job, [job]);
+    const total = match.matchingSkills.length + match.missingSkills.length;
+
+    return {
+      fitScore: match.compatibilityScore,
+      rationale: `Rule-based score: the resume mentions ${match.matchingSkills.length} of ${total} skills and requirements listed for the job.`,
+      matchingSkills: match.matchingSkills,
+      missingSkills: match.missingSkills,
+      confidence: 'low',
+      usage: this.describeUsage()
+    };
+  }
+
+  /**
+   * Usage in the shape OpenAIService.describeUsage returns; rule-based checks cost nothing
+   * @returns {Object}
+   */
+  describeUsage() {
+    return {
+      engine: 'heuristic',
+      model: this.model,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      cost: 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  checkStructure(sections, experienceLevel) {
+    const issues = [];
+    const recommendations = [];
+    // Projects can stand in for work experience early in a career
+    const present = CORE_SECTIONS.filter(name =>
+      sections[name] || (name === 'experience' && experienceLevel === 'entry' && sections.projects)
+    );
+    const extras = EXTRA_SECTIONS.filter(name => sections[name]);
+
+    for (const name of CORE_SECTIONS.filter(name => !present.includes(name))) {
+      issues.push(`No ${name} section found`);
+      recommendations.push(`Add a clearly headed "${name.charAt(0).toUpperCase() + name.slice(1)}" section`);
+    }
+    if (!sections.summary) {
+      recommendations.push('Open with a short professional summary');
+    }
+
+    const score = Math.round((present.length / CORE_SECTIONS.length) * 80 + Math.min(extras.length, 2) * 10);
+    return { score, present, extras, issues, recommendations };
+  }
+
+  /**
+   * @private
+   */
+  checkContact(cvText) {
+    const found = {
+      email: /[\w.+-]+@[\w-]+\.[\w.-]+/.test(cvText),
+      phone: /(\+?\d[\d\s().-]{7,}\d)/.test(cvText),
+      profile: /(linkedin\.com|github\.com|behance\.net|dribbble\.com|https?:\/\/)/i.test(cvText)
+    };
+    const issues = [];
+    const recommendations = [];
+    if (!found.email) {
+      issues.push('No email address found');
+      recommendations.push('Add an email address');
+    }
+    if (!found.phone) {
+      issues.push('No phone number found');
+      recommendations.push('Add a phone number');
+    }
+    if (!found.profile) {
+      recommendations.push('Link a professional profile or portfolio');
+    }
+
+    const score = (found.email ? 45 : 0) + (found.phone ? 35 : 0) + (found.profile ? 20 : 0);
+    return { score, found, issues, recommendations };
+  }
+
+  /**
+   * @private
+   */
+  checkKeywords(cvText, keywords) {
+    if (keywords.length === 0) {
+      return { score: 50, present: [], missing: [] };
+    }
+    const text = cvText.toLowerCase();
+    const present = keywords.filter(keyword => this.containsTerm(text, keyword.toLowerCase()));
+    const missing = keywords.filter(keyword => !present.includes(keyword));
+    return { score: Math.round((present.length / keywords.length) * 100), present, missing };
+  }
+
+  /**
+   * @private
+   */
+  checkAchievements(sections, cvText, expectations) {
+    const source = [sections.experience, sections.projects].filter(Boolean).join('\n') || cvText;
+    const found = source
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => {
+        // Years and date ranges are not achievements
+        const withoutDates = line.replace(/\b(19|20)\d{2}\b/g, '');
+        return /\d/.test(withoutDates) && ACHIEVEMENT_CUE.test(withoutDates);
+      })
+      .slice(0, 10);
+
+    const score = Math.round(Math.min(found.length / expectations.achievements, 1) * 100);
+    return { score, found };
+  }
+
+  /**
+   * @private
+   */
+  checkLength(cvText, expectations) {
+    const words = this.pdfParserService.countWords(cvText);
+    const issues = [];
+    const recommendations = [];
+    let score = 100;
+
+    if (words < expectations.minWords) {
+      score = Math.round((words / expectations.minWords) * 100);
+      issues.push(`CV is short (${words} words)`);
+      recommendations.push(`Expand on your experience; around ${expectations.minWords}-${expectations.maxWords} words is typical at this level`);
+    } else if (words > expectations.maxWords) {
+      score = Math.max(40, Math.round(100 - ((words - expectations.maxWords) / expectations.maxWords) * 100));
+      issues.push(`CV is long (${words} words)`);
+      recommendations.push(`Trim it towards ${expectations.maxWords} words, keeping the most relevant work`);
+    }
+    return { score, words, issues, recommendations };
+  }
+
+  /**
+   * Keywords for the CV's target: job postings first, then the job title, then the field
+   * @private
+   */
+  getKeywords(jobData) {
+    if (jobData.targetJobDescriptions?.length) {
+      return [...new Set(jobData.targetJobDescriptions.flatMap(job => this.getJobKeywords(job)))];
+    }
+    const field = FIELD_KEYWORDS[(jobData.major || '').toLowerCase()];
+    const titleWords = (jobData.targetJobTitle || '')
+      .toLowerCase()
+      .split(/[^a-z0-9+#.]+/)
+      .filter(word => word.length > 2);
+    return [...new Set([...titleWords, ...(field || this.toTerms(jobData.major || ''))])];
+  }
+
+  /**
+   * @private
+   */
+  getJobKeywords(job) {
+    const fromRequirements = (job.requirements || [])
+      .flatMap(requirement => requirement.split(/,|;|\band\b|\bor\b/i))
+      .map(phrase => phrase
+        .replace(/\b\d+\+?\s*(years?|yrs?)\s*(of)?\b/gi, '')
+        .replace(/\b(experience|knowledge|proficiency|familiarity|understanding)\s+(with|in|of)\b/gi, '')
+        .replace(/\b(strong|solid|good|excellent|proven|hands-on)\b/gi, '')
+        .trim())
+      // Long phrases are sentences, not skills
+      .filter(phrase => phrase && phrase.split(/\s+/).length <= 3);
+
+    const keywords = [...(job.skills || []), ...fromRequirements]
+      .map(keyword => keyword.trim())
+      .filter(Boolean);
+
+    const unique = [...new Map(keywords.map(keyword => [keyword.toLowerCase(), keyword])).values()];
+    return unique.length ? unique : this.toTerms(job.title || '');
+  }
+
+  /**
+   * @private
+   */
+  toTerms(text) {
+    return text.toLowerCase().split(/[^a-z0-9+#.]+/).filter(word => word.length > 2);
+  }
+
+  /**
+   * Whole-term match that also works for terms like "c++" or "node.js"
+   * @private
+   */
+  containsTerm(text, term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(text);
+  }
+
+  /**
+   * @private
+   */
+  weightedScore(scores) {
+    const total = Object.entries(WEIGHTS).reduce((sum, [check, weight]) => sum + scores[check] * weight, 0);
+    return Math.round(total / 100);
+  }
+
+  /**
+   * @private
+   */
+  buildSummary(structure, contact, keywords, achievements, length) {
+    const strengths = [];
+    const improvements = [];
+
+    if (structure.issues.length === 0) strengths.push('clear structure with the key sections');
+    else improvements.push(structure.issues.join(', ').toLowerCase());
+    if (keywords.present.length) strengths.push(`relevant skills such as ${keywords.present.slice(0, 3).join(', ')}`);
+    if (keywords.missing.length) improvements.push(`missing keywords like ${keywords.missing.slice(0, 3).join(', ')}`);
+    if (achievements.found.length) strengths.push(`${achievements.found.length} quantified achievement${achievements.found.length === 1 ? '' : 's'}`);
+    else improvements.push('no quantified achievements');
+    if (contact.issues.length) improvements.push(contact.issues.join(', ').toLowerCase());
+    if (length.issues.length) improvements.push(length.issues[0].toLowerCase());
+
+    return {
+      strengths: strengths.length ? `The CV shows ${strengths.join('; ')}.` : 'No clear strengths were detected by the rule-based checks.',
+      areasOfImprovement: improvements.length ? `Work on: ${improvements.join('; ')}.` : 'No major issues were detected by the rule-based checks.',
+      keyFindings: 'Scored by rule-based checks (structure, contact details, keywords, quantified achievements and length) without AI.'
+    };
+  }
+
+  /**
+   * @private
+   */
+  buildRecommendations(structure, contact, keywords, achievements, length, expectations) {
+    const recommendations = [];
+
+    for (const suggestion of structure.recommendations) {
+      recommendations.push({ priority: structure.issues.length ? 'high' : 'low', category: 'format', suggestion, impact: 'Helps ATS software and recruiters find your information' });
+    }
+    if (keywords.missing.length) {
+      recommendations.push({
+        priority: keywords.score < 50 ? 'high' : 'medium',
+        category: 'keywords',
+        suggestion: `Mention ${keywords.missing.slice(0, 8).join(', ')} where they reflect your real experience`,
+        impact: 'Improves keyword matching against the target role'
+      });
+    }
+    if (achievements.found.length < expectations.achievements) {
+      recommendations.push({
+        priority: 'high',
+        category: 'achievements',
+        suggestion: 'Quantify your results with percentages, amounts, volumes or time saved',
+        impact: 'Quantified achievements make your impact concrete'
+      });
+    }
+    for (const suggestion of [...contact.recommendations, ...length.recommendations]) {
+      recommendations.push({ priority: 'medium', category: 'content', suggestion, impact: 'Makes the CV easier to act on' });
+    }
+    return recommendations;
+  }
+}
+
+export default HeuristicAnalyzerService;
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import JobMatch from '../models/jobmatch.model.js';
+import usageService from './usage.service.js';
+
+/**
+ * Job Match Service
+ * Scores one CV analysis against many job postings and ranks them. Scores are
+ * cached per (analysis, job) pair, so re-ranking only pays for postings that
+ * are new or have changed since they were last scored.
+ */
+class JobMatchService {
+  constructor() {
+    this.batchSize = parseInt(process.env.CV_JOB_MATCH_BATCH_SIZE) || 5;
+  }
+
+  /**
+   * Rank job postings by how well a completed analysis fits them
+   * @param {CVAnalysis} analysis - Completed analysis with its extracted text
+   * @param {Array<Job>} jobs - Jobs with companyId populated (companyName)
+   * @param {Object} analyzer - Service with matchJobs(cvText, jobData, targetJobs), e.g. AnalyzerService
+   * @returns {Promise<Array<Object>>} - Rankings, best fit first
+   */
+  async rankJobs(analysis, jobs, analyzer) {
+    const targets = new Map(jobs.map(job => [job._id.toString(), CVAnalysis.toTargetJobDescription(job)]));
+    const fingerprints = new Map(
+      [...targets].map(([jobId, target]) => [jobId, this.fingerprint(analysis, target)])
+    );
+
+    const matches = new Map();
+    for (const match of await JobMatch.findFresh(analysis._id, fingerprints)) {
+      matches.set(match.jobId.toString(), { match, cached: true });
+    }
+
+    const pending = [...targets.keys()].filter(jobId => !matches.has(jobId));
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      const batch = pending.slice(i, i + this.batchSize);
+      const { matches: results, usage } = await analyzer.matchJobs(
+        analysis.extractedText,
+        analysis.jobData,
+        batch.map(jobId => targets.get(jobId))
+      );
+      await usageService.record('job-matching', { userId: analysis.userId, analysisId: analysis._id }, usage);
+
+      for (const result of results) {
+        const jobId = batch[result.jobIndex - 1];
+        if (matches.has(jobId)) continue;
+
+        const match = await JobMatch.store({
+          analysisId: analysis._id,
+          userId: analysis.userId,
+          jobId,
+          fingerprint: fingerprints.get(jobId),
+          compatibilityScore: result.compatibilityScore,
+          matchingSkills: result.matchingSkills,
+          missingSkills: result.missingSkills,
+          recommendations: result.recommendations,
+          model: usage?.model || analyzer.model
+        });
+        matches.set(jobId, { match, cached: false });
+      }
+    }
+
+    const rankings = jobs.map(job => {
+      const jobId = job._id.toString();
+      const { match, cached } = matches.get(jobId) || {};
+      return {
+        jobId: job._id,
+        title: job.title,
+        company: job.companyId?.companyName,
+        isActive: job.isActive,
+        compatibilityScore: match ? match.compatibilityScore : null,
+        matchingSkills: match?.matchingSkills || [],
+        missingSkills: match?.missingSkills || [],
+        recommendations: match?.recommendations || [],
+        cached: !!cached
+      };
+    });
+
+    // Jobs the analyzer skipped sort last, without a rank
+    rankings.sort((a, b) => (b.compatibilityScore ?? -1) - (a.compatibilityScore ?? -1));
+    rankings.forEach((ranking, index) => {
+      ranking.rank = ranking.compatibilityScore === null ? null : index + 1;
+    });
+
+    return rankings;
+  }
+
+  /**
+   * Hash of everything that affects a score, so stale cache entries are ignored
+   * @param {CVAnalysis} analysis - The analysis being scored
+   * @param {Object} target - targetJobDescriptions entry for the job
+   * @returns {string} - Hex digest
+   */
+  fingerprint(analysis, target) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        analysis.extractedText,
+        analysis.jobData?.experienceLevel,
+        analysis.jobData?.major,
+        target
+      ]))
+      .digest('hex');
+  }
+
+  /**
+   * Drop cached matches for an analysis
+   * @param {ObjectId} analysisId - Analysis ID
+   * @returns {Promise<Object>} - Delete result
+   */
+  clearForAnalysis(analysisId) {
+    return JobMatch.deleteMany({ analysisId });
+  }
+}
+
+export default new JobMatchService();
+export { JobMatchService };
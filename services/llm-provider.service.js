@@ -0,0 +1,284 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import OpenAI from 'openai';
+
+/**
+ * LLM Provider Service
+ * Chat-completion backends behind a common interface, chosen with LLM_PROVIDER.
+ * A provider exposes `name`, `defaultModel`, `supportsJsonFormat(model)` and
+ * `complete(request)`, where request is `{ model, messages, maxTokens, temperature, json }`
+ * and the result is `{ content, requestId, usage: { promptTokens, completionTokens, totalTokens } }`.
+ */
+
+// Models that accept response_format: { type: 'json_object' } (fine-tuned names contain the base model)
+const OPENAI_JSON_MODELS = [
+  'gpt-4o',
+  'gpt-4.1',
+  'gpt-4-turbo',
+  'gpt-4-1106-preview',
+  'gpt-4-0125-preview',
+  'gpt-3.5-turbo-1106',
+  'gpt-3.5-turbo-0125',
+  'gpt-3.5-turbo-16k-0613'
+];
+
+// USD per 1K tokens; LLM_PRICING overrides or extends this per environment
+const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4.1-mini': { input: 0.0004, output: 0.0016 },
+  'gpt-4.1': { input: 0.002, output: 0.008 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 }
+};
+
+/**
+ * OpenAI provider - the hosted OpenAI API
+ */
+class OpenAIProvider {
+  constructor(options = {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined
+  }) {
+    if (!options.apiKey) {
+      throw new LLMProviderError('OPENAI_API_KEY is required for the openai provider');
+    }
+    this.name = 'openai';
+    this.defaultModel = 'gpt-4o';
+    this.client = new OpenAI(options);
+  }
+
+  static isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  supportsJsonFormat(model) {
+    return OPENAI_JSON_MODELS.some(supported => model.includes(supported));
+  }
+
+  async complete({ model, messages, maxTokens, temperature, json }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+    return toCompletion(response);
+  }
+}
+
+/**
+ * OpenAI-compatible provider - any server implementing /v1/chat/completions,
+ * such as llama.cpp's server, Ollama or vLLM running locally
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {
+    baseURL: process.env.LLM_BASE_URL,
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    jsonFormat: process.env.LLM_JSON_FORMAT !== 'false'
+  }) {
+    if (!options.baseURL) {
+      throw new LLMProviderError('LLM_BASE_URL is required for the openai-compatible provider');
+    }
+    this.name = 'openai-compatible';
+    this.defaultModel = null;
+    this.jsonFormat = options.jsonFormat;
+    this.client = new OpenAI({ baseURL: options.baseURL, apiKey: options.apiKey });
+  }
+
+  static isConfigured() {
+    return !!process.env.LLM_BASE_URL;
+  }
+
+  supportsJsonFormat() {
+    return this.jsonFormat;
+  }
+
+  async complete({ model, messages, maxTokens, temperature, json }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json && this.jsonFormat ? { response_format: { type: 'json_object' } } : {})
+    });
+    return toCompletion(response);
+  }
+}
+
+/**
+ * Fixture provider - replays completions recorded as JSON files, one per request,
+ * so tests run offline and deterministically. With `mode: 'record'` it forwards
+ * requests to another provider and saves what comes back.
+ */
+class FixtureProvider {
+  constructor(options = {
+    dir: process.env.LLM_FIXTURE_DIR || path.join(process.cwd(), 'tests', 'fixtures', 'llm'),
+    mode: process.env.LLM_FIXTURE_MODE || 'replay',
+    source: process.env.LLM_FIXTURE_SOURCE
+  }) {
+    if (!['replay', 'record'].includes(options.mode)) {
+      throw new LLMProviderError(`Unknown LLM_FIXTURE_MODE: ${options.mode}`);
+    }
+    this.name = 'fixture';
+    this.defaultModel = 'fixture';
+    this.dir = options.dir;
+    this.mode = options.mode;
+    this.source = null;
+
+    if (this.mode === 'record') {
+      if (!options.source || options.source === 'fixture') {
+        throw new LLMProviderError('LLM_FIXTURE_SOURCE must name the provider to record from');
+      }
+      this.source = typeof options.source === 'string' ? createProvider(options.source) : options.source;
+      this.defaultModel = this.source.defaultModel;
+    }
+  }
+
+  static isConfigured() {
+    return true;
+  }
+
+  supportsJsonFormat(model) {
+    return this.source ? this.source.supportsJsonFormat(model) : true;
+  }
+
+  /**
+   * File name a request is recorded under
+   * @param {Object} request - Completion request
+   * @returns {string} - `<sha256>.json`
+   */
+  static fixtureName({ model, messages, json }) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([model, messages, !!json]))
+      .digest('hex');
+    return `${hash}.json`;
+  }
+
+  async complete(request) {
+    const file = path.join(this.dir, FixtureProvider.fixtureName(request));
+
+    if (this.mode === 'record') {
+      const completion = await this.source.complete(request);
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify({ request, completion }, null, 2));
+      return completion;
+    }
+
+    try {
+      const { completion } = JSON.parse(await fs.readFile(file, 'utf8'));
+      return completion;
+    } catch (error) {
+      const missing = new LLMProviderError(
+        error.code === 'ENOENT'
+          ? `No recorded completion for this request (${file}); record it with LLM_FIXTURE_MODE=record`
+          : `Failed to read fixture ${file}: ${error.message}`
+      );
+      missing.retryable = false;
+      throw missing;
+    }
+  }
+}
+
+const providers = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * Build a provider by name
+ * @param {string} [name] - Registered provider name, defaults to LLM_PROVIDER or 'openai'
+ * @returns {Object} - Provider instance
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'openai') {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new LLMProviderError(`Unknown LLM provider: ${name}. Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+}
+
+/**
+ * Whether a provider has the settings it needs, without creating it
+ * @param {string} [name] - Registered provider name, defaults to LLM_PROVIDER or 'openai'
+ * @returns {boolean}
+ */
+function isProviderConfigured(name = process.env.LLM_PROVIDER || 'openai') {
+  return !!providers[name]?.isConfigured();
+}
+
+/**
+ * Pricing table for this environment: DEFAULT_PRICING merged with LLM_PRICING, a
+ * JSON object such as {"llama3": {"input": 0, "output": 0}} (USD per 1K tokens)
+ * @returns {Object<string, {input: number, output: number}>}
+ */
+function getPricing() {
+  if (!process.env.LLM_PRICING) return DEFAULT_PRICING;
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (error) {
+    throw new LLMProviderError(`LLM_PRICING is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Estimated cost of a completion
+ * @param {string} model - Model name; the longest priced prefix is used, so dated
+ *   snapshots like gpt-4o-2024-08-06 get their family's price
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {Object} [pricing] - Pricing table, defaults to getPricing()
+ * @returns {number} - USD rounded to 6 decimals; 0 for models without a price
+ */
+function calculateCost(model, usage, pricing = getPricing()) {
+  const key = Object.keys(pricing)
+    .filter(priced => model === priced || model.startsWith(priced))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!key || !usage) return 0;
+
+  const { input = 0, output = 0 } = pricing[key];
+  const cost = ((usage.promptTokens || 0) / 1000) * input + ((usage.completionTokens || 0) / 1000) * output;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Normalise an OpenAI-style chat completion
+function toCompletion(response) {
+  return {
+    content: response.choices?.[0]?.message?.content || '',
+    requestId: response.id,
+    usage: {
+      promptTokens: response.usage?.prompt_tokens || 0,
+      completionTokens: response.usage?.completion_tokens || 0,
+      totalTokens: response.usage?.total_tokens || 0
+    }
+  };
+}
+
+/**
+ * Custom error class for provider configuration and fixture errors
+ */
+class LLMProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LLMProviderError';
+  }
+}
+
+export default createProvider;
+export {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  LLMProviderError,
+  DEFAULT_PRICING,
+  createProvider,
+  isProviderConfigured,
+  getPricing,
+  calculateCost
+};
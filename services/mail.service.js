@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import enTemplates from '../templates/mail/en.js';
+import idTemplates from '../templates/mail/id.js';
+
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport.
+ * A transport is any object exposing `send(message)` that returns a promise.
+ * Templates are registered per name and locale and render `{ subject, text, html }`.
+ */
+
+/**
+ * Console transport - prints outgoing mail to stdout (default in development)
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log('Outgoing mail:', {
+      to: message.to,
+      subject: message.subject
+    });
+    console.log(message.text);
+    return { messageId: message.messageId };
+  }
+}
+
+/**
+ * File transport - writes each message as a JSON file so tests can read it back
+ */
+class FileTransport {
+  constructor(outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'tmp', 'mail')) {
+    this.name = 'file';
+    this.outputDir = outputDir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const filename = `${Date.now()}_${message.messageId}.json`;
+    const filePath = path.join(this.outputDir, filename);
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { messageId: message.messageId, path: filePath };
+  }
+}
+
+/**
+ * SMTP transport - delivers through any SMTP server via nodemailer
+ */
+class SmtpTransport {
+  constructor(options = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  }) {
+    if (!options.host) {
+      throw new MailServiceError('SMTP_HOST is required for the smtp transport');
+    }
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      messageId: `<${message.messageId}@${message.from.replace(/^.*@|>$/g, '')}>`,
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      date: new Date(message.date)
+    });
+    return { messageId: message.messageId, response: info.response };
+  }
+}
+
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport(),
+  smtp: () => new SmtpTransport()
+};
+
+// templates[name][locale] = (data) => ({ subject, text, html })
+const templates = {};
+
+class MailService {
+  /**
+   * @param {Object} [transport] - Transport instance; resolved from MAIL_TRANSPORT when omitted
+   */
+  constructor(transport = null) {
+    this.transport = transport;
+  }
+
+  /**
+   * Resolve the transport lazily so environment set up after import (e.g. in tests) is honoured
+   * @returns {Object} - Transport instance
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = MailService.createTransport(process.env.MAIL_TRANSPORT || 'console');
+    }
+    return this.transport;
+  }
+
+  /**
+   * Build a transport by name
+   * @param {string} name - Registered transport name
+   * @returns {Object} - Transport instance
+   */
+  static createTransport(name) {
+    const factory = transports[name];
+    if (!factory) {
+      throw new MailServiceError(`Unknown mail transport: ${name}`);
+    }
+    return factory();
+  }
+
+  /**
+   * Register an additional transport factory
+   * @param {string} name - Transport name used in MAIL_TRANSPORT
+   * @param {Function} factory - Returns a transport instance
+   */
+  static registerTransport(name, factory) {
+    transports[name] = factory;
+  }
+
+  /**
+   * Register a template for a locale
+   * @param {string} name - Template name, e.g. 'password-reset'
+   * @param {string} locale - Locale code, e.g. 'en'
+   * @param {Function} render - (data) => ({ subject, text, html })
+   */
+  static registerTemplate(name, locale, render) {
+    if (!templates[name]) {
+      templates[name] = {};
+    }
+    templates[name][locale] = render;
+  }
+
+  /**
+   * List registered templates with their locales
+   * @returns {Object} - { [name]: string[] }
+   */
+  static getTemplates() {
+    return Object.fromEntries(Object.entries(templates).map(([name, locales]) => [name, Object.keys(locales)]));
+  }
+
+  /**
+   * Render a template, falling back to the default locale when the requested one is missing
+   * @param {string} name - Template name
+   * @param {Object} data - Template data
+   * @param {string} [locale] - Preferred locale
+   * @returns {{subject: string, text: string, html: string, locale: string}}
+   */
+  static renderTemplate(name, data = {}, locale) {
+    const locales = templates[name];
+    if (!locales) {
+      throw new MailServiceError(`Unknown mail template: ${name}`);
+    }
+
+    const defaultLocale = process.env.MAIL_DEFAULT_LOCALE || 'en';
+    const resolved = [locale, defaultLocale, 'en'].find(candidate => candidate && locales[candidate])
+      || Object.keys(locales)[0];
+
+    return { ...locales[resolved](data), locale: resolved };
+  }
+
+  /**
+   * Render a template and send it
+   * @param {Object} options
+   * @param {string} options.to - Recipient address
+   * @param {string} options.template - Template name
+   * @param {string} [options.locale] - Recipient's preferred locale
+   * @param {Object} [options.data] - Template data
+   * @returns {Promise<Object>} - Transport result
+   */
+  async sendTemplate({ to, template, locale, data = {} }) {
+    const { subject, text, html } = MailService.renderTemplate(template, data, locale);
+    return this.send({ to, subject, text, html });
+  }
+
+  /**
+   * Send an email
+   * @param {Object} options - { to, subject, text, html }
+   * @returns {Promise<Object>} - Transport result
+   */
+  async send({ to, subject, text, html }) {
+    if (!to || !subject) {
+      throw new MailServiceError('Recipient and subject are required');
+    }
+
+    const message = {
+      messageId: crypto.randomBytes(8).toString('hex'),
+      from: process.env.MAIL_FROM || 'JobHive <no-reply@jobhive.local>',
+      to,
+      subject,
+      text: text || '',
+      html: html || undefined,
+      date: new Date().toISOString()
+    };
+
+    try {
+      return await this.getTransport().send(message);
+    } catch (error) {
+      throw new MailServiceError('Failed to send email', error);
+    }
+  }
+}
+
+/**
+ * Custom error class for mail service errors
+ */
+class MailServiceError extends Error {
+  constructor(message, originalError = null) {
+    super(message);
+    this.name = 'MailServiceError';
+    this.originalError = originalError;
+  }
+}
+
+for (const [locale, localeTemplates] of Object.entries({ en: enTemplates, id: idTemplates })) {
+  for (const [name, render] of Object.entries(localeTemplates)) {
+    MailService.registerTemplate(name, locale, render);
+  }
+}
+
+export default MailService;
+export { MailServiceError, ConsoleTransport, FileTransport, SmtpTransport };
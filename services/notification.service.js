@@ -0,0 +1,201 @@
+import Notification from '../models/notification.model.js';
+import NotificationPreference from '../models/notificationpreference.model.js';
+import User from '../models/user.model.js';
+import Company from '../models/company.model.js';
+import Job from '../models/job.model.js';
+import MailService from './mail.service.js';
+import eventService, { EVENTS } from './event.service.js';
+
+/**
+ * Notification Service
+ * Turns domain events into in-app notifications (and optional emails),
+ * honouring each recipient's per-type preferences.
+ */
+
+const recipients = {
+  user: { model: User, nameField: 'fullName' },
+  company: { model: Company, nameField: 'companyName' }
+};
+
+class NotificationService {
+  constructor(mailService = new MailService()) {
+    this.mailService = mailService;
+    this.registered = false;
+  }
+
+  /**
+   * Subscribe to the domain events that produce notifications. Safe to call more than once.
+   * @param {EventService} [events] - Event bus, defaults to the shared instance
+   */
+  registerEventHandlers(events = eventService) {
+    if (this.registered) return;
+    this.registered = true;
+
+    events.subscribe(EVENTS.APPLICATION_SUBMITTED, payload => this.onApplicationSubmitted(payload));
+    events.subscribe(EVENTS.APPLICATION_STATUS_CHANGED, payload => this.onApplicationStatusChanged(payload));
+    events.subscribe(EVENTS.JOB_DEADLINE_EXPIRED, payload => this.onJobDeadlineExpired(payload));
+    events.subscribe(EVENTS.CV_ANALYSIS_COMPLETED, payload => this.onCVAnalysisCompleted(payload));
+    events.subscribe(EVENTS.CV_ANALYSIS_FAILED, payload => this.onCVAnalysisFailed(payload));
+  }
+
+  /**
+   * Deliver a notification through the channels the recipient has enabled
+   * @param {Object} notification
+   * @param {string} notification.recipientType - 'user' or 'company'
+   * @param {string} notification.recipientId - Recipient id
+   * @param {string} notification.type - One of Notification.TYPES
+   * @param {string} notification.title - Short title
+   * @param {string} [notification.message] - Body text
+   * @param {Object} [notification.data] - Related document ids
+   * @param {Object} [notification.email] - Mail template and data for the email channel; a generic template is used when omitted
+   * @returns {Promise<Object|null>} - The stored notification, or null when in-app delivery is disabled
+   */
+  async notify({ recipientType, recipientId, type, title, message = '', data = {}, email = null }) {
+    const preference = await NotificationPreference.findForRecipient(recipientType, recipientId);
+    const channels = preference.getChannels(type);
+
+    let notification = null;
+    if (channels.inApp) {
+      notification = await Notification.create({ recipientType, recipientId, type, title, message, data });
+      eventService.publish(EVENTS.NOTIFICATION_CREATED, { notification });
+    }
+
+    if (channels.email) {
+      await this.sendEmail(recipientType, recipientId, email || { template: 'notification', data: { title, message } });
+    }
+
+    return notification;
+  }
+
+  /**
+   * @private
+   */
+  async sendEmail(recipientType, recipientId, { template, data }) {
+    const { model, nameField } = recipients[recipientType];
+    const recipient = await model.findById(recipientId).select(`email preferredLanguage ${nameField}`);
+    if (!recipient) return;
+
+    try {
+      await this.mailService.sendTemplate({
+        to: recipient.email,
+        template,
+        locale: recipient.preferredLanguage,
+        data: { name: recipient[nameField], ...data }
+      });
+    } catch (error) {
+      console.error('Notification email error:', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async getCompanyName(companyId) {
+    const company = await Company.findById(companyId?._id ?? companyId).select('companyName');
+    return company?.companyName || '';
+  }
+
+  /**
+   * @private
+   */
+  async onApplicationSubmitted({ application, job }) {
+    await this.notify({
+      recipientType: 'company',
+      recipientId: job.companyId,
+      type: 'application.submitted',
+      title: `New application for ${job.title}`,
+      message: `${application.fullName} applied for ${job.title}.`,
+      data: { applicationId: application._id, jobId: job._id }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async onApplicationStatusChanged({ application, to, updatedByType, message }) {
+    const jobId = application.jobId?._id || application.jobId;
+    const job = application.jobId?.title ? application.jobId : await Job.findById(jobId).select('title companyId');
+    if (!job) return;
+
+    // Candidates hear about company decisions; companies hear about withdrawals
+    if (updatedByType === 'User') {
+      if (to !== 'withdrawn') return;
+      await this.notify({
+        recipientType: 'company',
+        recipientId: job.companyId,
+        type: 'application.withdrawn',
+        title: `Application withdrawn for ${job.title}`,
+        message: `${application.fullName} withdrew their application for ${job.title}.`,
+        data: { applicationId: application._id, jobId }
+      });
+      return;
+    }
+
+    await this.notify({
+      recipientType: 'user',
+      recipientId: application.userId,
+      type: 'application.status-changed',
+      title: `Application update: ${job.title}`,
+      // A company's message (e.g. from a bulk update) replaces the default text; the email keeps it in full
+      message: message ? message.substring(0, 1000) : `Your application for ${job.title} is now ${to}.`,
+      data: { applicationId: application._id, jobId, status: to },
+      email: {
+        template: 'application-status-changed',
+        data: { jobTitle: job.title, companyName: await this.getCompanyName(job.companyId), status: to, message }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async onJobDeadlineExpired({ job }) {
+    await this.notify({
+      recipientType: 'company',
+      recipientId: job.companyId,
+      type: 'job.expired',
+      title: `Job closed: ${job.title}`,
+      message: `The application deadline for ${job.title} has passed and the job is no longer accepting applications.`,
+      data: { jobId: job._id }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async onCVAnalysisCompleted({ analysis }) {
+    await this.notify({
+      recipientType: 'user',
+      recipientId: analysis.userId,
+      type: 'cv-analysis.completed',
+      title: 'Your CV analysis is ready',
+      message: `The analysis of ${analysis.originalFilename} is complete with an overall score of ${analysis.overallScore}.`,
+      data: { analysisId: analysis._id },
+      email: {
+        template: 'analysis-complete',
+        data: {
+          fileName: analysis.originalFilename,
+          overallScore: analysis.overallScore,
+          resultsUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/cv-analysis/${analysis._id}`
+        }
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async onCVAnalysisFailed({ analysis }) {
+    await this.notify({
+      recipientType: 'user',
+      recipientId: analysis.userId,
+      type: 'cv-analysis.failed',
+      title: 'Your CV analysis failed',
+      message: `We couldn't analyze ${analysis.originalFilename}. Please try again.`,
+      data: { analysisId: analysis._id }
+    });
+  }
+}
+
+export default new NotificationService();
+export { NotificationService };
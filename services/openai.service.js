@@ -1,24 +1,34 @@
-import OpenAI from 'openai';
+import createProvider, { calculateCost } from './llm-provider.service.js';
 
 /**
  * Enterprise-grade OpenAI Service for CV Analysis
- * Implements advanced prompt engineering, error handling, and cost optimization
+ * Implements advanced prompt engineering, error handling, and cost optimization.
+ * Completions go through an LLM provider (see llm-provider.service.js), so the
+ * same prompts run against OpenAI, a local OpenAI-compatible server or fixtures.
  */
 class OpenAIService {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o';
+  /**
+   * @param {Object} [provider] - LLM provider; created from LLM_PROVIDER when omitted
+   */
+  constructor(provider = createProvider()) {
+    this.provider = provider;
+
+    // OPENAI_MODEL is kept for existing OpenAI setups; other providers use LLM_MODEL
+    this.model = process.env.LLM_MODEL
+      || (provider.name === 'openai' ? process.env.OPENAI_MODEL : null)
+      || provider.defaultModel;
+    if (!this.model) {
+      throw new OpenAIServiceError(`LLM_MODEL is required for the ${provider.name} provider`);
+    }
     this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS) || 4000;
     this.temperature = parseFloat(process.env.OPENAI_TEMPERATURE) || 0.3;
     
     // Check if model supports structured outputs
-    this.supportsJsonFormat = this.modelSupportsJsonFormat(this.model);
+    this.supportsJsonFormat = provider.supportsJsonFormat(this.model);
     
     // Log configuration for debugging
     console.log('OpenAI Service Configuration:');
+    console.log(`- Provider: ${provider.name}`);
     console.log(`- Model: ${this.model}`);
     console.log(`- Supports JSON format: ${this.supportsJsonFormat}`);
     console.log(`- Max tokens: ${this.maxTokens}`);
@@ -28,58 +38,24 @@ class OpenAIService {
     this.retryAttempts = 3;
     this.retryDelay = 1000; // 1 second base delay
     this.maxRetryDelay = 30000; // 30 seconds max delay
-    
-    // Cost tracking
-    this.tokensUsed = 0;
-    this.requestCount = 0;
-    this.processingStartTime = 0;
   }
 
   /**
    * Main CV analysis method with comprehensive error handling
    * @param {string} cvText - Extracted CV text
    * @param {Object} jobData - Job context data
-   * @returns {Promise<Object>} - Structured analysis results
+   * @returns {Promise<Object>} - { result, completion }: the validated analysis and the
+   *   provider completion it came from (requestId, usage)
    */
   async analyzeCVComprehensive(cvText, jobData) {
     try {
-      const prompt = this.buildComprehensiveAnalysisPrompt(cvText, jobData);
+      const completion = await this.complete(
+        this.getSystemPrompt(jobData.experienceLevel, jobData.major),
+        this.buildComprehensiveAnalysisPrompt(cvText, jobData)
+      );
+      const result = this.parseAndValidateResponse(completion.content);
       
-      // Build request parameters
-      const requestParams = {
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt(jobData.experienceLevel, jobData.major)
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: this.maxTokens,
-        temperature: this.temperature
-      };
-      
-      // Only add response_format if model supports it
-      if (this.supportsJsonFormat) {
-        requestParams.response_format = { type: 'json_object' };
-        console.log('Using JSON response format for model:', this.model);
-      } else {
-        console.log('Model does not support JSON response format:', this.model);
-        // Ensure response_format is not set
-        delete requestParams.response_format;
-      }
-      
-      const response = await this.makeAPICallWithRetry(requestParams);
-
-      const result = this.parseAndValidateResponse(response);
-      
-      // Track usage for cost optimization
-      this.trackUsage(response.usage);
-      
-      return result;
+      return { result, completion };
     } catch (error) {
       throw new OpenAIServiceError('CV analysis failed', error);
     }
@@ -93,11 +69,13 @@ class OpenAIService {
    */
   async analyzeCV(cvText, jobData) {
     try {
-      this.processingStartTime = Date.now();
-      const result = await this.analyzeCVComprehensive(cvText, jobData);
+      const requestTimestamp = new Date();
+      const { result, completion } = await this.analyzeCVComprehensive(cvText, jobData);
+      const responseTimestamp = new Date();
       
       // Return structured response for controller
       return {
+        engine: 'openai',
         analysis: {
           overallScore: result.overallScore,
           summary: result.summary,
@@ -107,10 +85,16 @@ class OpenAIService {
         jobMatching: result.jobMatching,
         marketInsights: result.marketInsights,
         openaiProcessing: {
+          provider: this.provider.name,
           model: this.model,
-          tokensUsed: this.tokensUsed,
-          processingTime: Date.now() - this.processingStartTime,
-          cost: this.calculateCost(this.tokensUsed)
+          requestId: completion.requestId,
+          promptTokens: completion.usage.promptTokens,
+          completionTokens: completion.usage.completionTokens,
+          tokensUsed: completion.usage.totalTokens,
+          processingTime: responseTimestamp - requestTimestamp,
+          cost: this.calculateCost(completion.usage),
+          requestTimestamp,
+          responseTimestamp
         }
       };
     } catch (error) {
@@ -118,6 +102,198 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Score a CV against several job postings in one request
+   * @param {string} cvText - Extracted CV text
+   * @param {Object} jobData - Job context data (experienceLevel, major)
+   * @param {Array<Object>} targetJobs - Entries shaped like jobData.targetJobDescriptions
+   * @returns {Promise<Object>} - { matches, usage }: one { jobIndex, compatibilityScore, matchingSkills,
+   *   missingSkills, recommendations } per job the model scored (jobIndex is 1-based), and the
+   *   request's usage (see describeUsage)
+   */
+  async matchJobs(cvText, jobData, targetJobs) {
+    try {
+      const { parsed, usage } = await this.requestJson(
+        this.getSystemPrompt(jobData.experienceLevel, jobData.major),
+        this.buildJobMatchingPrompt(cvText, jobData, targetJobs)
+      );
+      const matches = (parsed.bestMatches || [])
+        .filter(match => Number.isInteger(match.jobIndex) && match.jobIndex >= 1 && match.jobIndex <= targetJobs.length)
+        .map(match => ({
+          jobIndex: match.jobIndex,
+          compatibilityScore: Math.max(0, Math.min(100, Math.round(Number(match.compatibilityScore) || 0))),
+          matchingSkills: this.toStringList(match.matchingSkills),
+          missingSkills: this.toStringList(match.missingSkills),
+          recommendations: this.toStringList(match.recommendations)
+        }));
+      return { matches, usage };
+    } catch (error) {
+      throw new OpenAIServiceError('Job matching failed', error);
+    }
+  }
+
+  /**
+   * Build the prompt for scoring a CV against several postings
+   * @param {string} cvText - CV content
+   * @param {Object} jobData - Job context
+   * @param {Array<Object>} targetJobs - Postings to score against
+   * @returns {string} - Prompt
+   */
+  buildJobMatchingPrompt(cvText, jobData, targetJobs) {
+    const jobsText = targetJobs
+      .map((job, index) => `
+Job ${index + 1}: ${job.title} at ${job.company || 'Company'}
+Description: ${job.description}
+Requirements: ${job.requirements && job.requirements.length ? job.requirements.join(', ') : 'Not specified'}
+Skills: ${job.skills && job.skills.length ? job.skills.join(', ') : 'Not specified'}
+      `).join('\n');
+
+    return `
+Score how well this CV of a ${jobData.experienceLevel}-level professional in ${jobData.major} fits each of the job postings below. Score every job on its own merits; don't compare them with each other.
+
+CV CONTENT:
+${cvText}
+
+JOBS:
+${jobsText}
+
+Return valid JSON with exactly this structure, with one entry per job and "jobIndex" set to the job's number above:
+{
+  "bestMatches": [
+    {
+      "jobIndex": number,
+      "compatibilityScore": number (0-100),
+      "matchingSkills": [array of skills from the job that the CV shows],
+      "missingSkills": [array of skills from the job that the CV lacks],
+      "recommendations": [array of short, specific steps to improve the fit]
+    }
+  ]
+}
+    `;
+  }
+
+  /**
+   * Screen an applicant's CV against the job they applied for
+   * @param {string} cvText - Text extracted from the applicant's resume
+   * @param {Object} job - targetJobDescriptions-shaped posting plus experienceLevel and major
+   * @returns {Promise<Object>} - { fitScore, rationale, matchingSkills, missingSkills, confidence, usage }
+   */
+  async screenCandidate(cvText, job) {
+    try {
+      const { parsed, usage } = await this.requestJson(
+        `${this.getSystemPrompt(job.experienceLevel, job.major)} You are screening an applicant for a recruiter. Judge only job-relevant skills, experience and qualifications. Ignore name, age, gender, ethnicity, religion, nationality, marital status, disability, photos and employment gaps, and never mention them in your rationale.`,
+        this.buildScreeningPrompt(cvText, job)
+      );
+      const fitScore = Number(parsed.fitScore);
+      if (!Number.isFinite(fitScore)) {
+        throw new Error('Screening response has no fitScore');
+      }
+
+      return {
+        fitScore: Math.max(0, Math.min(100, Math.round(fitScore))),
+        rationale: typeof parsed.rationale === 'string' ? parsed.rationale.trim().substring(0, 2000) : '',
+        matchingSkills: this.toStringList(parsed.matchingSkills),
+        missingSkills: this.toStringList(parsed.missingSkills),
+        confidence: ['low', 'medium', 'high'].includes(parsed.confidence) ? parsed.confidence : 'low',
+        usage
+      };
+    } catch (error) {
+      throw new OpenAIServiceError('Candidate screening failed', error);
+    }
+  }
+
+  /**
+   * Build the prompt for screening an applicant
+   * @param {string} cvText - CV content
+   * @param {Object} job - Posting the candidate applied for
+   * @returns {string} - Prompt
+   */
+  buildScreeningPrompt(cvText, job) {
+    return `
+Assess how well this applicant meets the requirements of the job they applied for.
+
+JOB: ${job.title} at ${job.company || 'Company'} (${job.experienceLevel} level)
+Description: ${job.description}
+Requirements: ${job.requirements && job.requirements.length ? job.requirements.join(', ') : 'Not specified'}
+Skills: ${job.skills && job.skills.length ? job.skills.join(', ') : 'Not specified'}
+
+APPLICANT CV:
+${cvText}
+
+Return valid JSON with exactly this structure:
+{
+  "fitScore": number (0-100),
+  "rationale": "two or three sentences a recruiter can check against the CV",
+  "matchingSkills": [array of required skills the CV demonstrates],
+  "missingSkills": [array of required skills the CV does not show],
+  "confidence": "low|medium|high" (low when the CV is unclear, incomplete or hard to compare with the job)
+}
+    `;
+  }
+
+  /**
+   * Send a system and user prompt to the provider, with retries and usage tracking
+   * @param {string} systemPrompt - System message
+   * @param {string} prompt - User message
+   * @returns {Promise<Object>} - Provider completion { content, requestId, usage }
+   */
+  async complete(systemPrompt, prompt) {
+    const completion = await this.makeAPICallWithRetry({
+      model: this.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: this.maxTokens,
+      temperature: this.temperature,
+      json: this.supportsJsonFormat
+    });
+    this.trackUsage(completion.usage);
+    return completion;
+  }
+
+  /**
+   * Send a system and user prompt and parse the JSON object in the reply
+   * @private
+   */
+  async requestJson(systemPrompt, prompt) {
+    const completion = await this.complete(systemPrompt, prompt);
+    if (!completion.content) {
+      throw new Error('Empty response from the model');
+    }
+    return {
+      parsed: JSON.parse(completion.content.match(/\{[\s\S]*\}/)?.[0] || completion.content),
+      usage: this.describeUsage(completion)
+    };
+  }
+
+  /**
+   * Usage of one completion, in the shape recorded in the usage ledger
+   * @param {Object} completion - Provider completion
+   * @returns {Object} - { engine, provider, model, requestId, promptTokens, completionTokens, totalTokens, cost }
+   */
+  describeUsage(completion) {
+    return {
+      engine: 'openai',
+      provider: this.provider.name,
+      model: this.model,
+      requestId: completion.requestId,
+      promptTokens: completion.usage.promptTokens,
+      completionTokens: completion.usage.completionTokens,
+      totalTokens: completion.usage.totalTokens,
+      cost: this.calculateCost(completion.usage)
+    };
+  }
+
+  /**
+   * @private
+   */
+  toStringList(value) {
+    return Array.isArray(value)
+      ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+      : [];
+  }
+
   /**
    * Build comprehensive analysis prompt with advanced prompt engineering
    * @param {string} cvText - CV content
@@ -129,22 +305,25 @@ class OpenAIService {
     
     let jobContext = '';
     
-    if (targetJobTitle) {
-      jobContext = `
-TARGET JOB: ${targetJobTitle}
-(General analysis for this job title)
-      `;
-    } else if (targetJobDescriptions && targetJobDescriptions.length > 0) {
+    // A specific posting is more precise than a job title, so it wins when both are given
+    if (targetJobDescriptions && targetJobDescriptions.length > 0) {
       const jobDescriptionsText = targetJobDescriptions
         .map((job, index) => `
 Job ${index + 1}: ${job.title} at ${job.company || 'Company'}
 Description: ${job.description}
-Requirements: ${job.requirements ? job.requirements.join(', ') : 'Not specified'}
+Requirements: ${job.requirements && job.requirements.length ? job.requirements.join(', ') : 'Not specified'}
+Skills: ${job.skills && job.skills.length ? job.skills.join(', ') : 'Not specified'}
         `).join('\n');
       
       jobContext = `
 TARGET JOBS:
 ${jobDescriptionsText}
+Score the CV against these specific jobs. In "jobMatching.bestMatches", return one entry per target job with "jobIndex" set to its number above, and base "skillsAlignment" on the listed requirements and skills.
+      `;
+    } else if (targetJobTitle) {
+      jobContext = `
+TARGET JOB: ${targetJobTitle}
+(General analysis for this job title)
       `;
     } else {
       jobContext = `
@@ -282,35 +461,6 @@ Be specific, actionable, and provide numerical scores based on industry standard
 `;
   }
 
-  /**
-   * Check if the model supports JSON response format
-   * @param {string} model - Model name
-   * @returns {boolean} - Whether model supports JSON format
-   */
-  modelSupportsJsonFormat(model) {
-    // Models that support response_format: { type: 'json_object' }
-    const supportedModels = [
-      'gpt-4o',
-      'gpt-4o-mini',
-      'gpt-4o-2024-08-06',
-      'gpt-4o-2024-05-13',
-      'gpt-4-turbo',
-      'gpt-4-turbo-preview',
-      'gpt-4-1106-preview',
-      'gpt-4-0125-preview',
-      'gpt-3.5-turbo-1106',
-      'gpt-3.5-turbo-0125',
-      'gpt-3.5-turbo-16k-0613'
-    ];
-    
-    // Check for exact matches or prefixes
-    return supportedModels.some(supportedModel => 
-      model === supportedModel || 
-      model.includes(supportedModel) || 
-      model.startsWith(supportedModel)
-    );
-  }
-
   /**
    * Get system prompt tailored to experience level and field
    * @param {string} experienceLevel - Career level
@@ -340,29 +490,22 @@ Be specific, actionable, and provide numerical scores based on industry standard
 
   /**
    * Make API call with exponential backoff retry logic
-   * @param {Object} requestData - OpenAI API request parameters
-   * @returns {Promise<Object>} - API response
+   * @param {Object} request - Provider completion request
+   * @returns {Promise<Object>} - Provider completion
    */
-  async makeAPICallWithRetry(requestData) {
+  async makeAPICallWithRetry(request) {
     let lastError;
     
-    // Safety check: Remove response_format if model doesn't support it
-    if (requestData.response_format && !this.supportsJsonFormat) {
-      console.warn(`Removing response_format for unsupported model: ${this.model}`);
-      delete requestData.response_format;
-    }
-    
     for (let attempt = 0; attempt < this.retryAttempts; attempt++) {
       try {
-        console.log(`OpenAI API call attempt ${attempt + 1}/${this.retryAttempts}`);
+        console.log(`${this.provider.name} API call attempt ${attempt + 1}/${this.retryAttempts}`);
         
-        const response = await this.client.chat.completions.create(requestData);
-        this.requestCount++;
+        const completion = await this.provider.complete(request);
         
-        return response;
+        return completion;
       } catch (error) {
         lastError = error;
-        console.error(`OpenAI API call failed (attempt ${attempt + 1}):`, error.message);
+        console.error(`${this.provider.name} API call failed (attempt ${attempt + 1}):`, error.message);
         
         // Don't retry on certain error types
         if (this.isNonRetryableError(error)) {
@@ -383,7 +526,7 @@ Be specific, actionable, and provide numerical scores based on industry standard
     }
     
     throw new OpenAIServiceError(
-      `OpenAI API failed after ${this.retryAttempts} attempts`,
+      `${this.provider.name} API failed after ${this.retryAttempts} attempts`,
       lastError
     );
   }
@@ -395,19 +538,18 @@ Be specific, actionable, and provide numerical scores based on industry standard
    */
   isNonRetryableError(error) {
     const nonRetryableStatuses = [400, 401, 403, 404, 422];
-    return error.status && nonRetryableStatuses.includes(error.status);
+    return error.retryable === false || (error.status && nonRetryableStatuses.includes(error.status));
   }
 
   /**
-   * Parse and validate OpenAI response
-   * @param {Object} response - OpenAI API response
+   * Parse and validate the model's reply
+   * @param {string} content - Completion text
    * @returns {Object} - Parsed and validated result
    */
-  parseAndValidateResponse(response) {
+  parseAndValidateResponse(content) {
     try {
-      const content = response.choices[0]?.message?.content;
       if (!content) {
-        throw new Error('Empty response from OpenAI');
+        throw new Error('Empty response from the model');
       }
 
       let parsed;
@@ -427,7 +569,7 @@ Be specific, actionable, and provide numerical scores based on industry standard
       return parsed;
     } catch (error) {
       console.error('Failed to parse OpenAI response:', error);
-      console.error('Response content:', response.choices[0]?.message?.content);
+      console.error('Response content:', content);
       throw new OpenAIServiceError('Invalid response format from OpenAI', error);
     }
   }
@@ -438,54 +580,13 @@ Be specific, actionable, and provide numerical scores based on industry standard
    * @returns {Object} - Parsed JSON object
    */
   extractJsonFromContent(content) {
-    try {
-      // Look for JSON object in the content
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // If no JSON found, create a basic structure from the content
-      console.log('No JSON found, creating fallback structure...');
-      return this.createFallbackStructure(content);
-    } catch (error) {
-      console.error('Failed to extract JSON from content:', error);
-      // Return a minimal valid structure
-      return this.createFallbackStructure(content);
+    // Look for JSON object in the content
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      // Inventing a score here would mislead users; let the caller fall back instead
+      throw new Error('No JSON found in OpenAI response');
     }
-  }
-
-  /**
-   * Create a fallback structure when JSON parsing fails
-   * @param {string} content - Response content
-   * @returns {Object} - Fallback structure
-   */
-  createFallbackStructure(content) {
-    return {
-      overallScore: 75, // Default score
-      summary: {
-        strengths: "CV analysis completed",
-        areasOfImprovement: "Please review the detailed analysis",
-        keyFindings: content.substring(0, 500) + "..."
-      },
-      sections: {
-        analysis: content
-      },
-      recommendations: [
-        {
-          priority: "medium",
-          category: "general",
-          suggestion: "Please review the detailed analysis provided",
-          impact: "General improvements recommended"
-        }
-      ],
-      jobMatching: {
-        compatibility: 75
-      },
-      marketInsights: {
-        analysis: "Market analysis included in content"
-      }
-    };
+    return JSON.parse(jsonMatch[0]);
   }
 
   /**
@@ -494,17 +595,9 @@ Be specific, actionable, and provide numerical scores based on industry standard
    * @throws {Error} - If validation fails
    */
   validateResponseStructure(response) {
-    // Make validation more flexible - only check for essential fields
-    const essentialFields = ['overallScore'];
-    
-    // Check essential fields
-    for (const field of essentialFields) {
-      if (!(field in response)) {
-        console.warn(`Missing field: ${field}, using default value`);
-        if (field === 'overallScore') {
-          response.overallScore = 75; // Default score
-        }
-      }
+    // The score is the one field that can't be defaulted
+    if (typeof response.overallScore !== 'number' || Number.isNaN(response.overallScore)) {
+      throw new Error('OpenAI response has no numeric overallScore');
     }
 
     // Ensure we have basic structure
@@ -533,60 +626,30 @@ Be specific, actionable, and provide numerical scores based on industry standard
     }
 
     // Validate score range
-    if (typeof response.overallScore === 'number') {
-      response.overallScore = Math.max(0, Math.min(100, response.overallScore));
-    } else {
-      response.overallScore = 75; // Default if not a number
-    }
+    response.overallScore = Math.max(0, Math.min(100, response.overallScore));
 
     console.log('Response structure validated successfully');
   }
 
   /**
-   * Track API usage for cost optimization
-   * @param {Object} usage - Usage data from OpenAI response
+   * Log API usage for monitoring. Totals per user and company are kept in the
+   * usage ledger (see usage.service.js), not on this shared instance.
+   * @param {Object} usage - Provider usage { promptTokens, completionTokens, totalTokens }
    */
   trackUsage(usage) {
     if (usage) {
-      this.tokensUsed += usage.total_tokens || 0;
-      
-      // Log usage for monitoring
-      console.log(`OpenAI Usage - Tokens: ${usage.total_tokens}, Total Session: ${this.tokensUsed}`);
-      
-      // Estimate cost (approximate pricing for GPT-4)
-      const estimatedCost = (usage.total_tokens || 0) * 0.00003; // $0.03 per 1K tokens
-      console.log(`Estimated cost: $${estimatedCost.toFixed(6)}`);
+      console.log(`${this.provider.name} Usage - Prompt: ${usage.promptTokens}, Completion: ${usage.completionTokens}, Total: ${usage.totalTokens}`);
+      console.log(`Estimated cost: $${this.calculateCost(usage).toFixed(6)}`);
     }
   }
 
   /**
-   * Calculate estimated cost based on tokens used
-   * @param {number} tokens - Number of tokens used
-   * @returns {number} - Estimated cost in USD
-   */
-  calculateCost(tokens) {
-    // GPT-4 pricing (approximate rates as of 2024)
-    const inputCostPer1K = 0.03; // $0.03 per 1K input tokens
-    const outputCostPer1K = 0.06; // $0.06 per 1K output tokens
-    
-    // Assume 70% input, 30% output ratio
-    const inputTokens = tokens * 0.7;
-    const outputTokens = tokens * 0.3;
-    
-    const cost = (inputTokens / 1000 * inputCostPer1K) + (outputTokens / 1000 * outputCostPer1K);
-    return Math.round(cost * 10000) / 10000; // Round to 4 decimal places
-  }
-
-  /**
-   * Get usage statistics
-   * @returns {Object} - Usage statistics
+   * Calculate estimated cost from the environment's pricing table (LLM_PRICING)
+   * @param {Object} usage - Provider usage { promptTokens, completionTokens }
+   * @returns {number} - Estimated cost in USD; 0 when the model has no price
    */
-  getUsageStats() {
-    return {
-      tokensUsed: this.tokensUsed,
-      requestCount: this.requestCount,
-      estimatedCost: this.tokensUsed * 0.00003
-    };
+  calculateCost(usage) {
+    return calculateCost(this.model, usage);
   }
 
   /**
@@ -599,33 +662,26 @@ Be specific, actionable, and provide numerical scores based on industry standard
   }
 
   /**
-   * Reset usage statistics
-   */
-  resetUsageStats() {
-    this.tokensUsed = 0;
-    this.requestCount = 0;
-  }
-
-  /**
-   * Health check for OpenAI service
+   * Health check for the configured provider
    * @returns {Promise<boolean>} - Service health status
    */
   async healthCheck() {
     try {
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-3.5-turbo', // Use cheaper model for health check
+      const completion = await this.provider.complete({
+        model: this.model,
         messages: [
           {
             role: 'user',
             content: 'Reply with "OK" if you can receive this message.'
           }
         ],
-        max_tokens: 10
+        maxTokens: 10,
+        temperature: 0
       });
       
-      return response.choices[0]?.message?.content?.includes('OK') || false;
+      return completion.content.includes('OK');
     } catch (error) {
-      console.error('OpenAI health check failed:', error);
+      console.error(`${this.provider.name} health check failed:`, error);
       return false;
     }
   }
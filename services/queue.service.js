@@ -0,0 +1,215 @@
+import os from 'os';
+import crypto from 'crypto';
+import BackgroundJob from '../models/backgroundjob.model.js';
+
+/**
+ * Queue Service
+ * Durable background jobs stored in MongoDB. Work survives restarts: a job whose
+ * worker dies stops renewing its lock and is picked up again once the visibility
+ * timeout passes. Workers run in the API process or in `node worker.js`.
+ */
+
+const QUEUES = {
+  CV_ANALYSIS: 'cv-analysis',
+  APPLICATION_SCREENING: 'application-screening'
+};
+
+class QueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.pollInterval = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 2000;
+    this.recoveryInterval = (parseInt(process.env.QUEUE_RECOVERY_INTERVAL_SECONDS) || 300) * 1000;
+    this.handlers = new Map();
+    this.active = new Set();
+    this.timers = [];
+    this.running = false;
+    this.polling = false;
+  }
+
+  /**
+   * Register the handler that processes a queue
+   * @param {string} queue - Queue name from QUEUES
+   * @param {Function} handler - async (job) => void; throw to fail the attempt, or throw an error
+   *   with `retryable = false` to fail the job without retrying
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Jobs processed at once by this process
+   * @param {number} [options.maxAttempts] - Attempts before a job is failed for good
+   * @param {number} [options.visibilityTimeoutMs] - How long a claimed job stays hidden without a lock renewal
+   * @param {number} [options.backoffMs] - Base retry delay, doubled after each attempt
+   * @param {Function} [options.onFailed] - async (job, error) => void, called once retries are exhausted
+   * @param {Function} [options.recover] - async () => void, periodic sweep for work that never made it into the queue
+   */
+  register(queue, handler, options = {}) {
+    this.handlers.set(queue, {
+      handler,
+      concurrency: options.concurrency || parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+      maxAttempts: options.maxAttempts || parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3,
+      visibilityTimeoutMs: options.visibilityTimeoutMs || (parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_SECONDS) || 300) * 1000,
+      backoffMs: options.backoffMs || (parseInt(process.env.QUEUE_BACKOFF_SECONDS) || 30) * 1000,
+      onFailed: options.onFailed || null,
+      recover: options.recover || null,
+      active: 0
+    });
+  }
+
+  /**
+   * Add a job to a queue
+   * @param {string} queue - Queue name from QUEUES
+   * @param {Object} payload - Data the handler needs, e.g. { analysisId }
+   * @param {Object} [options] - { maxAttempts, runAt }
+   * @returns {Promise<Object>} - The stored job
+   */
+  async enqueue(queue, payload, options = {}) {
+    const maxAttempts = options.maxAttempts || this.handlers.get(queue)?.maxAttempts;
+    return BackgroundJob.enqueue(queue, payload, { ...options, maxAttempts });
+  }
+
+  /**
+   * Start polling every registered queue. Safe to call more than once.
+   */
+  start() {
+    if (this.running) return;
+    if (this.handlers.size === 0) {
+      throw new QueueServiceError('No queue handlers registered');
+    }
+    this.running = true;
+
+    const poll = setInterval(() => this.poll(), this.pollInterval);
+    const recover = setInterval(() => this.recover(), this.recoveryInterval);
+    poll.unref();
+    recover.unref();
+    this.timers.push(poll, recover);
+
+    console.log(`Queue worker ${this.workerId} started for: ${[...this.handlers.keys()].join(', ')}`);
+    this.recover();
+    this.poll();
+  }
+
+  /**
+   * Stop claiming new jobs and wait for the ones in progress
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    await Promise.allSettled([...this.active]);
+  }
+
+  /**
+   * Claim as many jobs as each queue has free slots for
+   * @private
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      await this.claimAvailable();
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async claimAvailable() {
+    for (const [queue, config] of this.handlers) {
+      while (this.running && config.active < config.concurrency) {
+        let job;
+        try {
+          job = await BackgroundJob.claimNext(queue, this.workerId, config.visibilityTimeoutMs);
+        } catch (error) {
+          console.error(`Failed to claim a job from ${queue}:`, error);
+          break;
+        }
+        if (!job) break;
+
+        config.active++;
+        const task = this.process(job, config)
+          // process() handles handler errors; this catches failures to record the outcome
+          .catch(error => console.error(`Failed to finish job ${job._id} on ${queue}:`, error))
+          .finally(() => {
+            config.active--;
+            this.active.delete(task);
+            // A slot just opened up; don't wait for the next tick
+            if (this.running) this.poll();
+          });
+        this.active.add(task);
+      }
+    }
+  }
+
+  /**
+   * Run one job, renewing its lock until the handler settles
+   * @private
+   */
+  async process(job, config) {
+    // A job can come back here after its worker died mid-attempt too many times
+    if (job.attempts > job.maxAttempts) {
+      const error = new QueueServiceError('Job exceeded its attempts without finishing');
+      await job.fail(error, { retry: false });
+      await this.runFailedHook(job, error, config);
+      return;
+    }
+
+    const heartbeat = setInterval(() => {
+      job.extendLock(config.visibilityTimeoutMs).catch(error => console.error(`Failed to extend lock for job ${job._id}:`, error));
+    }, config.visibilityTimeoutMs / 2);
+    heartbeat.unref();
+
+    try {
+      await config.handler(job);
+      await job.complete();
+    } catch (error) {
+      const retry = error.retryable !== false && !job.isFinalAttempt();
+      console.error(`Job ${job._id} on ${job.queue} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+      await job.fail(error, { retry, retryDelayMs: config.backoffMs * 2 ** (job.attempts - 1) });
+      if (!retry) {
+        await this.runFailedHook(job, error, config);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async runFailedHook(job, error, config) {
+    if (!config.onFailed) return;
+    try {
+      await config.onFailed(job, error);
+    } catch (hookError) {
+      console.error(`Failed-job handler for ${job.queue} threw:`, hookError);
+    }
+  }
+
+  /**
+   * Run each queue's recovery sweep
+   * @private
+   */
+  async recover() {
+    for (const [queue, config] of this.handlers) {
+      if (!config.recover) continue;
+      try {
+        await config.recover();
+      } catch (error) {
+        console.error(`Recovery sweep for ${queue} failed:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Custom error class for queue service errors
+ */
+class QueueServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueueServiceError';
+  }
+}
+
+export default new QueueService();
+export { QueueService, QueueServiceError, QUEUES };
@@ -0,0 +1,257 @@
+import Job from '../models/job.model.js';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import eventService, { EVENTS } from './event.service.js';
+
+/**
+ * Realtime Service
+ * Keeps open Server-Sent Events streams per user/company and pushes
+ * domain events to the accounts they concern.
+ *
+ * Domain events only reach streams in the process that raised them. When queue
+ * workers run in `node worker.js` (QUEUE_WORKER_MODE=external), CV analysis
+ * progress is read back from the database every SSE_POLL_SECONDS instead.
+ */
+
+class RealtimeService {
+  constructor() {
+    this.clients = new Map();
+    this.nextEventId = 1;
+    this.heartbeatInterval = parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 25;
+    this.heartbeatTimer = null;
+    this.pollExternalWorkers = process.env.QUEUE_WORKER_MODE === 'external';
+    this.pollInterval = parseInt(process.env.SSE_POLL_SECONDS) || 5;
+    this.pollTimer = null;
+    this.lastPolledAt = null;
+    this.registered = false;
+  }
+
+  /**
+   * Subscribe to the domain events that are pushed to clients. Safe to call more than once.
+   * @param {EventService} [events] - Event bus, defaults to the shared instance
+   */
+  registerEventHandlers(events = eventService) {
+    if (this.registered) return;
+    this.registered = true;
+
+    events.subscribe(EVENTS.NOTIFICATION_CREATED, ({ notification }) => {
+      this.sendTo(notification.recipientType, notification.recipientId, 'notification', notification);
+    });
+
+    events.subscribe(EVENTS.APPLICATION_SUBMITTED, ({ application, job }) => {
+      this.sendTo('company', job.companyId, 'application.new', {
+        applicationId: application._id,
+        jobId: job._id,
+        jobTitle: job.title,
+        fullName: application.fullName
+      });
+    });
+
+    events.subscribe(EVENTS.APPLICATION_STATUS_CHANGED, payload => this.onApplicationStatusChanged(payload));
+
+    events.subscribe(EVENTS.CV_ANALYSIS_STAGE_CHANGED, ({ analysis, stage, status, error, durationMs, progress }) => {
+      this.sendTo('user', analysis.userId, 'cv-analysis.stage', {
+        analysisId: analysis._id,
+        stage,
+        status,
+        error,
+        durationMs,
+        progress
+      });
+    });
+
+    events.subscribe(EVENTS.CV_ANALYSIS_COMPLETED, ({ analysis }) => {
+      this.sendTo('user', analysis.userId, 'cv-analysis.status', {
+        analysisId: analysis._id,
+        processingStatus: 'completed',
+        overallScore: analysis.overallScore
+      });
+    });
+
+    events.subscribe(EVENTS.CV_ANALYSIS_FAILED, ({ analysis }) => {
+      this.sendTo('user', analysis.userId, 'cv-analysis.status', {
+        analysisId: analysis._id,
+        processingStatus: 'failed',
+        errorMessage: analysis.errorMessage
+      });
+    });
+  }
+
+  /**
+   * Register an open SSE response for an account
+   * @param {string} recipientType - 'user' or 'company'
+   * @param {string} recipientId - Account id
+   * @param {Object} res - Express response with SSE headers already sent
+   * @returns {Function} - Call to unregister the stream
+   */
+  addClient(recipientType, recipientId, res) {
+    const key = this.getKey(recipientType, recipientId);
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new Set());
+    }
+    this.clients.get(key).add(res);
+    this.startHeartbeat();
+    if (this.pollExternalWorkers) {
+      this.startPolling();
+    }
+
+    return () => {
+      const streams = this.clients.get(key);
+      if (!streams) return;
+      streams.delete(res);
+      if (streams.size === 0) {
+        this.clients.delete(key);
+      }
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+        this.stopPolling();
+      }
+    };
+  }
+
+  /**
+   * Push an event to every open stream of an account
+   * @param {string} recipientType - 'user' or 'company'
+   * @param {string} recipientId - Account id
+   * @param {string} event - SSE event name
+   * @param {Object} data - JSON payload
+   * @returns {number} - Number of streams the event was written to
+   */
+  sendTo(recipientType, recipientId, event, data) {
+    const streams = this.clients.get(this.getKey(recipientType, recipientId));
+    if (!streams) return 0;
+
+    const message = `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of streams) {
+      res.write(message);
+    }
+    return streams.size;
+  }
+
+  /**
+   * Number of open streams, for monitoring
+   * @returns {number}
+   */
+  getConnectionCount() {
+    let count = 0;
+    for (const streams of this.clients.values()) {
+      count += streams.size;
+    }
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  async onApplicationStatusChanged({ application, from, to, updatedByType }) {
+    const jobId = application.jobId?._id || application.jobId;
+    const companyId = application.jobId?.companyId || (await Job.findById(jobId).select('companyId'))?.companyId;
+
+    const payload = {
+      applicationId: application._id,
+      jobId,
+      from,
+      to,
+      updatedByType
+    };
+
+    this.sendTo('user', application.userId, 'application.status', payload);
+    if (companyId) {
+      this.sendTo('company', companyId, 'application.status', payload);
+    }
+  }
+
+  /**
+   * Push the progress of CV analyses changed since the last poll to their owners'
+   * streams. Used when the workers run in another process and their events can't reach this one.
+   * @returns {Promise<number>} - Number of analyses pushed
+   */
+  async pollChanges() {
+    const userIds = [...this.clients.keys()]
+      .filter(key => key.startsWith('user:'))
+      .map(key => key.slice('user:'.length));
+    const since = this.lastPolledAt;
+    this.lastPolledAt = new Date();
+    if (userIds.length === 0 || !since) return 0;
+
+    const analyses = await CVAnalysis.find({ userId: { $in: userIds }, updatedAt: { $gt: since } })
+      .select('userId processingStatus processingStages overallScore errorMessage');
+
+    for (const analysis of analyses) {
+      if (!['completed', 'failed'].includes(analysis.processingStatus)) {
+        const { progress } = analysis;
+        if (progress.currentStage) {
+          this.sendTo('user', analysis.userId, 'cv-analysis.stage', {
+            analysisId: analysis._id,
+            stage: progress.currentStage,
+            status: 'in-progress',
+            progress
+          });
+        }
+        continue;
+      }
+
+      this.sendTo('user', analysis.userId, 'cv-analysis.status', {
+        analysisId: analysis._id,
+        processingStatus: analysis.processingStatus,
+        ...(analysis.processingStatus === 'completed'
+          ? { overallScore: analysis.overallScore }
+          : { errorMessage: analysis.errorMessage })
+      });
+    }
+    return analyses.length;
+  }
+
+  /**
+   * @private
+   */
+  startPolling() {
+    if (this.pollTimer) return;
+    this.lastPolledAt = new Date();
+    this.pollTimer = setInterval(() => {
+      this.pollChanges().catch(error => console.error('Failed to poll CV analysis progress:', error));
+    }, this.pollInterval * 1000);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Comment lines keep proxies from closing idle streams
+   * @private
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const streams of this.clients.values()) {
+        for (const res of streams) {
+          res.write(': heartbeat\n\n');
+        }
+      }
+    }, this.heartbeatInterval * 1000);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * @private
+   */
+  getKey(recipientType, recipientId) {
+    return `${recipientType}:${recipientId?._id ?? recipientId}`;
+  }
+}
+
+export default new RealtimeService();
+export { RealtimeService };
@@ -0,0 +1,164 @@
+import path from 'path';
+import Application from '../models/application.model.js';
+import User from '../models/user.model.js';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import AnalyzerService from './analyzer.service.js';
+import PDFParserService from './pdf-parser.service.js';
+import eventService, { EVENTS } from './event.service.js';
+import queueService, { QUEUES } from './queue.service.js';
+import usageService from './usage.service.js';
+
+/**
+ * Screening Service
+ * Scores incoming applications against the job's requirements so companies can
+ * sort their applicant lists. Only PDF resumes are screened, candidates can opt
+ * out, and uncertain or failed screenings are flagged for a human to review.
+ */
+
+// Results cleared when a resume is queued for screening again
+const CLEARED_RESULTS = {
+  fitScore: undefined,
+  rationale: undefined,
+  matchingSkills: [],
+  missingSkills: [],
+  confidence: undefined,
+  model: undefined,
+  error: undefined,
+  screenedAt: undefined,
+  needsHumanReview: false,
+  reviewReason: undefined
+};
+
+class ScreeningService {
+  constructor() {
+    this.analyzer = new AnalyzerService();
+    this.pdfParserService = new PDFParserService();
+    this.enabled = process.env.APPLICATION_SCREENING_ENABLED !== 'false';
+    // Resumes with less text than this are hard to judge and go to a human
+    this.minTextLength = parseInt(process.env.APPLICATION_SCREENING_MIN_TEXT_LENGTH) || 300;
+    this.registered = false;
+  }
+
+  /**
+   * Screen applications when they are submitted or their resume changes. Safe to call more than once.
+   * @param {EventService} [events] - Event bus, defaults to the shared instance
+   */
+  registerEventHandlers(events = eventService) {
+    if (this.registered) return;
+    this.registered = true;
+
+    events.subscribe(EVENTS.APPLICATION_SUBMITTED, ({ application }) => this.requestScreening(application));
+    events.subscribe(EVENTS.APPLICATION_UPDATED, ({ application, changes }) => {
+      if (changes.some(change => change.field === 'resume')) {
+        return this.requestScreening(application);
+      }
+    });
+  }
+
+  /**
+   * Register the screening queue handler
+   * @param {QueueService} [queue] - Queue service, defaults to the shared instance
+   */
+  registerQueueHandlers(queue = queueService) {
+    queue.register(QUEUES.APPLICATION_SCREENING, job => this.screenApplication(job.payload.applicationId, job._id), {
+      concurrency: parseInt(process.env.APPLICATION_SCREENING_CONCURRENCY) || undefined,
+      onFailed: (job, error) => Application.recordScreening(job.payload.applicationId, {
+        status: 'failed',
+        error: String(error.message).substring(0, 500),
+        needsHumanReview: true,
+        reviewReason: 'Automatic screening failed'
+      })
+    });
+  }
+
+  /**
+   * Queue an application for screening, or record why it won't be screened
+   * @param {Application} application - Saved application
+   * @returns {Promise<void>}
+   */
+  async requestScreening(application) {
+    if (!this.enabled || application.screening?.status === 'opted-out') return;
+
+    const user = await User.findById(application.userId).select('aiScreeningOptOut');
+    if (user?.aiScreeningOptOut) {
+      await Application.recordScreening(application._id, { ...CLEARED_RESULTS, status: 'opted-out' });
+      return;
+    }
+
+    if (path.extname(application.resume || '').toLowerCase() !== '.pdf') {
+      await Application.recordScreening(application._id, {
+        ...CLEARED_RESULTS,
+        status: 'skipped',
+        needsHumanReview: true,
+        reviewReason: 'Resume is not a PDF, so it was not screened'
+      });
+      return;
+    }
+
+    await Application.recordScreening(application._id, { ...CLEARED_RESULTS, status: 'pending' });
+    await queueService.enqueue(QUEUES.APPLICATION_SCREENING, { applicationId: application._id });
+  }
+
+  /**
+   * Screen one application (queue handler)
+   * @param {ObjectId} applicationId - Application ID
+   * @param {ObjectId} [runId] - Queue job running the screening; retries share it, so usage is recorded once
+   * @returns {Promise<void>}
+   */
+  async screenApplication(applicationId, runId = null) {
+    const application = await Application.findById(applicationId).populate({
+      path: 'jobId',
+      populate: { path: 'companyId', select: 'companyName' }
+    });
+    // Deleted applications or jobs, and opt-outs, have nothing left to screen
+    if (!application || !application.jobId || application.screening?.status === 'opted-out') return;
+
+    const resume = application.resume;
+    await Application.recordScreening(applicationId, { status: 'processing' }, { resume });
+
+    let text;
+    try {
+      ({ text } = await this.pdfParserService.extractTextFromPDF(resume, { mimetype: 'application/pdf' }));
+    } catch (error) {
+      throw permanentError(`Failed to read resume: ${error.message}`);
+    }
+
+    const job = application.jobId;
+    const { usage, ...result } = await this.analyzer.screenCandidate(text, {
+      ...CVAnalysis.toTargetJobDescription(job),
+      experienceLevel: job.experienceLevel,
+      major: job.major
+    });
+    // Screening is billed to the hiring company, not the applicant
+    await usageService.record('screening', { companyId: job.companyId?._id, applicationId, runId }, usage);
+
+    const reviewReasons = [];
+    if (result.confidence === 'low') {
+      reviewReasons.push('The screening model had low confidence');
+    }
+    if (text.trim().length < this.minTextLength) {
+      reviewReasons.push('Little text could be read from the resume');
+    }
+
+    // A resume replaced mid-screening has been queued again; drop this result
+    await Application.recordScreening(applicationId, {
+      ...result,
+      status: 'completed',
+      model: usage?.model || this.analyzer.model,
+      error: undefined,
+      screenedAt: new Date(),
+      needsHumanReview: reviewReasons.length > 0,
+      reviewReason: reviewReasons.join('; ') || undefined
+    }, { resume });
+  }
+}
+
+// An error the queue should not retry
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+export default new ScreeningService();
+export { ScreeningService };
@@ -0,0 +1,184 @@
+import jwt from 'jsonwebtoken';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import ShareLink from '../models/sharelink.model.js';
+
+/**
+ * Share Service
+ * Public, read-only links to CV analysis reports for people without an account,
+ * such as a mentor or career counselor. Tokens are signed JWTs that expire on
+ * their own; each names a ShareLink document, which can be revoked and counts views.
+ */
+
+const TOKEN_AUDIENCE = 'cv-share';
+
+class ShareService {
+  constructor() {
+    this.defaultDays = parseInt(process.env.CV_SHARE_EXPIRE_DAYS) || 7;
+    this.maxDays = parseInt(process.env.CV_SHARE_MAX_EXPIRE_DAYS) || 90;
+  }
+
+  /**
+   * Create a share link for a completed analysis
+   * @param {CVAnalysis} analysis - The user's analysis
+   * @param {Object} [options] - { expiresInDays, label }
+   * @returns {Promise<Object>} - { link, token, url }
+   */
+  async createLink(analysis, { expiresInDays = this.defaultDays, label } = {}) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > this.maxDays) {
+      throw new ShareServiceError(`expiresInDays must be a whole number from 1 to ${this.maxDays}`, 400);
+    }
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+      throw new ShareServiceError('label must be text of at most 100 characters', 400);
+    }
+    if (analysis.processingStatus !== 'completed') {
+      throw new ShareServiceError('Only completed analyses can be shared', 409);
+    }
+
+    const link = await ShareLink.create({
+      analysisId: analysis._id,
+      userId: analysis.userId,
+      label,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+    const token = jwt.sign({ analysisId: analysis._id }, this.secret, {
+      subject: link._id.toString(),
+      audience: TOKEN_AUDIENCE,
+      expiresIn: days * 24 * 60 * 60
+    });
+
+    analysis.analytics.shared = true;
+    await analysis.save();
+
+    return { link, token, url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/cv-analysis/shared/${token}` };
+  }
+
+  /**
+   * Share links of an analysis, newest first. Tokens are not stored, so they can't be listed.
+   * @param {ObjectId} analysisId - Analysis ID
+   * @returns {Promise<Array<ShareLink>>}
+   */
+  listLinks(analysisId) {
+    return ShareLink.find({ analysisId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke a link. Revoking twice is harmless.
+   * @param {CVAnalysis} analysis - The user's analysis
+   * @param {string} shareId - ShareLink ID
+   * @returns {Promise<ShareLink|null>} - The link, or null if the analysis has none with this ID
+   */
+  async revokeLink(analysis, shareId) {
+    const link = await ShareLink.findOne({ _id: shareId, analysisId: analysis._id });
+    if (!link) return null;
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    analysis.analytics.shared = await ShareLink.hasActive(analysis._id);
+    await analysis.save();
+    return link;
+  }
+
+  /**
+   * Open a shared report and count the view
+   * @param {string} token - Share token from the link
+   * @returns {Promise<Object>} - Public view of the analysis
+   * @throws {ShareServiceError} - 404 for unknown tokens, 410 for expired or revoked links
+   */
+  async openSharedReport(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret, { audience: TOKEN_AUDIENCE });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new ShareServiceError('This share link has expired', 410);
+      }
+      throw new ShareServiceError('Share link not found', 404);
+    }
+
+    const link = await ShareLink.findById(claims.sub);
+    if (!link || !link.analysisId.equals(claims.analysisId)) {
+      throw new ShareServiceError('Share link not found', 404);
+    }
+    if (link.status !== 'active') {
+      throw new ShareServiceError(`This share link has ${link.status === 'revoked' ? 'been revoked' : 'expired'}`, 410);
+    }
+
+    const analysis = await CVAnalysis.findOne({ _id: link.analysisId, isActive: true });
+    if (!analysis) {
+      throw new ShareServiceError('Share link not found', 404);
+    }
+    if (analysis.processingStatus !== 'completed') {
+      throw new ShareServiceError('This report is being updated. Please try again shortly.', 409);
+    }
+
+    await ShareLink.recordView(link._id);
+    return { ...this.toPublicView(analysis), expiresAt: link.expiresAt };
+  }
+
+  /**
+   * The parts of an analysis a share link shows. Listed explicitly so new fields
+   * stay private until they are added here; the CV text, file path and owner never leave.
+   * @param {CVAnalysis} analysis - Completed analysis
+   * @returns {Object}
+   */
+  toPublicView(analysis) {
+    const { experienceLevel, major, targetJobTitle, targetJobDescriptions } = analysis.jobData || {};
+
+    return {
+      originalFilename: analysis.originalFilename,
+      version: analysis.version,
+      jobData: {
+        experienceLevel,
+        major,
+        targetJobTitle,
+        targetJobDescriptions: (targetJobDescriptions || []).map(({ title, company }) => ({ title, company }))
+      },
+      engine: analysis.engine,
+      overallScore: analysis.overallScore,
+      summary: analysis.summary,
+      sections: analysis.sections,
+      recommendations: (analysis.recommendations || []).map(({ priority, category, suggestion, impact }) => ({
+        priority,
+        category,
+        suggestion,
+        impact
+      })),
+      jobMatching: analysis.jobMatching,
+      marketInsights: analysis.marketInsights,
+      analyzedAt: analysis.openaiProcessing?.responseTimestamp || analysis.updatedAt
+    };
+  }
+
+  /**
+   * Remove the links of a deleted analysis
+   * @param {ObjectId} analysisId - Analysis ID
+   */
+  clearForAnalysis(analysisId) {
+    return ShareLink.deleteMany({ analysisId });
+  }
+
+  /**
+   * @private
+   */
+  get secret() {
+    return process.env.CV_SHARE_SECRET || process.env.JWT_SECRET;
+  }
+}
+
+/**
+ * Custom error class for share link errors
+ */
+class ShareServiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ShareServiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default new ShareService();
+export { ShareService, ShareServiceError };
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/refreshtoken.model.js';
+import User from '../models/user.model.js';
+import Company from '../models/company.model.js';
+import Admin from '../models/admin.model.js';
+
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens.
+ * Every login starts a token family; its id travels in access tokens as `sid`
+ * so sessions can be revoked server-side.
+ */
+
+const subjects = {
+  user: { model: User, idClaim: 'userId' },
+  company: { model: Company, idClaim: 'companyId' },
+  admin: { model: Admin, idClaim: 'adminId' }
+};
+
+class TokenService {
+  constructor() {
+    this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRE || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  }
+
+  /**
+   * Start a new session for an account
+   * @param {string} subjectType - 'user', 'company' or 'admin'
+   * @param {Object} account - User, Company or Admin document
+   * @param {Object} req - Express request, used for client metadata
+   * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId, expiresIn }
+   */
+  async createSession(subjectType, account, req = null) {
+    const family = crypto.randomUUID();
+    const refreshToken = await this.issueRefreshToken(subjectType, account._id, family, req);
+
+    return {
+      accessToken: this.signAccessToken(subjectType, account, family),
+      refreshToken: refreshToken.token,
+      sessionId: family,
+      expiresIn: this.accessTokenExpiry
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair.
+   * Presenting an already-rotated token revokes the whole session.
+   * @param {string} token - Raw refresh token
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} - { accessToken, refreshToken, sessionId, expiresIn, subjectType }
+   */
+  async rotateRefreshToken(token, req = null) {
+    if (!token) {
+      throw new TokenServiceError('Refresh token is required', 400);
+    }
+
+    const tokenHash = this.hashToken(token);
+    const now = new Date();
+
+    // Claim the token in one step so two concurrent refreshes can't both exchange it
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { revokedAt: now, revokedReason: 'rotated' },
+      { new: true }
+    );
+
+    if (!stored) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+      if (!existing) {
+        throw new TokenServiceError('Invalid refresh token', 401);
+      }
+
+      if (existing.revokedReason === 'rotated') {
+        // The token was already exchanged once: someone is replaying it
+        console.warn(`Refresh token reuse detected for session ${existing.family}`);
+        await RefreshToken.revokeFamily(existing.family, 'reuse-detected');
+        throw new TokenServiceError('Refresh token reuse detected. Please log in again.', 401);
+      }
+
+      throw new TokenServiceError('Refresh token has expired or been revoked', 401);
+    }
+
+    const { model } = subjects[stored.subjectType];
+    const account = await model.findById(stored.subjectId);
+    if (!account || account.isActive === false) {
+      await RefreshToken.revokeFamily(stored.family, 'deactivated');
+      throw new TokenServiceError('Account not found or deactivated', 401);
+    }
+
+    const next = await this.issueRefreshToken(stored.subjectType, stored.subjectId, stored.family, req);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: next.document._id });
+
+    return {
+      accessToken: this.signAccessToken(stored.subjectType, account, stored.family),
+      refreshToken: next.token,
+      sessionId: stored.family,
+      expiresIn: this.accessTokenExpiry,
+      subjectType: stored.subjectType
+    };
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Token family id (`sid` claim)
+   * @param {string} reason - Revocation reason
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    if (!sessionId) return;
+    await RefreshToken.revokeFamily(sessionId, reason);
+  }
+
+  /**
+   * Revoke every session of an account
+   * @param {string} subjectType - 'user', 'company' or 'admin'
+   * @param {string} subjectId - Account id
+   * @param {string} reason - Revocation reason
+   * @param {string} [exceptSessionId] - Session to keep (e.g. the one changing the password)
+   */
+  async revokeAllSessions(subjectType, subjectId, reason = 'logout-all', exceptSessionId = null) {
+    await RefreshToken.revokeAllForSubject(subjectType, subjectId, reason, exceptSessionId);
+  }
+
+  /**
+   * Check whether the session behind an access token is still active
+   * @param {string} sessionId - Token family id
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId) {
+    return RefreshToken.isFamilyActive(sessionId);
+  }
+
+  /**
+   * Sign a short-lived access token
+   * @private
+   */
+  signAccessToken(subjectType, account, family) {
+    const { idClaim } = subjects[subjectType];
+    return jwt.sign(
+      { [idClaim]: account._id, email: account.email, type: subjectType, sid: family },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenExpiry }
+    );
+  }
+
+  /**
+   * Create and persist a refresh token
+   * @private
+   */
+  async issueRefreshToken(subjectType, subjectId, family, req) {
+    const token = crypto.randomBytes(48).toString('hex');
+    const document = await RefreshToken.create({
+      subjectType,
+      subjectId,
+      family,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000),
+      userAgent: req?.get?.('User-Agent')?.substring(0, 500),
+      ipAddress: req?.ip
+    });
+    return { token, document };
+  }
+
+  /**
+   * @private
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Cookie options for the refresh token
+   * @returns {Object}
+   */
+  getRefreshCookieOptions() {
+    return {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/',
+      maxAge: this.refreshTokenDays * 24 * 60 * 60 * 1000
+    };
+  }
+}
+
+/**
+ * Custom error class for token service errors
+ */
+class TokenServiceError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'TokenServiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default new TokenService();
+export { TokenService, TokenServiceError };
@@ -0,0 +1,251 @@
+import UsageRecord from '../models/usagerecord.model.js';
+import CVAnalysis from '../models/cvanalysis.model.js';
+
+/**
+ * Usage Service
+ * Meters AI usage per user and company in the UsageRecord ledger and enforces
+ * monthly quotas. Quotas come from the user's plan (AI_QUOTA_PLANS) and can be
+ * overridden per user; a limit of null means unlimited. Months are UTC calendar months.
+ */
+
+const DEFAULT_PLANS = {
+  free: { analysesPerMonth: 10, tokensPerMonth: 200000 },
+  pro: { analysesPerMonth: 100, tokensPerMonth: 2000000 },
+  unlimited: { analysesPerMonth: null, tokensPerMonth: null }
+};
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+const MAX_DASHBOARD_DAYS = 366;
+
+class UsageService {
+  /**
+   * Plans for this environment: DEFAULT_PLANS merged with AI_QUOTA_PLANS, a JSON
+   * object such as {"team": {"analysesPerMonth": 500, "tokensPerMonth": null}}
+   * @returns {Object<string, {analysesPerMonth: ?number, tokensPerMonth: ?number}>}
+   */
+  getPlans() {
+    if (!process.env.AI_QUOTA_PLANS) return DEFAULT_PLANS;
+
+    try {
+      return { ...DEFAULT_PLANS, ...JSON.parse(process.env.AI_QUOTA_PLANS) };
+    } catch (error) {
+      throw new UsageServiceError(`AI_QUOTA_PLANS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Effective monthly limits for a user
+   * @param {User} user - User with aiPlan and aiQuota
+   * @returns {Object} - { plan, analysesPerMonth, tokensPerMonth }
+   */
+  getQuota(user) {
+    const plans = this.getPlans();
+    const plan = plans[user.aiPlan] ? user.aiPlan : (process.env.AI_QUOTA_DEFAULT_PLAN || 'free');
+    const limits = plans[plan] || {};
+
+    return {
+      plan,
+      analysesPerMonth: user.aiQuota?.analysesPerMonth ?? limits.analysesPerMonth ?? null,
+      tokensPerMonth: user.aiQuota?.tokensPerMonth ?? limits.tokensPerMonth ?? null
+    };
+  }
+
+  /**
+   * Check whether a user may start another CV analysis this month. Analyses still
+   * in progress count as used, so queued uploads can't get past the limit.
+   * @param {User} user - Authenticated user
+   * @returns {Promise<Object>} - { allowed, reason, quota, used: { analyses, tokens }, resetsAt }
+   */
+  async checkQuota(user) {
+    const quota = this.getQuota(user);
+    const { end } = this.getPeriod();
+    if (process.env.AI_QUOTA_ENABLED === 'false') {
+      return { allowed: true, reason: null, quota, used: null, resetsAt: end };
+    }
+
+    const used = await this.getUsedThisMonth(user._id);
+    let reason = null;
+    if (quota.analysesPerMonth !== null && used.analyses >= quota.analysesPerMonth) {
+      reason = `Monthly limit of ${quota.analysesPerMonth} CV analyses reached`;
+    } else if (quota.tokensPerMonth !== null && used.tokens >= quota.tokensPerMonth) {
+      reason = `Monthly limit of ${quota.tokensPerMonth} AI tokens reached`;
+    }
+
+    return { allowed: !reason, reason, quota, used, resetsAt: end };
+  }
+
+  /**
+   * Add an entry to the usage ledger. Metering never fails the request it meters.
+   * Entries with a runId are written once per feature, so a retried queue job isn't billed twice.
+   * @param {string} feature - 'cv-analysis', 'job-matching' or 'screening'
+   * @param {Object} owner - { userId, companyId, analysisId, applicationId, runId }
+   * @param {Object} usage - { engine, provider, model, requestId, promptTokens, completionTokens, totalTokens, cost }
+   * @returns {Promise<UsageRecord|null>} - null when nothing was recorded
+   */
+  async record(feature, { userId, companyId, analysisId, applicationId, runId }, usage) {
+    if (!usage) return null;
+
+    try {
+      return await UsageRecord.create({
+        feature,
+        userId,
+        companyId,
+        analysisId,
+        applicationId,
+        runId: runId?.toString(),
+        engine: usage.engine,
+        provider: usage.provider,
+        model: usage.model,
+        requestId: usage.requestId,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        cost: usage.cost
+      });
+    } catch (error) {
+      // An earlier attempt of the same run is already in the ledger
+      if (error.code === 11000) return null;
+      console.error(`Failed to record ${feature} usage:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * A user's usage and quota for one month
+   * @param {User} user - Authenticated user
+   * @param {string} [month] - 'YYYY-MM', defaults to the current month
+   * @returns {Promise<Object>} - { period, quota, usage, analysesInProgress, remaining }
+   */
+  async getUserReport(user, month) {
+    const period = this.getPeriod(month);
+    const quota = this.getQuota(user);
+    const current = period.month === this.getPeriod().month;
+    const [usage, analysesInProgress] = await Promise.all([
+      UsageRecord.summarize({ userId: user._id }, period.start, period.end),
+      current ? CVAnalysis.countDocuments({ userId: user._id, processingStatus: 'processing' }) : 0
+    ]);
+    const analyses = (usage.byFeature.find(row => row.feature === 'cv-analysis')?.requests || 0) + analysesInProgress;
+
+    return {
+      period,
+      quota,
+      usage,
+      analysesInProgress,
+      remaining: {
+        analyses: quota.analysesPerMonth === null ? null : Math.max(quota.analysesPerMonth - analyses, 0),
+        tokens: quota.tokensPerMonth === null ? null : Math.max(quota.tokensPerMonth - usage.totalTokens, 0)
+      }
+    };
+  }
+
+  /**
+   * A company's screening usage for one month
+   * @param {ObjectId} companyId - Company ID
+   * @param {string} [month] - 'YYYY-MM', defaults to the current month
+   * @returns {Promise<Object>} - { period, usage }
+   */
+  async getCompanyReport(companyId, month) {
+    const period = this.getPeriod(month);
+    const usage = await UsageRecord.summarize({ companyId }, period.start, period.end);
+    return { period, usage };
+  }
+
+  /**
+   * Cost across all accounts by day and model
+   * @param {string} [from] - ISO date, defaults to 30 days before `to`
+   * @param {string} [to] - ISO date (exclusive), defaults to now
+   * @returns {Promise<Object>} - { from, to, totals, byModel, daily }
+   */
+  async getCostDashboard(from, to) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new UsageServiceError('from and to must be valid dates');
+    }
+    if (start >= end) {
+      throw new UsageServiceError('from must be before to');
+    }
+    if (end - start > MAX_DASHBOARD_DAYS * 24 * 60 * 60 * 1000) {
+      throw new UsageServiceError(`The range cannot exceed ${MAX_DASHBOARD_DAYS} days`);
+    }
+
+    const daily = await UsageRecord.getDailyCosts(start, end);
+
+    const models = new Map();
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    for (const row of daily) {
+      const key = `${row.provider}:${row.model}`;
+      const model = models.get(key) || { model: row.model, provider: row.provider, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+      for (const field of Object.keys(totals)) {
+        model[field] += row[field];
+        totals[field] += row[field];
+      }
+      models.set(key, model);
+    }
+
+    const byModel = [...models.values()]
+      .map(model => ({ ...model, cost: roundCost(model.cost) }))
+      .sort((a, b) => b.cost - a.cost);
+
+    return { from: start, to: end, totals: { ...totals, cost: roundCost(totals.cost) }, byModel, daily };
+  }
+
+  /**
+   * @private
+   */
+  async getUsedThisMonth(userId) {
+    const { start, end } = this.getPeriod();
+    const [usage, inProgress] = await Promise.all([
+      UsageRecord.summarize({ userId }, start, end),
+      CVAnalysis.countDocuments({ userId, processingStatus: 'processing' })
+    ]);
+    const analyses = usage.byFeature.find(row => row.feature === 'cv-analysis')?.requests || 0;
+
+    return { analyses: analyses + inProgress, tokens: usage.totalTokens };
+  }
+
+  /**
+   * UTC calendar month
+   * @param {string} [month] - 'YYYY-MM', defaults to the current month
+   * @returns {Object} - { month, start, end } with `end` exclusive
+   */
+  getPeriod(month) {
+    let year, monthIndex;
+    if (month) {
+      const match = MONTH_PATTERN.exec(month);
+      if (!match) {
+        throw new UsageServiceError('month must be in YYYY-MM format');
+      }
+      year = Number(match[1]);
+      monthIndex = Number(match[2]) - 1;
+    } else {
+      const now = new Date();
+      year = now.getUTCFullYear();
+      monthIndex = now.getUTCMonth();
+    }
+
+    const start = new Date(Date.UTC(year, monthIndex, 1));
+    return {
+      month: start.toISOString().substring(0, 7),
+      start,
+      end: new Date(Date.UTC(year, monthIndex + 1, 1))
+    };
+  }
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Custom error class for invalid usage queries and configuration
+ */
+class UsageServiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageServiceError';
+  }
+}
+
+export default new UsageService();
+export { UsageService, UsageServiceError, DEFAULT_PLANS };
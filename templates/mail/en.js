@@ -0,0 +1,131 @@
+import { renderLayout, formatDateTime } from './layout.js';
+
+/**
+ * English email templates.
+ * Each template receives the data passed to `MailService#sendTemplate` and
+ * returns `{ subject, text, html }`.
+ */
+
+const STATUS_LABELS = {
+  pending: 'pending',
+  reviewing: 'under review',
+  shortlisted: 'shortlisted',
+  interview: 'at the interview stage',
+  offered: 'offered',
+  rejected: 'not moving forward',
+  withdrawn: 'withdrawn'
+};
+
+const CREDENTIAL_OUTCOMES = {
+  approved: {
+    subject: 'Your company verification was approved',
+    body: 'Your company credentials were approved. Your profile now shows the verified badge and you can publish job listings.'
+  },
+  rejected: {
+    subject: 'Your company verification was rejected',
+    body: 'Your company credentials were rejected.'
+  },
+  'resubmission-requested': {
+    subject: 'Please resubmit your company credentials',
+    body: 'We need you to resubmit your company credentials before we can verify your account.'
+  }
+};
+
+export default {
+  welcome: ({ name, accountType = 'user', dashboardUrl }) => ({
+    subject: 'Welcome to JobHive',
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        'Your email address is verified and your JobHive account is ready.',
+        accountType === 'company'
+          ? 'Upload your company credentials to get the verified badge and start publishing jobs.'
+          : 'Complete your profile and upload your CV to get personalised feedback and job matches.'
+      ],
+      action: dashboardUrl ? { label: 'Open JobHive', url: dashboardUrl } : null
+    })
+  }),
+
+  'email-verification': ({ name, verifyUrl, expiresInHours = 24 }) => ({
+    subject: 'Verify your email',
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: ['Please confirm your email address to finish setting up your account.'],
+      action: { label: 'Verify your email', url: verifyUrl },
+      footer: `This link expires in ${expiresInHours} hours.`
+    })
+  }),
+
+  'password-reset': ({ name, resetUrl, expiresInMinutes = 30 }) => ({
+    subject: 'Reset your password',
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: ['We received a request to reset your password.'],
+      action: { label: 'Reset your password', url: resetUrl },
+      footer: `This link expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.`
+    })
+  }),
+
+  'application-received': ({ name, jobTitle, companyName, applicationsUrl }) => ({
+    subject: `Application received: ${jobTitle}`,
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: [`Thanks for applying for ${jobTitle} at ${companyName}. We'll let you know when the company reviews your application.`],
+      action: applicationsUrl ? { label: 'View your applications', url: applicationsUrl } : null
+    })
+  }),
+
+  'application-status-changed': ({ name, jobTitle, companyName, status, message }) => ({
+    subject: `Application update: ${jobTitle}`,
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Your application for ${jobTitle} at ${companyName} is now ${STATUS_LABELS[status] || status}.`,
+        message
+      ]
+    })
+  }),
+
+  'interview-scheduled': ({ name, jobTitle, companyName, start, end, type, location, calendarUrl }) => ({
+    subject: `Interview scheduled: ${jobTitle}`,
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        `Your interview for ${jobTitle} at ${companyName} is confirmed.`,
+        `Starts: ${formatDateTime(start, 'en')}\nEnds: ${formatDateTime(end, 'en')}` +
+          (type ? `\nFormat: ${type}` : '') +
+          (location ? `\nLocation: ${location}` : '')
+      ],
+      action: calendarUrl ? { label: 'Add to calendar', url: calendarUrl } : null
+    })
+  }),
+
+  'analysis-complete': ({ name, fileName, overallScore, resultsUrl }) => ({
+    subject: 'Your CV analysis is ready',
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: [`The analysis of ${fileName} is complete with an overall score of ${overallScore}.`],
+      action: resultsUrl ? { label: 'See your results', url: resultsUrl } : null
+    })
+  }),
+
+  'company-credential-review': ({ name, status, adminNotes, profileUrl }) => ({
+    subject: CREDENTIAL_OUTCOMES[status].subject,
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: [
+        CREDENTIAL_OUTCOMES[status].body,
+        adminNotes ? `Notes from our review team:\n${adminNotes}` : ''
+      ],
+      action: status !== 'approved' && profileUrl ? { label: 'Upload a new document', url: profileUrl } : null
+    })
+  }),
+
+  notification: ({ name, title, message }) => ({
+    subject: title,
+    ...renderLayout({
+      greeting: `Hi ${name},`,
+      paragraphs: [message]
+    })
+  })
+};
@@ -0,0 +1,137 @@
+import { renderLayout, formatDateTime } from './layout.js';
+
+/**
+ * Indonesian (Bahasa Indonesia) email templates.
+ * Same names and data as the English templates in ./en.js.
+ */
+
+const STATUS_LABELS = {
+  pending: 'menunggu ditinjau',
+  reviewing: 'sedang ditinjau',
+  shortlisted: 'masuk daftar pendek',
+  interview: 'masuk tahap wawancara',
+  offered: 'mendapatkan tawaran',
+  rejected: 'tidak dilanjutkan',
+  withdrawn: 'dibatalkan'
+};
+
+const INTERVIEW_TYPES = {
+  phone: 'telepon',
+  video: 'video',
+  onsite: 'tatap muka',
+  online: 'daring'
+};
+
+const CREDENTIAL_OUTCOMES = {
+  approved: {
+    subject: 'Verifikasi perusahaan Anda disetujui',
+    body: 'Dokumen perusahaan Anda telah disetujui. Profil Anda kini menampilkan lencana terverifikasi dan Anda dapat memasang lowongan.'
+  },
+  rejected: {
+    subject: 'Verifikasi perusahaan Anda ditolak',
+    body: 'Dokumen perusahaan Anda ditolak.'
+  },
+  'resubmission-requested': {
+    subject: 'Mohon kirim ulang dokumen perusahaan Anda',
+    body: 'Kami memerlukan dokumen perusahaan yang diperbarui sebelum akun Anda dapat diverifikasi.'
+  }
+};
+
+export default {
+  welcome: ({ name, accountType = 'user', dashboardUrl }) => ({
+    subject: 'Selamat datang di JobHive',
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: [
+        'Alamat email Anda telah terverifikasi dan akun JobHive Anda siap digunakan.',
+        accountType === 'company'
+          ? 'Unggah dokumen perusahaan untuk mendapatkan lencana terverifikasi dan mulai memasang lowongan.'
+          : 'Lengkapi profil dan unggah CV Anda untuk mendapatkan masukan dan rekomendasi lowongan.'
+      ],
+      action: dashboardUrl ? { label: 'Buka JobHive', url: dashboardUrl } : null
+    })
+  }),
+
+  'email-verification': ({ name, verifyUrl, expiresInHours = 24 }) => ({
+    subject: 'Verifikasi email Anda',
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: ['Silakan konfirmasi alamat email Anda untuk menyelesaikan pendaftaran akun.'],
+      action: { label: 'Verifikasi email', url: verifyUrl },
+      footer: `Tautan ini berlaku selama ${expiresInHours} jam.`
+    })
+  }),
+
+  'password-reset': ({ name, resetUrl, expiresInMinutes = 30 }) => ({
+    subject: 'Atur ulang kata sandi Anda',
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: ['Kami menerima permintaan untuk mengatur ulang kata sandi Anda.'],
+      action: { label: 'Atur ulang kata sandi', url: resetUrl },
+      footer: `Tautan ini berlaku selama ${expiresInMinutes} menit. Abaikan email ini jika Anda tidak memintanya.`
+    })
+  }),
+
+  'application-received': ({ name, jobTitle, companyName, applicationsUrl }) => ({
+    subject: `Lamaran diterima: ${jobTitle}`,
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: [`Terima kasih telah melamar posisi ${jobTitle} di ${companyName}. Kami akan mengabari Anda saat perusahaan meninjau lamaran Anda.`],
+      action: applicationsUrl ? { label: 'Lihat lamaran Anda', url: applicationsUrl } : null
+    })
+  }),
+
+  'application-status-changed': ({ name, jobTitle, companyName, status, message }) => ({
+    subject: `Pembaruan lamaran: ${jobTitle}`,
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: [
+        `Lamaran Anda untuk posisi ${jobTitle} di ${companyName} kini ${STATUS_LABELS[status] || status}.`,
+        message
+      ]
+    })
+  }),
+
+  'interview-scheduled': ({ name, jobTitle, companyName, start, end, type, location, calendarUrl }) => ({
+    subject: `Jadwal wawancara: ${jobTitle}`,
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: [
+        `Wawancara Anda untuk posisi ${jobTitle} di ${companyName} telah dikonfirmasi.`,
+        `Mulai: ${formatDateTime(start, 'id')}\nSelesai: ${formatDateTime(end, 'id')}` +
+          (type ? `\nJenis: ${INTERVIEW_TYPES[type] || type}` : '') +
+          (location ? `\nLokasi: ${location}` : '')
+      ],
+      action: calendarUrl ? { label: 'Tambahkan ke kalender', url: calendarUrl } : null
+    })
+  }),
+
+  'analysis-complete': ({ name, fileName, overallScore, resultsUrl }) => ({
+    subject: 'Analisis CV Anda sudah siap',
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: [`Analisis untuk ${fileName} telah selesai dengan skor keseluruhan ${overallScore}.`],
+      action: resultsUrl ? { label: 'Lihat hasil', url: resultsUrl } : null
+    })
+  }),
+
+  'company-credential-review': ({ name, status, adminNotes, profileUrl }) => ({
+    subject: CREDENTIAL_OUTCOMES[status].subject,
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: [
+        CREDENTIAL_OUTCOMES[status].body,
+        adminNotes ? `Catatan dari tim peninjau:\n${adminNotes}` : ''
+      ],
+      action: status !== 'approved' && profileUrl ? { label: 'Unggah dokumen baru', url: profileUrl } : null
+    })
+  }),
+
+  notification: ({ name, title, message }) => ({
+    subject: title,
+    ...renderLayout({
+      greeting: `Halo ${name},`,
+      paragraphs: [message]
+    })
+  })
+};
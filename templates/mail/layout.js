@@ -0,0 +1,69 @@
+/**
+ * Shared layout for transactional emails.
+ * Templates describe their content once and get both a plain-text and an HTML body.
+ */
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a date for the recipient's locale
+ * @param {Date|string} date
+ * @param {string} locale - 'en' or 'id'
+ * @returns {string}
+ */
+export function formatDateTime(date, locale) {
+  return new Intl.DateTimeFormat(locale === 'id' ? 'id-ID' : 'en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: process.env.MAIL_TIMEZONE || 'UTC',
+    timeZoneName: 'short'
+  }).format(new Date(date));
+}
+
+/**
+ * Render the email body
+ * @param {Object} content
+ * @param {string} content.greeting - Opening line, e.g. "Hi Jane,"
+ * @param {string[]} content.paragraphs - Body paragraphs (plain text)
+ * @param {{label: string, url: string}} [content.action] - Call-to-action link
+ * @param {string} [content.footer] - Closing note
+ * @returns {{text: string, html: string}}
+ */
+export function renderLayout({ greeting, paragraphs = [], action = null, footer = '' }) {
+  const blocks = [greeting, ...paragraphs.filter(Boolean)];
+  if (action) blocks.push(`${action.label}:\n${action.url}`);
+  if (footer) blocks.push(footer);
+  blocks.push('JobHive');
+
+  const htmlParagraphs = [greeting, ...paragraphs.filter(Boolean)]
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+  const htmlAction = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px">${escapeHtml(action.label)}</a></p>`
+    : '';
+  const htmlFooter = footer ? `<p style="color:#6b7280;font-size:13px">${escapeHtml(footer)}</p>` : '';
+
+  return {
+    text: blocks.join('\n\n'),
+    html: `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,sans-serif;line-height:1.5;color:#111827">
+${htmlParagraphs}
+${htmlAction}
+${htmlFooter}
+<p>JobHive</p>
+</body>
+</html>`
+  };
+}
@@ -0,0 +1,324 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import Admin from '../models/admin.model.js';
+import User from '../models/user.model.js';
+import Company from '../models/company.model.js';
+import AuditLog from '../models/auditlog.model.js';
+import RefreshToken from '../models/refreshtoken.model.js';
+import UsageRecord from '../models/usagerecord.model.js';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import jwt from 'jsonwebtoken';
+
+describe('Admin API Tests', () => {
+  let adminToken;
+  let testUser;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/jobportal_test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Admin.deleteMany({});
+    await User.deleteMany({});
+    await Company.deleteMany({});
+    await AuditLog.deleteMany({});
+    await RefreshToken.deleteMany({});
+
+    await Admin.create({
+      fullName: 'Site Admin',
+      email: 'admin@example.com',
+      password: 'AdminPass123'
+    });
+
+    const login = await request(app)
+      .post('/api/v1/admin/auth/login')
+      .send({ email: 'admin@example.com', password: 'AdminPass123' })
+      .expect(200);
+    adminToken = login.body.token;
+
+    testUser = await new User({
+      fullName: 'Test User',
+      email: 'test@example.com',
+      password: 'Password123'
+    }).save();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  test('should reject login with a wrong password', async () => {
+    await request(app)
+      .post('/api/v1/admin/auth/login')
+      .send({ email: 'admin@example.com', password: 'wrong' })
+      .expect(401);
+  });
+
+  test('should reject user tokens on admin routes', async () => {
+    const userToken = jwt.sign({ userId: testUser._id, type: 'user' }, process.env.JWT_SECRET);
+
+    await request(app)
+      .get('/api/v1/admin/users')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+  });
+
+  test('should list users without sensitive fields', async () => {
+    const response = await request(app)
+      .get('/api/v1/admin/users')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.users[0].password).toBeUndefined();
+  });
+
+  test('should deactivate a user, revoke their sessions and audit the action', async () => {
+    const userLogin = await request(app)
+      .post('/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' })
+      .expect(200);
+
+    await request(app)
+      .patch(`/api/v1/admin/users/${testUser._id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false })
+      .expect(200);
+
+    await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken: userLogin.body.refreshToken })
+      .expect(401);
+
+    const logs = await AuditLog.find({ action: 'user.deactivate' });
+    expect(logs).toHaveLength(1);
+    expect(logs[0].targetId.toString()).toBe(testUser._id.toString());
+  });
+
+  test('should reject the admin token after logout', async () => {
+    await request(app)
+      .post('/api/v1/admin/auth/logout')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/v1/admin/auth/me')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(401);
+  });
+
+  describe('Company credential review', () => {
+    let company;
+
+    beforeEach(async () => {
+      company = await new Company({
+        companyName: 'Test Corp',
+        email: 'hr@testcorp.com',
+        password: 'Password123',
+        emailVerified: true,
+        credentialFile: 'storage/credentials/test.pdf',
+        credentialOriginalName: 'registration.pdf',
+        credentialStatus: 'pending',
+        credentialSubmittedAt: new Date()
+      }).save();
+    });
+
+    test('should list pending companies in the review queue', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/credentials/queue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.companies[0].credentialDocument.url)
+        .toBe(`/api/v1/admin/companies/${company._id}/credential-file`);
+      expect(response.body.companies[0].credentialFile).toBeUndefined();
+    });
+
+    test('should approve a company and expose the verified badge publicly', async () => {
+      await request(app)
+        .patch(`/api/v1/admin/companies/${company._id}/credential`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'approve' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/company/${company._id}`)
+        .expect(200);
+
+      expect(response.body.isVerified).toBe(true);
+      expect(response.body.adminNotes).toBeUndefined();
+      expect(response.body.credentialFile).toBeUndefined();
+
+      const logs = await AuditLog.find({ action: 'company.credential.approve' });
+      expect(logs).toHaveLength(1);
+    });
+
+    test('should require notes when rejecting', async () => {
+      await request(app)
+        .patch(`/api/v1/admin/companies/${company._id}/credential`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ decision: 'reject' })
+        .expect(400);
+    });
+
+    test('should block unverified companies from publishing jobs', async () => {
+      const companyToken = jwt.sign({ companyId: company._id, type: 'company' }, process.env.JWT_SECRET);
+
+      const response = await request(app)
+        .post('/api/jobs')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ title: 'Developer' })
+        .expect(403);
+
+      expect(response.body.code).toBe('COMPANY_NOT_VERIFIED');
+    });
+  });
+
+  describe('CV analytics', () => {
+    beforeEach(async () => {
+      await CVAnalysis.deleteMany({});
+    });
+
+    test('should count analyses by day and status', async () => {
+      const analysis = (processingStatus, overallScore, createdAt) => ({
+        userId: testUser._id,
+        originalFilename: 'resume.pdf',
+        filePath: '/tmp/resume.pdf',
+        fileSize: 1024,
+        extractedText: 'Sample CV content',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+        processingStatus,
+        overallScore,
+        createdAt: new Date(createdAt)
+      });
+      await CVAnalysis.insertMany([
+        analysis('completed', 60, '2025-03-10T09:00:00Z'),
+        analysis('failed', undefined, '2025-03-10T10:00:00Z'),
+        analysis('completed', 80, '2025-03-11T09:00:00Z'),
+        analysis('completed', 90, '2025-03-11T10:00:00Z')
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/admin/cv-analytics?from=2025-03-01&to=2025-04-01')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.totals).toMatchObject({ total: 4, completed: 3, failed: 1, averageScore: 76.7, failureRate: 25 });
+      expect(response.body.daily).toHaveLength(2);
+      expect(response.body.daily[1]).toMatchObject({ date: '2025-03-11', completed: 2, averageScore: 85 });
+    });
+
+    test('should reject an invalid range', async () => {
+      await request(app)
+        .get('/api/v1/admin/cv-analytics?from=soon')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Recommendation feedback', () => {
+    beforeEach(async () => {
+      await CVAnalysis.deleteMany({});
+    });
+
+    test('should report recommendation outcomes per category', async () => {
+      const analysis = await CVAnalysis.create({
+        userId: testUser._id,
+        originalFilename: 'resume.pdf',
+        filePath: '/tmp/resume.pdf',
+        fileSize: 1024,
+        extractedText: 'Sample CV content',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+        processingStatus: 'completed',
+        engine: 'openai',
+        overallScore: 70,
+        recommendations: [
+          { category: 'keywords', priority: 'high', suggestion: 'Add cloud keywords' },
+          { category: 'Keywords', priority: 'medium', suggestion: 'Mirror the job title' },
+          { category: 'format', priority: 'low', suggestion: 'Use a single column' }
+        ]
+      });
+      const [keywords, , format] = analysis.recommendations;
+      await analysis.trackRecommendation(keywords._id, { status: 'implemented', feedback: 'helpful' });
+      await analysis.trackRecommendation(format._id, { status: 'dismissed', feedback: 'not-helpful' });
+      // Feedback on a recommendation the analysis no longer shows is left out
+      analysis.analytics.improvementsImplemented.push({
+        recommendationId: new mongoose.Types.ObjectId(),
+        category: 'keywords',
+        status: 'implemented',
+        userFeedback: 'helpful'
+      });
+      await analysis.save();
+
+      const response = await request(app)
+        .get('/api/v1/admin/recommendation-feedback?engine=openai')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.categories[0]).toMatchObject({ category: 'keywords', shown: 2, implemented: 1, helpful: 1, implementationRate: 50, helpfulRate: 100 });
+      expect(response.body.categories[1]).toMatchObject({ category: 'format', shown: 1, dismissed: 1, notHelpful: 1, helpfulRate: 0 });
+      expect(response.body.totals).toMatchObject({ shown: 3, rated: 2 });
+    });
+
+    test('should reject an unknown engine', async () => {
+      await request(app)
+        .get('/api/v1/admin/recommendation-feedback?engine=gpt')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('AI usage', () => {
+    beforeEach(async () => {
+      await UsageRecord.deleteMany({});
+    });
+
+    test('should aggregate costs by day and model', async () => {
+      const day = new Date('2025-03-10T12:00:00Z');
+      await UsageRecord.insertMany([
+        { userId: testUser._id, feature: 'cv-analysis', engine: 'openai', provider: 'openai', model: 'gpt-4o', promptTokens: 1000, completionTokens: 400, totalTokens: 1400, cost: 0.0065, createdAt: day },
+        { userId: testUser._id, feature: 'job-matching', engine: 'openai', provider: 'openai', model: 'gpt-4o', promptTokens: 500, completionTokens: 100, totalTokens: 600, cost: 0.00225, createdAt: day },
+        { userId: testUser._id, feature: 'cv-analysis', engine: 'heuristic', model: 'heuristic', createdAt: new Date('2025-03-11T08:00:00Z') }
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/admin/ai-usage?from=2025-03-01&to=2025-04-01')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.daily).toHaveLength(2);
+      expect(response.body.daily[0]).toMatchObject({ date: '2025-03-10', model: 'gpt-4o', requests: 2, totalTokens: 2000, cost: 0.00875 });
+      expect(response.body.byModel[0]).toMatchObject({ model: 'gpt-4o', requests: 2 });
+      expect(response.body.totals).toMatchObject({ requests: 3, totalTokens: 2000, cost: 0.00875 });
+    });
+
+    test('should reject an invalid range', async () => {
+      await request(app)
+        .get('/api/v1/admin/ai-usage?from=2025-04-01&to=2025-03-01')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    test('should set a user\'s plan and quota override and audit it', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/admin/users/${testUser._id}/ai-quota`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plan: 'pro', analysesPerMonth: 25 })
+        .expect(200);
+
+      expect(response.body.quota).toMatchObject({ plan: 'pro', analysesPerMonth: 25 });
+      const logs = await AuditLog.find({ action: 'user.ai-quota' });
+      expect(logs).toHaveLength(1);
+
+      await request(app)
+        .patch(`/api/v1/admin/users/${testUser._id}/ai-quota`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ plan: 'platinum' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,637 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import Application from '../models/application.model.js';
+import Company from '../models/company.model.js';
+import Job from '../models/job.model.js';
+import User from '../models/user.model.js';
+import BackgroundJob from '../models/backgroundjob.model.js';
+import screeningService from '../services/screening.service.js';
+import eventService from '../services/event.service.js';
+import { QUEUES } from '../services/queue.service.js';
+import jwt from 'jsonwebtoken';
+
+describe('Application API Tests', () => {
+  let user;
+  let otherUser;
+  let company;
+  let job;
+  let application;
+  let userToken;
+
+  const signUserToken = (target) => jwt.sign(
+    { userId: target._id, type: 'user' },
+    process.env.JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/jobportal_test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Application.deleteMany({});
+    await Company.deleteMany({});
+    await Job.deleteMany({});
+    await User.deleteMany({});
+
+    user = await new User({
+      fullName: 'Test User',
+      email: 'test@example.com',
+      password: 'Password123',
+      emailVerified: true
+    }).save();
+
+    otherUser = await new User({
+      fullName: 'Other User',
+      email: 'other@example.com',
+      password: 'Password123',
+      emailVerified: true
+    }).save();
+
+    company = await new Company({
+      companyName: 'Test Corp',
+      email: 'hr@testcorp.com',
+      password: 'Password123'
+    }).save();
+
+    job = await Job.create({
+      title: 'Backend Developer',
+      major: 'Computer Science',
+      type: 'full-time',
+      workLocation: 'remote',
+      location: 'Jakarta',
+      description: 'Build APIs',
+      requirements: ['Node.js'],
+      experienceLevel: 'mid',
+      companyId: company._id,
+      applicationsCount: 1
+    });
+
+    application = await Application.create({
+      userId: user._id,
+      jobId: job._id,
+      fullName: 'Test User',
+      domicile: 'Jakarta',
+      phoneNumber: '08123456789',
+      email: 'test@example.com',
+      resume: 'uploads/resume.pdf',
+      coverLetter: 'Original cover letter'
+    });
+
+    userToken = signUserToken(user);
+  });
+
+  afterAll(async () => {
+    await eventService.drain();
+    await mongoose.connection.close();
+  });
+
+  describe('PUT /api/applications/:id', () => {
+    test('should record candidate edits in the status history', async () => {
+      const response = await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ coverLetter: 'Updated cover letter', expectedSalary: { amount: 1000, currency: 'USD', period: 'monthly' } })
+        .expect(200);
+
+      expect(response.body.changes.map(change => change.field)).toEqual(['coverLetter', 'expectedSalary']);
+
+      const updated = await Application.findById(application._id);
+      expect(updated.coverLetter).toBe('Updated cover letter');
+
+      const entry = updated.statusHistory[updated.statusHistory.length - 1];
+      expect(entry.updatedByType).toBe('User');
+      expect(entry.updatedBy.toString()).toBe(user._id.toString());
+      expect(entry.changes[0]).toMatchObject({ field: 'coverLetter', from: 'Original cover letter', to: 'Updated cover letter' });
+    });
+
+    test('should ignore fields the candidate may not edit', async () => {
+      await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'offered', fullName: 'Someone Else' })
+        .expect(200);
+
+      const updated = await Application.findById(application._id);
+      expect(updated.status).toBe('pending');
+      expect(updated.fullName).toBe('Test User');
+    });
+
+    test('should reject edits once the application is no longer editable', async () => {
+      await Application.updateOne({ _id: application._id }, { status: 'interview' });
+
+      await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ coverLetter: 'Too late' })
+        .expect(400);
+    });
+
+    test('should not let other users edit the application', async () => {
+      await request(app)
+        .put(`/api/applications/${application._id}`)
+        .set('Authorization', `Bearer ${signUserToken(otherUser)}`)
+        .send({ coverLetter: 'Not mine' })
+        .expect(403);
+    });
+  });
+
+  describe('PATCH /api/applications/:id/withdraw', () => {
+    test('should withdraw the application and decrement the job count', async () => {
+      await request(app)
+        .patch(`/api/applications/${application._id}/withdraw`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Accepted another offer' })
+        .expect(200);
+
+      const updated = await Application.findById(application._id);
+      expect(updated.status).toBe('withdrawn');
+
+      const entry = updated.statusHistory[updated.statusHistory.length - 1];
+      expect(entry.note).toBe('Accepted another offer');
+      expect(entry.updatedByType).toBe('User');
+
+      const updatedJob = await Job.findById(job._id);
+      expect(updatedJob.applicationsCount).toBe(0);
+    });
+
+    test('should not withdraw an application twice', async () => {
+      await request(app)
+        .patch(`/api/applications/${application._id}/withdraw`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/applications/${application._id}/withdraw`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(409);
+
+      const updatedJob = await Job.findById(job._id);
+      expect(updatedJob.applicationsCount).toBe(0);
+    });
+  });
+
+  describe('Status transitions', () => {
+    let companyToken;
+
+    beforeEach(() => {
+      companyToken = jwt.sign({ companyId: company._id, type: 'company' }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    });
+
+    test('should allow a valid company transition', async () => {
+      await request(app)
+        .patch(`/api/applications/${application._id}/status`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ status: 'reviewing' })
+        .expect(200);
+    });
+
+    test('should reject moving a rejected application to offered', async () => {
+      await Application.updateOne({ _id: application._id }, { status: 'rejected' });
+
+      const response = await request(app)
+        .patch(`/api/applications/${application._id}/status`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ status: 'offered' })
+        .expect(409);
+
+      expect(response.body.allowedTransitions).toEqual([]);
+    });
+
+    test('should not let companies withdraw an application', async () => {
+      const response = await request(app)
+        .patch(`/api/applications/${application._id}/status`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ status: 'withdrawn' })
+        .expect(409);
+
+      expect(response.body.allowedTransitions).toEqual(['reviewing', 'shortlisted', 'rejected']);
+    });
+
+    test('should report the next transitions for each side', async () => {
+      const companyView = await request(app)
+        .get(`/api/applications/${application._id}/transitions`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(200);
+
+      expect(companyView.body.allowedTransitions).toEqual(['reviewing', 'shortlisted', 'rejected']);
+
+      const candidateView = await request(app)
+        .get(`/api/applications/${application._id}/transitions`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(candidateView.body.allowedTransitions).toEqual(['withdrawn']);
+    });
+
+    test('should honour configured terminal statuses', async () => {
+      process.env.APPLICATION_TERMINAL_STATUSES = 'withdrawn';
+      await Application.updateOne({ _id: application._id }, { status: 'rejected' });
+
+      try {
+        await request(app)
+          .patch(`/api/applications/${application._id}/status`)
+          .set('Authorization', `Bearer ${companyToken}`)
+          .send({ status: 'reviewing' })
+          .expect(200);
+      } finally {
+        delete process.env.APPLICATION_TERMINAL_STATUSES;
+      }
+    });
+  });
+
+  describe('Interview scheduling', () => {
+    let companyToken;
+    const inDays = (days, hour = 9) => {
+      const date = new Date();
+      date.setUTCDate(date.getUTCDate() + days);
+      date.setUTCHours(hour, 0, 0, 0);
+      return date.toISOString();
+    };
+
+    const propose = (target, body) => request(app)
+      .post(`/api/applications/${target._id}/interviews`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send(body);
+
+    beforeEach(() => {
+      companyToken = jwt.sign({ companyId: company._id, type: 'company' }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    });
+
+    test('should propose slots, let the candidate accept one and export it', async () => {
+      const proposed = await propose(application, {
+        type: 'video',
+        location: 'https://meet.example.com/abc',
+        interviewers: ['Alice'],
+        slots: [{ start: inDays(3) }, { start: inDays(4) }]
+      }).expect(201);
+
+      expect(proposed.body.interview.round).toBe(1);
+      expect(proposed.body.interview.proposedSlots).toHaveLength(2);
+
+      const interviewId = proposed.body.interview._id;
+      const slotId = proposed.body.interview.proposedSlots[1]._id;
+
+      await request(app)
+        .patch(`/api/applications/${application._id}/interviews/${interviewId}/accept`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ slotId })
+        .expect(200);
+
+      const updated = await Application.findById(application._id);
+      expect(updated.status).toBe('interview');
+      expect(updated.interviews[0].status).toBe('scheduled');
+      expect(updated.interviewDetails.scheduledDate.toISOString()).toBe(inDays(4));
+
+      const ics = await request(app)
+        .get(`/api/applications/${application._id}/interviews/${interviewId}/ics`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(ics.headers['content-type']).toContain('text/calendar');
+      expect(ics.text).toContain('BEGIN:VEVENT');
+      expect(ics.text).toContain(`UID:interview-${interviewId}@jobhive`);
+    });
+
+    test('should detect conflicts with the company\'s scheduled interviews', async () => {
+      const proposed = await propose(application, {
+        interviewers: ['Alice'],
+        slots: [{ start: inDays(3) }]
+      }).expect(201);
+
+      await request(app)
+        .patch(`/api/applications/${application._id}/interviews/${proposed.body.interview._id}/accept`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ slotId: proposed.body.interview.proposedSlots[0]._id })
+        .expect(200);
+
+      const otherApplication = await Application.create({
+        userId: otherUser._id,
+        jobId: job._id,
+        fullName: 'Other User',
+        domicile: 'Bandung',
+        phoneNumber: '08987654321',
+        email: 'other@example.com',
+        resume: 'uploads/other.pdf'
+      });
+
+      const conflict = await propose(otherApplication, {
+        interviewers: ['Alice'],
+        slots: [{ start: inDays(3, 9), end: inDays(3, 11) }]
+      }).expect(409);
+
+      expect(conflict.body.conflicts).toHaveLength(1);
+
+      // A different interviewer is free at the same time
+      await propose(otherApplication, {
+        interviewers: ['Bob'],
+        slots: [{ start: inDays(3) }]
+      }).expect(201);
+    });
+
+    test('should let the candidate request a reschedule', async () => {
+      const proposed = await propose(application, { slots: [{ start: inDays(3) }] }).expect(201);
+      const interviewId = proposed.body.interview._id;
+
+      await request(app)
+        .patch(`/api/applications/${application._id}/interviews/${interviewId}/reschedule`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Travelling that week' })
+        .expect(200);
+
+      const reproposed = await request(app)
+        .put(`/api/applications/${application._id}/interviews/${interviewId}/slots`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ slots: [{ start: inDays(10) }] })
+        .expect(200);
+
+      expect(reproposed.body.interview.status).toBe('proposed');
+    });
+
+    test('should cancel open rounds and free their slots when the application is withdrawn', async () => {
+      const proposed = await propose(application, {
+        interviewers: ['Alice'],
+        slots: [{ start: inDays(3) }, { start: inDays(4) }]
+      }).expect(201);
+      const interviewId = proposed.body.interview._id;
+
+      await request(app)
+        .patch(`/api/applications/${application._id}/interviews/${interviewId}/accept`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ slotId: proposed.body.interview.proposedSlots[0]._id })
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/applications/${application._id}/withdraw`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const withdrawn = await Application.findById(application._id);
+      expect(withdrawn.interviews[0].status).toBe('cancelled');
+
+      await request(app)
+        .patch(`/api/applications/${application._id}/interviews/${interviewId}/reschedule`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(409);
+
+      const otherApplication = await Application.create({
+        userId: otherUser._id,
+        jobId: job._id,
+        fullName: 'Other User',
+        domicile: 'Bandung',
+        phoneNumber: '08987654321',
+        email: 'other@example.com',
+        resume: 'uploads/other.pdf'
+      });
+
+      await propose(otherApplication, {
+        interviewers: ['Alice'],
+        slots: [{ start: inDays(3) }]
+      }).expect(201);
+    });
+
+    test('should reject slots in the past', async () => {
+      await propose(application, { slots: [{ start: inDays(-1) }] }).expect(400);
+    });
+  });
+
+  describe('Bulk company actions', () => {
+    let companyToken;
+    let otherApplication;
+    let foreignApplication;
+
+    beforeEach(async () => {
+      companyToken = jwt.sign({ companyId: company._id, type: 'company' }, process.env.JWT_SECRET, { expiresIn: '24h' });
+
+      otherApplication = await Application.create({
+        userId: otherUser._id,
+        jobId: job._id,
+        fullName: '=Other User',
+        domicile: 'Bandung',
+        phoneNumber: '08987654321',
+        email: 'other@example.com',
+        resume: 'uploads/other.pdf',
+        status: 'rejected'
+      });
+
+      const foreignCompany = await new Company({
+        companyName: 'Foreign Corp',
+        email: 'hr@foreign.com',
+        password: 'Password123'
+      }).save();
+      const foreignJob = await Job.create({
+        title: 'Designer',
+        major: 'Design',
+        type: 'full-time',
+        workLocation: 'onsite',
+        location: 'Bali',
+        description: 'Design things',
+        requirements: ['Figma'],
+        experienceLevel: 'entry',
+        companyId: foreignCompany._id
+      });
+      foreignApplication = await Application.create({
+        userId: user._id,
+        jobId: foreignJob._id,
+        fullName: 'Test User',
+        domicile: 'Jakarta',
+        phoneNumber: '08123456789',
+        email: 'test@example.com',
+        resume: 'uploads/resume.pdf'
+      });
+    });
+
+    test('should report per-item results for a bulk status change', async () => {
+      const response = await request(app)
+        .patch('/api/applications/company-applications/bulk/status')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({
+          applicationIds: [application._id, otherApplication._id, foreignApplication._id],
+          status: 'reviewing',
+          messageTemplate: 'Hi {{fullName}}, your application for {{jobTitle}} is now {{status}}.'
+        })
+        .expect(200);
+
+      expect(response.body.succeeded).toBe(1);
+      expect(response.body.failed).toBe(2);
+      expect(response.body.results.map(result => result.success)).toEqual([true, false, false]);
+      expect(response.body.results[2].message).toBe('Application not found');
+
+      const updated = await Application.findById(application._id);
+      expect(updated.status).toBe('reviewing');
+      expect(updated.statusHistory[updated.statusHistory.length - 1].note)
+        .toBe('Hi Test User, your application for Backend Developer is now reviewing.');
+
+      const untouched = await Application.findById(foreignApplication._id);
+      expect(untouched.status).toBe('pending');
+    });
+
+    test('should add a note to every owned application', async () => {
+      const response = await request(app)
+        .post('/api/applications/company-applications/bulk/notes')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ applicationIds: [application._id, otherApplication._id], note: 'Strong batch' })
+        .expect(200);
+
+      expect(response.body.succeeded).toBe(2);
+
+      const updated = await Application.findById(otherApplication._id);
+      expect(updated.companyNotes[0].note).toBe('Strong batch');
+    });
+
+    test('should export the selection as CSV', async () => {
+      const response = await request(app)
+        .post('/api/applications/company-applications/bulk/export')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ applicationIds: [application._id, otherApplication._id, foreignApplication._id] })
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/csv');
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^Application ID,Full Name,Email/);
+      // Formula-like values are neutralised
+      expect(lines[2]).toContain("'=Other User");
+    });
+
+    test('should validate the id list', async () => {
+      await request(app)
+        .patch('/api/applications/company-applications/bulk/status')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ applicationIds: [], status: 'reviewing' })
+        .expect(400);
+    });
+  });
+
+  describe('AI screening', () => {
+    let companyToken;
+    let realParser;
+    let realAnalyzer;
+    let screened;
+
+    beforeEach(async () => {
+      await BackgroundJob.deleteMany({});
+      companyToken = jwt.sign({ companyId: company._id, type: 'company' }, process.env.JWT_SECRET, { expiresIn: '24h' });
+
+      realParser = screeningService.pdfParserService;
+      realAnalyzer = screeningService.analyzer;
+      screeningService.pdfParserService = {
+        extractTextFromPDF: async () => ({ text: 'Backend developer with 5 years of Node.js and REST API experience. '.repeat(10) })
+      };
+      screeningService.analyzer = {
+        model: 'fake',
+        screenCandidate: async () => ({
+          fitScore: 82,
+          rationale: 'Strong Node.js background matching the API work.',
+          matchingSkills: ['Node.js'],
+          missingSkills: [],
+          confidence: 'high'
+        })
+      };
+
+      screened = await Application.create({
+        userId: otherUser._id,
+        jobId: job._id,
+        fullName: 'Other User',
+        domicile: 'Bandung',
+        phoneNumber: '08987654321',
+        email: 'other@example.com',
+        resume: 'uploads/other.pdf',
+        screening: { status: 'completed', fitScore: 90, needsHumanReview: true }
+      });
+    });
+
+    afterEach(() => {
+      screeningService.pdfParserService = realParser;
+      screeningService.analyzer = realAnalyzer;
+    });
+
+    test('should queue PDF resumes and store the fit score', async () => {
+      await screeningService.requestScreening(application);
+      expect(await BackgroundJob.hasActive(QUEUES.APPLICATION_SCREENING, { applicationId: application._id })).toBe(true);
+
+      await screeningService.screenApplication(application._id);
+
+      const updated = await Application.findById(application._id);
+      expect(updated.screening.status).toBe('completed');
+      expect(updated.screening.fitScore).toBe(82);
+      expect(updated.screening.rationale).toContain('Node.js');
+      expect(updated.screening.needsHumanReview).toBe(false);
+    });
+
+    test('should flag low-confidence screenings for human review', async () => {
+      screeningService.analyzer.screenCandidate = async () => ({
+        fitScore: 40, rationale: 'Unclear CV', matchingSkills: [], missingSkills: [], confidence: 'low'
+      });
+
+      await screeningService.screenApplication(application._id);
+
+      const updated = await Application.findById(application._id);
+      expect(updated.screening.needsHumanReview).toBe(true);
+      expect(updated.screening.reviewReason).toContain('low confidence');
+    });
+
+    test('should skip non-PDF resumes and respect the candidate opt-out', async () => {
+      application.resume = 'uploads/resume.docx';
+      await application.save();
+      await screeningService.requestScreening(application);
+      expect((await Application.findById(application._id)).screening.status).toBe('skipped');
+
+      await User.updateOne({ _id: otherUser._id }, { aiScreeningOptOut: true });
+      await screeningService.requestScreening(screened);
+      const optedOut = await Application.findById(screened._id);
+      expect(optedOut.screening.status).toBe('opted-out');
+      expect(optedOut.screening.fitScore).toBeUndefined();
+    });
+
+    test('should let candidates opt an application out and drop its score', async () => {
+      const response = await request(app)
+        .patch(`/api/applications/${screened._id}/screening/opt-out`)
+        .set('Authorization', `Bearer ${signUserToken(otherUser)}`)
+        .expect(200);
+
+      expect(response.body.screening.status).toBe('opted-out');
+      expect(response.body.screening.fitScore).toBeUndefined();
+
+      // A late result from a running screening doesn't bring the score back
+      await screeningService.screenApplication(screened._id);
+      expect((await Application.findById(screened._id)).screening.status).toBe('opted-out');
+    });
+
+    test('should sort and filter the company applicant list by fit score', async () => {
+      await Application.updateOne({ _id: application._id }, { 'screening.status': 'completed', 'screening.fitScore': 60 });
+
+      const sorted = await request(app)
+        .get('/api/applications/company-applications?sort=-fitScore')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(200);
+      expect(sorted.body.applications.map(item => item.screening.fitScore)).toEqual([90, 60]);
+
+      const filtered = await request(app)
+        .get('/api/applications/company-applications?minFitScore=70&needsHumanReview=true')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(200);
+      expect(filtered.body.applications.map(item => item._id)).toEqual([screened._id.toString()]);
+
+      await request(app)
+        .get('/api/applications/company-applications?sort=fullName')
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(400);
+    });
+
+    test('should let the company clear the human-review flag', async () => {
+      const response = await request(app)
+        .patch(`/api/applications/${screened._id}/screening/review`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ needsHumanReview: false })
+        .expect(200);
+
+      expect(response.body.screening.needsHumanReview).toBe(false);
+      expect(response.body.screening.reviewedBy).toBe(company._id.toString());
+    });
+  });
+});
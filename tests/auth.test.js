@@ -0,0 +1,454 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import User from '../models/user.model.js';
+import Company from '../models/company.model.js';
+import RefreshToken from '../models/refreshtoken.model.js';
+import { backfillVerification } from '../scripts/backfill-verification.js';
+import jwt from 'jsonwebtoken';
+import fs from 'fs/promises';
+import path from 'path';
+
+const mailDir = path.join(process.cwd(), 'tmp', 'mail-test');
+
+// Read the most recent message written by the file mail transport
+const readLastMail = async () => {
+  const files = (await fs.readdir(mailDir)).sort();
+  const content = await fs.readFile(path.join(mailDir, files[files.length - 1]), 'utf8');
+  return JSON.parse(content);
+};
+
+const extractResetToken = (mail) => mail.text.match(/reset-password\/([a-f0-9]+)/)[1];
+
+describe('Authentication API Tests', () => {
+  let testUser;
+
+  beforeAll(async () => {
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_OUTPUT_DIR = mailDir;
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/jobportal_test');
+    }
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Company.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await fs.rm(mailDir, { recursive: true, force: true });
+
+    testUser = new User({
+      fullName: 'Test User',
+      email: 'test@example.com',
+      password: 'Password123'
+    });
+    await testUser.save();
+  });
+
+  afterAll(async () => {
+    await fs.rm(mailDir, { recursive: true, force: true });
+    await mongoose.connection.close();
+  });
+
+  describe('POST /auth/forgot-password', () => {
+    test('should send a reset link for an existing user', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toContain('password reset link has been sent');
+
+      const mail = await readLastMail();
+      expect(mail.to).toBe('test@example.com');
+      expect(mail.text).toContain('/reset-password/');
+
+      // Only the hash of the token is persisted
+      const user = await User.findById(testUser._id);
+      expect(user.passwordResetToken).toBeDefined();
+      expect(user.passwordResetToken).not.toBe(extractResetToken(mail));
+    });
+
+    test('should respond identically for unknown emails', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toContain('password reset link has been sent');
+      await expect(fs.readdir(mailDir)).rejects.toThrow();
+    });
+
+    test('should reject an invalid email', async () => {
+      await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'not-an-email' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /auth/reset-password/:token', () => {
+    test('should reset the password and invalidate old sessions', async () => {
+      const oldToken = jwt.sign(
+        { userId: testUser._id, type: 'user' },
+        process.env.JWT_SECRET,
+        { expiresIn: '24h' }
+      );
+      // Make sure the reset happens in a later second than the old token's iat
+      await new Promise(resolve => setTimeout(resolve, 1100));
+
+      await request(app).post('/auth/forgot-password').send({ email: 'test@example.com' });
+      const resetToken = extractResetToken(await readLastMail());
+
+      await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456' })
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${oldToken}`)
+        .expect(401);
+
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ email: 'test@example.com', password: 'NewPassword456' })
+        .expect(200);
+      expect(login.body.token).toBeDefined();
+    });
+
+    test('should only accept a reset token once', async () => {
+      await request(app).post('/auth/forgot-password').send({ email: 'test@example.com' });
+      const resetToken = extractResetToken(await readLastMail());
+
+      await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'OtherPassword789' })
+        .expect(400);
+
+      expect(response.body.message).toContain('invalid or has expired');
+    });
+
+    test('should reject an expired reset token', async () => {
+      await request(app).post('/auth/forgot-password').send({ email: 'test@example.com' });
+      const resetToken = extractResetToken(await readLastMail());
+
+      await User.updateOne({ _id: testUser._id }, { passwordResetExpire: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post(`/auth/reset-password/${resetToken}`)
+        .send({ password: 'NewPassword456' })
+        .expect(400);
+    });
+
+    test('should reject a weak password', async () => {
+      await request(app)
+        .post('/auth/reset-password/sometoken')
+        .send({ password: 'weak' })
+        .expect(400);
+    });
+  });
+
+  describe('Email verification', () => {
+    const extractVerificationToken = (mail) => mail.text.match(/verify-email\/([a-f0-9]+)/)[1];
+
+    test('should send a verification email on registration', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ fullName: 'New User', email: 'new@example.com', password: 'Password123' })
+        .expect(201);
+
+      expect(response.body.emailVerificationSent).toBe(true);
+      expect(response.body.user.emailVerified).toBe(false);
+
+      const mail = await readLastMail();
+      expect(mail.to).toBe('new@example.com');
+      expect(mail.text).toContain('/verify-email/');
+    });
+
+    test('should verify the email with the emailed token', async () => {
+      await request(app)
+        .post('/auth/register')
+        .send({ fullName: 'New User', email: 'new@example.com', password: 'Password123' });
+
+      const token = extractVerificationToken(await readLastMail());
+
+      await request(app)
+        .get(`/auth/verify-email/${token}`)
+        .expect(200);
+
+      const user = await User.findOne({ email: 'new@example.com' });
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerificationToken).toBeUndefined();
+
+      await request(app)
+        .get(`/auth/verify-email/${token}`)
+        .expect(400);
+    });
+
+    test('should send a welcome email once the address is verified', async () => {
+      await request(app)
+        .post('/auth/register')
+        .send({ fullName: 'New User', email: 'new@example.com', password: 'Password123' });
+
+      const token = extractVerificationToken(await readLastMail());
+      await request(app)
+        .get(`/auth/verify-email/${token}`)
+        .expect(200);
+
+      const mail = await readLastMail();
+      expect(mail.to).toBe('new@example.com');
+      expect(mail.subject).toBe('Welcome to JobHive');
+      expect(mail.html).toContain('New User');
+    });
+
+    test('should send emails in the preferred language', async () => {
+      await request(app)
+        .post('/auth/register')
+        .send({ fullName: 'Budi', email: 'budi@example.com', password: 'Password123', preferredLanguage: 'id' })
+        .expect(201);
+
+      const mail = await readLastMail();
+      expect(mail.subject).toBe('Verifikasi email Anda');
+      expect(mail.text).toContain('Halo Budi');
+      expect(mail.text).toContain('/verify-email/');
+    });
+
+    test('should pick the language from Accept-Language when none is given', async () => {
+      await request(app)
+        .post('/auth/register')
+        .set('Accept-Language', 'id-ID,id;q=0.9,en;q=0.8')
+        .send({ fullName: 'Budi', email: 'budi@example.com', password: 'Password123' })
+        .expect(201);
+
+      const user = await User.findOne({ email: 'budi@example.com' });
+      expect(user.preferredLanguage).toBe('id');
+    });
+
+    test('should reject an unsupported preferred language', async () => {
+      await request(app)
+        .post('/auth/register')
+        .send({ fullName: 'New User', email: 'new@example.com', password: 'Password123', preferredLanguage: 'xx' })
+        .expect(400);
+    });
+
+    test('should resend the verification email for unverified accounts', async () => {
+      await request(app)
+        .post('/auth/resend-verification')
+        .send({ email: 'test@example.com' })
+        .expect(200);
+
+      const mail = await readLastMail();
+      expect(mail.to).toBe('test@example.com');
+    });
+
+    test('should block unverified users from applying to jobs', async () => {
+      const token = jwt.sign(
+        { userId: testUser._id, type: 'user' },
+        process.env.JWT_SECRET,
+        { expiresIn: '24h' }
+      );
+
+      const response = await request(app)
+        .post('/api/applications')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ jobId: new mongoose.Types.ObjectId().toString() })
+        .expect(403);
+
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    test('should verify company emails through /company routes', async () => {
+      await request(app)
+        .post('/company/register')
+        .field('companyName', 'Test Corp')
+        .field('email', 'hr@testcorp.com')
+        .field('password', 'Password123')
+        .expect(201);
+
+      const token = extractVerificationToken(await readLastMail());
+
+      await request(app)
+        .get(`/company/verify-email/${token}`)
+        .expect(200);
+
+      const company = await Company.findOne({ email: 'hr@testcorp.com' });
+      expect(company.emailVerified).toBe(true);
+    });
+  });
+
+  describe('Verification backfill', () => {
+    test('should verify accounts that were never sent a verification link', async () => {
+      const legacy = await User.create({ fullName: 'Legacy User', email: 'legacy@example.com', password: 'Password123', emailVerified: false });
+      const pending = new User({ fullName: 'Pending User', email: 'pending@example.com', password: 'Password123' });
+      pending.createEmailVerificationToken();
+      await pending.save();
+
+      await backfillVerification(new Date(Date.now() + 1000));
+
+      expect((await User.findById(legacy._id)).emailVerified).toBe(true);
+      expect((await User.findById(pending._id)).emailVerified).toBe(false);
+    });
+
+    test('should leave accounts created after the cutoff alone', async () => {
+      const user = await User.create({ fullName: 'New User', email: 'new@example.com', password: 'Password123' });
+
+      await backfillVerification(new Date(Date.now() - 60 * 60 * 1000));
+
+      expect((await User.findById(user._id)).emailVerified).toBe(false);
+    });
+  });
+
+  describe('Refresh tokens and session revocation', () => {
+    const login = () => request(app)
+      .post('/auth/login')
+      .send({ email: 'test@example.com', password: 'Password123' })
+      .expect(200);
+
+    test('should issue an access token bound to a session and a refresh token', async () => {
+      const response = await login();
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(jwt.decode(response.body.token).sid).toBeDefined();
+    });
+
+    test('should rotate the refresh token', async () => {
+      const { body: session } = await login();
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      expect(response.body.refreshToken).not.toBe(session.refreshToken);
+      expect(jwt.decode(response.body.token).sid).toBe(jwt.decode(session.token).sid);
+    });
+
+    test('should rotate the refresh token from the cookie alone', async () => {
+      const { body: session } = await login();
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .set('Cookie', `refreshToken=${session.refreshToken}`)
+        .expect(200);
+
+      expect(response.body.refreshToken).not.toBe(session.refreshToken);
+      expect(response.headers['set-cookie'].join(';')).toContain(`refreshToken=${response.body.refreshToken}`);
+    });
+
+    test('should revoke the session when a rotated refresh token is reused', async () => {
+      const { body: session } = await login();
+
+      const rotated = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      // The legitimate newer token is now revoked too
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${rotated.body.token}`)
+        .expect(401);
+    });
+
+    test('should reject the access token after logout', async () => {
+      const { body: session } = await login();
+
+      await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+    });
+
+    test('should revoke every session with logout-all', async () => {
+      const { body: first } = await login();
+      const { body: second } = await login();
+
+      await request(app)
+        .post('/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${second.token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: second.refreshToken })
+        .expect(401);
+    });
+
+    test('should keep the current session but revoke others on password change', async () => {
+      const { body: current } = await login();
+      const { body: other } = await login();
+
+      await request(app)
+        .put('/auth/change-password')
+        .set('Authorization', `Bearer ${current.token}`)
+        .send({ currentPassword: 'Password123', newPassword: 'NewPassword456' })
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${current.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/auth/profile')
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('Company password reset', () => {
+    test('should reset a company password through /company routes', async () => {
+      await new Company({
+        companyName: 'Test Corp',
+        email: 'hr@testcorp.com',
+        password: 'Password123'
+      }).save();
+
+      await request(app)
+        .post('/company/forgot-password')
+        .send({ email: 'hr@testcorp.com' })
+        .expect(200);
+
+      const mail = await readLastMail();
+      expect(mail.text).toContain('/company/reset-password/');
+
+      await request(app)
+        .post(`/company/reset-password/${extractResetToken(mail)}`)
+        .send({ password: 'NewPassword456' })
+        .expect(200);
+
+      await request(app)
+        .post('/company/login')
+        .send({ email: 'hr@testcorp.com', password: 'NewPassword456' })
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import Company from '../models/company.model.js';
+import User from '../models/user.model.js';
+import AuditLog from '../models/auditlog.model.js';
+import jwt from 'jsonwebtoken';
+
+describe('Company API Tests', () => {
+  let company;
+  let otherCompany;
+  let companyToken;
+
+  const signCompanyToken = (target) => jwt.sign(
+    { companyId: target._id, type: 'company' },
+    process.env.JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/jobportal_test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Company.deleteMany({});
+    await User.deleteMany({});
+    await AuditLog.deleteMany({});
+
+    company = await new Company({
+      companyName: 'Test Corp',
+      email: 'hr@testcorp.com',
+      password: 'Password123'
+    }).save();
+
+    otherCompany = await new Company({
+      companyName: 'Other Corp',
+      email: 'hr@othercorp.com',
+      password: 'Password123'
+    }).save();
+
+    companyToken = signCompanyToken(company);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  describe('Authentication', () => {
+    test('should return 401 for an invalid token', async () => {
+      await request(app)
+        .get(`/company/profile/${company._id}`)
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(401);
+    });
+
+    test('should reject user tokens on company routes', async () => {
+      const user = await new User({
+        fullName: 'Test User',
+        email: 'test@example.com',
+        password: 'Password123'
+      }).save();
+      const userToken = jwt.sign({ userId: user._id, type: 'user' }, process.env.JWT_SECRET);
+
+      await request(app)
+        .get(`/company/profile/${company._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /company/profile/:id', () => {
+    test('should return the own profile without the password', async () => {
+      const response = await request(app)
+        .get(`/company/profile/${company._id}`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(200);
+
+      expect(response.body.companyName).toBe('Test Corp');
+      expect(response.body.password).toBeUndefined();
+    });
+
+    test("should forbid reading another company's profile", async () => {
+      await request(app)
+        .get(`/company/profile/${otherCompany._id}`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /company/profile/:id', () => {
+    test("should forbid updating another company's profile", async () => {
+      await request(app)
+        .put(`/company/profile/${otherCompany._id}`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ companyName: 'Hijacked' })
+        .expect(403);
+
+      const unchanged = await Company.findById(otherCompany._id);
+      expect(unchanged.companyName).toBe('Other Corp');
+    });
+
+    test('should ignore fields outside the profile whitelist', async () => {
+      await request(app)
+        .put(`/company/profile/${company._id}`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ industry: 'Technology', email: 'new@testcorp.com', emailVerified: true })
+        .expect(200);
+
+      const updated = await Company.findById(company._id);
+      expect(updated.industry).toBe('Technology');
+      expect(updated.email).toBe('hr@testcorp.com');
+      expect(updated.emailVerified).toBe(false);
+    });
+
+    test('should accept an update without a body', async () => {
+      await request(app)
+        .put(`/company/profile/${company._id}`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/company/profile/${company._id}/history`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(0);
+    });
+
+    test('should record profile changes in the history', async () => {
+      await request(app)
+        .put(`/company/profile/${company._id}`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .send({ companyName: 'Renamed Corp', industry: 'Finance' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/company/profile/${company._id}/history`)
+        .set('Authorization', `Bearer ${companyToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      const [entry] = response.body.history;
+      expect(entry.actorId).toBe(company._id.toString());
+      expect(entry.action).toBe('company.profile.update');
+      expect(entry.changes).toEqual(expect.arrayContaining([
+        { field: 'companyName', from: 'Test Corp', to: 'Renamed Corp' },
+        { field: 'industry', from: null, to: 'Finance' }
+      ]));
+    });
+  });
+});
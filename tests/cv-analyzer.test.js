@@ -3,9 +3,22 @@ import mongoose from 'mongoose';
 import app from '../app.js';
 import User from '../models/user.model.js';
 import CVAnalysis from '../models/cvanalysis.model.js';
+import Company from '../models/company.model.js';
+import Job from '../models/job.model.js';
+import SavedJob from '../models/savedjob.model.js';
+import JobMatch from '../models/jobmatch.model.js';
+import UsageRecord from '../models/usagerecord.model.js';
+import CVAnalysisSnapshot from '../models/cvanalysissnapshot.model.js';
+import ShareLink from '../models/sharelink.model.js';
+import cvAnalyzerController from '../controllers/cv-analyzer.controller.js';
+import usageService from '../services/usage.service.js';
+import AnalyzerService from '../services/analyzer.service.js';
+import HeuristicAnalyzerService from '../services/heuristic-analyzer.service.js';
+import { FixtureProvider, calculateCost } from '../services/llm-provider.service.js';
 import jwt from 'jsonwebtoken';
 import fs from 'fs/promises';
 import path from 'path';
+import os from 'os';
 
 describe('CV Analyzer API Tests', () => {
   let testUser;
@@ -129,6 +142,72 @@ describe('CV Analyzer API Tests', () => {
     // This is a simplified test structure
   });
 
+  describe('Processing stages', () => {
+    let realParser;
+    let realAnalyzer;
+    let queued;
+
+    beforeEach(async () => {
+      realParser = cvAnalyzerController.pdfParserService;
+      realAnalyzer = cvAnalyzerController.analyzer;
+      cvAnalyzerController.pdfParserService = {
+        extractTextFromPDF: async () => ({ text: 'Experience: 5 years of Node.js. Education: BSc Computer Science.' })
+      };
+
+      queued = new CVAnalysis({
+        userId: testUser._id,
+        originalFilename: 'test_resume.pdf',
+        filePath: '/tmp/test_resume.pdf',
+        fileSize: 1024,
+        extractedText: 'Processing...',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+        processingStatus: 'processing'
+      });
+      queued.initializeStages();
+      await queued.save();
+    });
+
+    afterEach(() => {
+      cvAnalyzerController.pdfParserService = realParser;
+      cvAnalyzerController.analyzer = realAnalyzer;
+    });
+
+    test('should run every stage with timings and report full progress', async () => {
+      cvAnalyzerController.analyzer = {
+        analyzeCV: async () => ({ analysis: { overallScore: 78, summary: 'Solid CV' } })
+      };
+
+      await cvAnalyzerController.performAnalysis(queued._id);
+
+      const response = await request(app)
+        .get(`/api/v1/cv-analyzer/results/${queued._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { processingStages, progress } = response.body.data;
+      expect(processingStages.map(stage => stage.stage)).toEqual(CVAnalysis.PROCESSING_STAGES);
+      expect(processingStages.every(stage => stage.status === 'completed')).toBe(true);
+      expect(processingStages.every(stage => typeof stage.durationMs === 'number')).toBe(true);
+      expect(progress).toEqual({ percentage: 100, currentStage: null, failedStage: null });
+    });
+
+    test('should record the error on the stage that failed', async () => {
+      cvAnalyzerController.analyzer = {
+        analyzeCV: async () => { throw new Error('OpenAI unavailable'); }
+      };
+
+      await expect(cvAnalyzerController.performAnalysis(queued._id)).rejects.toThrow('OpenAI unavailable');
+
+      const analysis = await CVAnalysis.findById(queued._id);
+      const failedStage = analysis.processingStages.find(stage => stage.stage === 'analysis');
+      expect(failedStage.status).toBe('failed');
+      expect(failedStage.error).toBe('OpenAI unavailable');
+      // Still retryable, so the analysis itself isn't failed yet
+      expect(analysis.processingStatus).toBe('processing');
+      expect(analysis.progress).toEqual({ percentage: 35, currentStage: 'analysis', failedStage: 'analysis' });
+    });
+  });
+
   describe('GET /api/v1/cv-analyzer/results/:analysisId', () => {
     test('should return analysis results for authenticated user', async () => {
       const response = await request(app)
@@ -252,6 +331,236 @@ describe('CV Analyzer API Tests', () => {
     });
   });
 
+  describe('Job fit', () => {
+    let job;
+
+    beforeEach(async () => {
+      await Company.deleteMany({});
+      await Job.deleteMany({});
+
+      const company = await new Company({
+        companyName: 'Test Corp',
+        email: 'hr@testcorp.com',
+        password: 'Password123'
+      }).save();
+
+      job = await Job.create({
+        title: 'Backend Developer',
+        major: 'Computer Science',
+        type: 'full-time',
+        workLocation: 'remote',
+        location: 'Jakarta',
+        description: 'Build APIs',
+        responsibilities: ['Design REST endpoints'],
+        requirements: ['3 years of Node.js'],
+        skills: ['Node.js', 'MongoDB'],
+        experienceLevel: 'mid',
+        companyId: company._id
+      });
+    });
+
+    test('should map a job to a target job description', async () => {
+      await job.populate('companyId', 'companyName');
+
+      expect(CVAnalysis.toTargetJobDescription(job)).toEqual({
+        title: 'Backend Developer',
+        company: 'Test Corp',
+        description: 'Build APIs\n- Design REST endpoints',
+        requirements: ['3 years of Node.js'],
+        skills: ['Node.js', 'MongoDB']
+      });
+    });
+
+    test('should reject an upload against an unknown job', async () => {
+      const response = await request(app)
+        .post('/api/v1/cv-analyzer/upload')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('experienceLevel', 'mid')
+        .field('major', 'Computer Science')
+        .field('jobId', new mongoose.Types.ObjectId().toString())
+        .attach('cv', Buffer.from('%PDF-1.4 test'), { filename: 'test_resume.pdf', contentType: 'application/pdf' })
+        .expect(404);
+
+      expect(response.body.field).toBe('jobId');
+      expect(await CVAnalysis.countDocuments({ jobId: { $exists: true } })).toBe(0);
+    });
+
+    test('should return the fit of the latest analysis for a job', async () => {
+      await CVAnalysis.create({
+        userId: testUser._id,
+        jobId: job._id,
+        originalFilename: 'test_resume.pdf',
+        filePath: '/tmp/test_resume.pdf',
+        fileSize: 1024,
+        extractedText: 'Sample CV content for testing purposes.',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+        processingStatus: 'completed',
+        overallScore: 80,
+        jobMatching: {
+          averageCompatibility: 70,
+          bestMatches: [{
+            jobIndex: 1,
+            compatibilityScore: 75,
+            matchingSkills: ['Node.js'],
+            missingSkills: ['MongoDB'],
+            recommendations: ['Add a MongoDB project']
+          }]
+        }
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/cv-analyzer/jobs/${job._id}/fit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.fitScore).toBe(75);
+      expect(response.body.data.overallScore).toBe(80);
+      expect(response.body.data.matchingSkills).toEqual(['Node.js']);
+      expect(response.body.data.missingSkills).toEqual(['MongoDB']);
+    });
+
+    test('should return 404 when the job has not been analyzed', async () => {
+      await request(app)
+        .get(`/api/v1/cv-analyzer/jobs/${job._id}/fit`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/v1/cv-analyzer/compare/:analysisId', () => {
+    let realAnalyzer;
+    let company;
+    let jobs;
+    let completed;
+    let matchCalls;
+
+    beforeEach(async () => {
+      await Company.deleteMany({});
+      await Job.deleteMany({});
+      await SavedJob.deleteMany({});
+      await JobMatch.deleteMany({});
+
+      company = await new Company({
+        companyName: 'Test Corp',
+        email: 'hr@testcorp.com',
+        password: 'Password123'
+      }).save();
+
+      jobs = await Job.create(['Backend Developer', 'Data Engineer'].map(title => ({
+        title,
+        major: 'Computer Science',
+        type: 'full-time',
+        workLocation: 'remote',
+        location: 'Jakarta',
+        description: `${title} role`,
+        requirements: ['Node.js'],
+        experienceLevel: 'mid',
+        companyId: company._id
+      })));
+
+      completed = await CVAnalysis.create({
+        userId: testUser._id,
+        originalFilename: 'test_resume.pdf',
+        filePath: '/tmp/test_resume.pdf',
+        fileSize: 1024,
+        extractedText: 'Experience: 5 years of Node.js.',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+        processingStatus: 'completed',
+        overallScore: 80
+      });
+
+      matchCalls = 0;
+      realAnalyzer = cvAnalyzerController.analyzer;
+      cvAnalyzerController.analyzer = {
+        model: 'fake',
+        matchJobs: async (cvText, jobData, targetJobs) => {
+          matchCalls++;
+          return {
+            matches: targetJobs.map((target, index) => ({
+              jobIndex: index + 1,
+              compatibilityScore: target.title === 'Data Engineer' ? 90 : 60,
+              matchingSkills: ['Node.js'],
+              missingSkills: [],
+              recommendations: []
+            }))
+          };
+        }
+      };
+    });
+
+    afterEach(() => {
+      cvAnalyzerController.analyzer = realAnalyzer;
+    });
+
+    test('should rank jobs by compatibility and reuse cached scores', async () => {
+      const compare = () => request(app)
+        .post(`/api/v1/cv-analyzer/compare/${completed._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ jobIds: jobs.map(job => job._id.toString()) })
+        .expect(200);
+
+      const first = await compare();
+      expect(first.body.data.rankings.map(ranking => [ranking.rank, ranking.title, ranking.cached])).toEqual([
+        [1, 'Data Engineer', false],
+        [2, 'Backend Developer', false]
+      ]);
+
+      const second = await compare();
+      expect(second.body.data.rankings.every(ranking => ranking.cached)).toBe(true);
+      expect(matchCalls).toBe(1);
+    });
+
+    test('should rescore a job after it changes', async () => {
+      const body = { jobIds: [jobs[0]._id.toString()] };
+      const url = `/api/v1/cv-analyzer/compare/${completed._id}`;
+
+      await request(app).post(url).set('Authorization', `Bearer ${authToken}`).send(body).expect(200);
+      await Job.updateOne({ _id: jobs[0]._id }, { skills: ['Kubernetes'] });
+      const response = await request(app).post(url).set('Authorization', `Bearer ${authToken}`).send(body).expect(200);
+
+      expect(response.body.data.rankings[0].cached).toBe(false);
+      expect(matchCalls).toBe(2);
+    });
+
+    test('should rank the user\'s saved jobs', async () => {
+      await SavedJob.create({ userId: testUser._id, jobId: jobs[1]._id });
+
+      const response = await request(app)
+        .post(`/api/v1/cv-analyzer/compare/${completed._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ savedJobs: true })
+        .expect(200);
+
+      expect(response.body.data.rankings).toHaveLength(1);
+      expect(response.body.data.rankings[0].jobId).toBe(jobs[1]._id.toString());
+    });
+
+    test('should refuse to compare an analysis that is still processing', async () => {
+      completed.processingStatus = 'processing';
+      await completed.save();
+
+      await request(app)
+        .post(`/api/v1/cv-analyzer/compare/${completed._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ jobIds: [jobs[0]._id.toString()] })
+        .expect(409);
+    });
+
+    test('should require jobIds or savedJobs', async () => {
+      await request(app)
+        .post(`/api/v1/cv-analyzer/compare/${completed._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/v1/cv-analyzer/compare/${completed._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+      expect(response.body.field).toBe('jobIds');
+    });
+  });
+
   describe('DELETE /api/v1/cv-analyzer/:analysisId', () => {
     test('should delete analysis successfully', async () => {
       const response = await request(app)
@@ -280,6 +589,591 @@ describe('CV Analyzer API Tests', () => {
     });
   });
 
+  describe('CV versions', () => {
+    const completedResults = (overallScore, skillsScore, recommendations) => ({
+      processingStatus: 'completed',
+      overallScore,
+      sections: { skillsAlignment: { score: skillsScore } },
+      recommendations
+    });
+
+    beforeEach(async () => {
+      await CVAnalysisSnapshot.deleteMany({});
+      testCVAnalysis.set(completedResults(60, 50, [
+        { category: 'keywords', priority: 'high', suggestion: 'Add cloud keywords' },
+        { category: 'format', priority: 'low', suggestion: 'Use a single column' }
+      ]));
+      await testCVAnalysis.save();
+    });
+
+    test('should record an upload with a parent as the next version', async () => {
+      const response = await request(app)
+        .post('/api/v1/cv-analyzer/upload')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('experienceLevel', 'mid')
+        .field('major', 'Computer Science')
+        .field('parentAnalysisId', testCVAnalysis._id.toString())
+        .attach('cv', Buffer.from('%PDF-1.4 test'), { filename: 'test_resume_v2.pdf', contentType: 'application/pdf' })
+        .expect(202);
+
+      expect(response.body.data.version).toBe(2);
+      const child = await CVAnalysis.findById(response.body.data.analysisId);
+      expect(child.parentAnalysisId.toString()).toBe(testCVAnalysis._id.toString());
+      expect(child.rootAnalysisId.toString()).toBe(testCVAnalysis._id.toString());
+    });
+
+    test('should reject a parent that belongs to someone else', async () => {
+      const otherAnalysis = await CVAnalysis.create({
+        userId: new mongoose.Types.ObjectId(),
+        originalFilename: 'other.pdf',
+        filePath: '/tmp/other.pdf',
+        fileSize: 1024,
+        extractedText: 'Other CV',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' }
+      });
+
+      const response = await request(app)
+        .post('/api/v1/cv-analyzer/upload')
+        .set('Authorization', `Bearer ${authToken}`)
+        .field('experienceLevel', 'mid')
+        .field('major', 'Computer Science')
+        .field('parentAnalysisId', otherAnalysis._id.toString())
+        .attach('cv', Buffer.from('%PDF-1.4 test'), { filename: 'test_resume_v2.pdf', contentType: 'application/pdf' })
+        .expect(404);
+
+      expect(response.body.field).toBe('parentAnalysisId');
+    });
+
+    test('should keep the previous results as a snapshot when reanalysing', async () => {
+      const response = await request(app)
+        .post(`/api/v1/cv-analyzer/reanalyze/${testCVAnalysis._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.previousRevision.revision).toBe(1);
+      const snapshot = await CVAnalysisSnapshot.findById(response.body.data.previousRevision.snapshotId);
+      expect(snapshot.overallScore).toBe(60);
+      expect(snapshot.recommendations).toHaveLength(2);
+      expect((await CVAnalysis.findById(testCVAnalysis._id)).overallScore).toBeUndefined();
+      await expect(CVAnalysisSnapshot.updateOne({ _id: snapshot._id }, { overallScore: 99 })).rejects.toThrow('immutable');
+    });
+
+    test('should keep the job context the snapshot was scored against', async () => {
+      await Company.deleteMany({});
+      await Job.deleteMany({});
+      const company = await new Company({ companyName: 'Test Corp', email: 'hr@testcorp.com', password: 'Password123' }).save();
+      const job = await Job.create({
+        title: 'Senior Backend Developer',
+        major: 'Computer Science',
+        type: 'full-time',
+        workLocation: 'remote',
+        location: 'Jakarta',
+        description: 'Lead the API team',
+        requirements: ['5 years of Node.js'],
+        experienceLevel: 'senior',
+        companyId: company._id
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/cv-analyzer/reanalyze/${testCVAnalysis._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ jobId: job._id.toString(), experienceLevel: 'senior' })
+        .expect(200);
+
+      const snapshot = await CVAnalysisSnapshot.findById(response.body.data.previousRevision.snapshotId);
+      expect(snapshot.jobId).toBeUndefined();
+      expect(snapshot.jobData.experienceLevel).toBe('mid');
+      expect(snapshot.jobData.targetJobDescriptions || []).toHaveLength(0);
+
+      const analysis = await CVAnalysis.findById(testCVAnalysis._id);
+      expect(analysis.jobId.toString()).toBe(job._id.toString());
+      expect(analysis.jobData.experienceLevel).toBe('senior');
+    });
+
+    test('should list the lineage and diff any two versions', async () => {
+      const snapshot = await CVAnalysisSnapshot.capture(testCVAnalysis);
+      const child = await CVAnalysis.create({
+        userId: testUser._id,
+        originalFilename: 'test_resume_v2.pdf',
+        filePath: '/tmp/test_resume_v2.pdf',
+        fileSize: 1024,
+        extractedText: 'Edited CV content',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+        version: 2,
+        parentAnalysisId: testCVAnalysis._id,
+        rootAnalysisId: testCVAnalysis._id,
+        ...completedResults(74, 70, [
+          { category: 'format', priority: 'low', suggestion: 'Use a single column' },
+          { category: 'achievements', priority: 'medium', suggestion: 'Quantify results' }
+        ])
+      });
+
+      const lineage = await request(app)
+        .get(`/api/v1/cv-analyzer/versions/${child._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(lineage.body.data.versions.map(version => version.version)).toEqual([1, 2]);
+      expect(lineage.body.data.versions[0].previousRevisions).toHaveLength(1);
+      expect(lineage.body.data.versions[0].revision).toBe(2);
+
+      const response = await request(app)
+        .get(`/api/v1/cv-analyzer/diff?from=${snapshot._id}&to=${child._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const diff = response.body.data;
+      expect(diff.from).toMatchObject({ type: 'snapshot', version: 1, revision: 1 });
+      expect(diff.overallScore).toEqual({ from: 60, to: 74, change: 14 });
+      expect(diff.sections).toEqual([{ section: 'skillsAlignment', from: 50, to: 70, change: 20 }]);
+      expect(diff.recommendations.resolved.map(item => item.category)).toEqual(['keywords']);
+      expect(diff.recommendations.added.map(item => item.category)).toEqual(['achievements']);
+      expect(diff.recommendations.unchanged).toBe(1);
+      expect(diff.verdict).toBe('improved');
+    });
+
+    test('should refuse to diff an analysis that has not completed', async () => {
+      const pending = await CVAnalysis.create({
+        userId: testUser._id,
+        originalFilename: 'test_resume_v2.pdf',
+        filePath: '/tmp/test_resume_v2.pdf',
+        fileSize: 1024,
+        extractedText: 'Processing...',
+        jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+        processingStatus: 'processing'
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/cv-analyzer/diff?from=${testCVAnalysis._id}&to=${pending._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.field).toBe('to');
+    });
+  });
+
+  describe('Recommendation tracking', () => {
+    let recommendationId;
+
+    beforeEach(async () => {
+      testCVAnalysis.recommendations = [
+        { category: 'keywords', priority: 'high', suggestion: 'Add cloud keywords' },
+        { category: 'format', priority: 'low', suggestion: 'Use a single column' }
+      ];
+      await testCVAnalysis.save();
+      recommendationId = testCVAnalysis.recommendations[0]._id;
+    });
+
+    test('should mark a recommendation as implemented and rate it', async () => {
+      await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${recommendationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'implemented' })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${recommendationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ feedback: 'helpful' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ category: 'keywords', status: 'implemented', userFeedback: 'helpful' });
+      expect(response.body.data.implementedAt).toBeDefined();
+
+      const analysis = await CVAnalysis.findById(testCVAnalysis._id);
+      expect(analysis.analytics.improvementsImplemented).toHaveLength(1);
+    });
+
+    test('should move feedback into the snapshot when the analysis is rerun', async () => {
+      testCVAnalysis.set({ processingStatus: 'completed', overallScore: 70 });
+      await testCVAnalysis.save();
+
+      await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${recommendationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'implemented', feedback: 'helpful' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/cv-analyzer/reanalyze/${testCVAnalysis._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({})
+        .expect(200);
+
+      const snapshot = await CVAnalysisSnapshot.findById(response.body.data.previousRevision.snapshotId);
+      expect(snapshot.improvementsImplemented).toHaveLength(1);
+      expect(snapshot.improvementsImplemented[0]).toMatchObject({ category: 'keywords', status: 'implemented', userFeedback: 'helpful' });
+
+      const analysis = await CVAnalysis.findById(testCVAnalysis._id);
+      expect(analysis.analytics.improvementsImplemented).toHaveLength(0);
+    });
+
+    test('should clear the implemented date when a recommendation is dismissed', async () => {
+      await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${recommendationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'implemented' })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${recommendationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'dismissed', feedback: 'not-helpful' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('dismissed');
+      expect(response.body.data.implementedAt).toBeUndefined();
+      expect(response.body.data.dismissedAt).toBeDefined();
+    });
+
+    test('should reject invalid feedback and unknown recommendations', async () => {
+      const invalid = await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${recommendationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ feedback: 'amazing' })
+        .expect(400);
+      expect(invalid.body.field).toBe('feedback');
+
+      const empty = await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${recommendationId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+      expect(empty.body.message).toBe('Provide status or feedback');
+
+      await request(app)
+        .patch(`/api/v1/cv-analyzer/results/${testCVAnalysis._id}/recommendations/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'implemented' })
+        .expect(404);
+    });
+  });
+
+  describe('Share links', () => {
+    beforeEach(async () => {
+      await ShareLink.deleteMany({});
+      testCVAnalysis.processingStatus = 'completed';
+      testCVAnalysis.overallScore = 82;
+      await testCVAnalysis.save();
+    });
+
+    const createLink = (body = {}) => request(app)
+      .post(`/api/v1/cv-analyzer/share/${testCVAnalysis._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+
+    test('should serve a public report without the CV text or file path and count views', async () => {
+      const created = await createLink({ expiresInDays: 3, label: 'Mentor' }).expect(201);
+      const { token, shareId } = created.body.data;
+      expect((await CVAnalysis.findById(testCVAnalysis._id)).analytics.shared).toBe(true);
+
+      const response = await request(app)
+        .get(`/api/v1/cv-analyzer/shared/${token}`)
+        .expect(200);
+
+      expect(response.body.data.overallScore).toBe(82);
+      expect(response.body.data.extractedText).toBeUndefined();
+      expect(response.body.data.filePath).toBeUndefined();
+      expect(response.body.data.userId).toBeUndefined();
+
+      await request(app).get(`/api/v1/cv-analyzer/shared/${token}`).expect(200);
+      expect((await ShareLink.findById(shareId)).viewCount).toBe(2);
+    });
+
+    test('should stop serving a revoked link', async () => {
+      const created = await createLink().expect(201);
+      const { token, shareId } = created.body.data;
+
+      const revoked = await request(app)
+        .delete(`/api/v1/cv-analyzer/share/${testCVAnalysis._id}/${shareId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(revoked.body.data.status).toBe('revoked');
+
+      await request(app).get(`/api/v1/cv-analyzer/shared/${token}`).expect(410);
+      expect((await CVAnalysis.findById(testCVAnalysis._id)).analytics.shared).toBe(false);
+
+      const links = await request(app)
+        .get(`/api/v1/cv-analyzer/share/${testCVAnalysis._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(links.body.data).toHaveLength(1);
+      expect(links.body.data[0].status).toBe('revoked');
+    });
+
+    test('should not accept login tokens or tampered share tokens', async () => {
+      await request(app).get(`/api/v1/cv-analyzer/shared/${authToken}`).expect(404);
+
+      const created = await createLink().expect(201);
+      await request(app).get(`/api/v1/cv-analyzer/shared/${created.body.data.token}x`).expect(404);
+    });
+
+    test('should create a link with the default expiry when there is no body', async () => {
+      const response = await request(app)
+        .post(`/api/v1/cv-analyzer/share/${testCVAnalysis._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(201);
+
+      const days = (new Date(response.body.data.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(Math.round(days)).toBe(7);
+    });
+
+    test('should reject an expiry beyond the maximum', async () => {
+      await createLink({ expiresInDays: 365 }).expect(400);
+    });
+  });
+
+  describe('Analysis engines', () => {
+    const cvText = [
+      'Jane Doe',
+      'jane@example.com | +62 812 3456 7890',
+      'Experience',
+      'Software Engineer, Acme (2019 - 2024)',
+      '- Reduced API latency by 35% with Redis caching',
+      '- Built Node.js services handling 2M requests per day',
+      'Education',
+      'BSc Computer Science, 2018',
+      'Skills',
+      'JavaScript, Node.js, MongoDB, Git, Docker, SQL'
+    ].join('\n');
+    const jobData = { experienceLevel: 'mid', major: 'Computer Science' };
+
+    test('heuristic analyzer gives the same result for the same CV', async () => {
+      const heuristic = new HeuristicAnalyzerService();
+      const first = await heuristic.analyzeCV(cvText, jobData);
+      const second = await heuristic.analyzeCV(cvText, jobData);
+
+      expect(first.engine).toBe('heuristic');
+      expect(first.analysis).toEqual(second.analysis);
+      expect(first.analysis.overallScore).toBeGreaterThan(0);
+      expect(first.openaiProcessing).toMatchObject({ model: 'heuristic', tokensUsed: 0, cost: 0 });
+    });
+
+    test('heuristic analyzer scores job requirements it can find in the CV', async () => {
+      const { matches: [match] } = await new HeuristicAnalyzerService().matchJobs(cvText, jobData, [
+        { title: 'Backend Engineer', requirements: ['Experience with Node.js'], skills: ['MongoDB', 'Kubernetes'] }
+      ]);
+
+      expect(match.jobIndex).toBe(1);
+      expect(match.matchingSkills).toEqual(expect.arrayContaining(['Node.js', 'MongoDB']));
+      expect(match.missingSkills).toContain('Kubernetes');
+    });
+
+    test('auto engine falls back to the heuristic analyzer when OpenAI fails', async () => {
+      const originalKey = process.env.OPENAI_API_KEY;
+      process.env.OPENAI_API_KEY = 'test-key';
+      try {
+        const analyzer = new AnalyzerService({
+          engine: 'auto',
+          openAIService: { model: 'gpt-4', analyzeCV: async () => { throw new Error('Service unavailable'); } }
+        });
+        const result = await analyzer.analyzeCV(cvText, jobData);
+        expect(result.engine).toBe('heuristic');
+      } finally {
+        process.env.OPENAI_API_KEY = originalKey;
+      }
+    });
+
+    test('openai engine does not fall back', async () => {
+      const analyzer = new AnalyzerService({
+        engine: 'openai',
+        openAIService: { model: 'gpt-4', analyzeCV: async () => { throw new Error('Service unavailable'); } }
+      });
+      await expect(analyzer.analyzeCV(cvText, jobData)).rejects.toThrow('Service unavailable');
+    });
+
+    test('rejects an unknown engine', () => {
+      expect(() => new AnalyzerService({ engine: 'magic' })).toThrow('Unknown CV_ANALYSIS_ENGINE');
+    });
+
+    test('fixture provider replays recorded completions', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+      const completion = {
+        content: JSON.stringify({ overallScore: 82 }),
+        requestId: 'req_123',
+        usage: { promptTokens: 1000, completionTokens: 500, totalTokens: 1500 }
+      };
+      let sourceCalls = 0;
+      const source = {
+        name: 'recorded',
+        defaultModel: 'gpt-4o',
+        supportsJsonFormat: () => true,
+        complete: async () => {
+          sourceCalls++;
+          return completion;
+        }
+      };
+      const request = {
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: cvText }],
+        maxTokens: 100,
+        temperature: 0.3,
+        json: true
+      };
+
+      try {
+        await new FixtureProvider({ dir, mode: 'record', source }).complete(request);
+        const replay = new FixtureProvider({ dir, mode: 'replay' });
+
+        expect(await replay.complete(request)).toEqual(completion);
+        expect(sourceCalls).toBe(1);
+        await expect(replay.complete({ ...request, model: 'gpt-4o-mini' }))
+          .rejects.toMatchObject({ name: 'LLMProviderError', retryable: false });
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('prices usage from the longest matching model prefix', () => {
+      const pricing = { 'gpt-4o': { input: 0.0025, output: 0.01 }, 'gpt-4o-mini': { input: 0.00015, output: 0.0006 } };
+      const usage = { promptTokens: 2000, completionTokens: 1000 };
+
+      expect(calculateCost('gpt-4o-2024-08-06', usage, pricing)).toBe(0.015);
+      expect(calculateCost('gpt-4o-mini', usage, pricing)).toBe(0.0009);
+      expect(calculateCost('llama3', usage, pricing)).toBe(0);
+    });
+  });
+
+  describe('GET /api/v1/cv-analyzer/analytics', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const completedAnalysis = (daysAgo, overallScore, skillsScore, recommendations = []) => ({
+      userId: testUser._id,
+      originalFilename: `test_resume_${daysAgo}.pdf`,
+      filePath: `/tmp/test_resume_${daysAgo}.pdf`,
+      fileSize: 1024,
+      extractedText: 'Sample CV content',
+      jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+      processingStatus: 'completed',
+      overallScore,
+      sections: { skillsAlignment: { score: skillsScore } },
+      recommendations,
+      createdAt: new Date(Date.now() - daysAgo * DAY)
+    });
+
+    test('should report the score trend, section deltas and improvement velocity', async () => {
+      await CVAnalysis.insertMany([
+        completedAnalysis(14, 60, 55, [{ category: 'keywords', priority: 'high', suggestion: 'Add keywords' }]),
+        completedAnalysis(7, 70, 65, [{ category: 'keywords', priority: 'medium', suggestion: 'Add more keywords' }]),
+        completedAnalysis(0, 81, 80, [{ category: 'format', priority: 'low', suggestion: 'Use one column' }]),
+        // Outside the 30-day timeframe
+        completedAnalysis(40, 40, 30)
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/cv-analyzer/analytics?timeframe=30d')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { summary, scoreTrend, sectionDeltas, topRecommendationCategories, improvementVelocity } = response.body.data;
+      expect(summary).toMatchObject({ totalAnalyses: 3, firstScore: 60, latestScore: 81, scoreChange: 21 });
+      expect(scoreTrend.map(point => point.overallScore)).toEqual([60, 70, 81]);
+      expect(sectionDeltas).toEqual([
+        { section: 'skillsAlignment', first: 55, previous: 65, latest: 80, changeSincePrevious: 15, changeSinceFirst: 25 }
+      ]);
+      expect(topRecommendationCategories[0]).toEqual({ category: 'keywords', count: 2, highPriority: 1 });
+      expect(improvementVelocity.trend).toBe('improving');
+      expect(improvementVelocity.pointsPerAnalysis).toBe(10.5);
+    });
+
+    test('should report insufficient data for a single analysis', async () => {
+      await CVAnalysis.insertMany([completedAnalysis(1, 75, 70)]);
+
+      const response = await request(app)
+        .get('/api/v1/cv-analyzer/analytics?timeframe=7d')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.summary.totalAnalyses).toBe(1);
+      expect(response.body.data.improvementVelocity).toEqual({ pointsPerWeek: null, pointsPerAnalysis: null, trend: 'insufficient-data' });
+    });
+
+    test('should reject an unknown timeframe', async () => {
+      const response = await request(app)
+        .get('/api/v1/cv-analyzer/analytics?timeframe=2w')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.field).toBe('timeframe');
+    });
+  });
+
+  describe('AI usage and quotas', () => {
+    beforeEach(async () => {
+      await UsageRecord.deleteMany({});
+    });
+
+    test('should refuse a reanalysis once the monthly analysis quota is used up', async () => {
+      testUser.aiQuota = { analysesPerMonth: 1 };
+      await testUser.save();
+      await UsageRecord.create({
+        userId: testUser._id,
+        feature: 'cv-analysis',
+        analysisId: testCVAnalysis._id,
+        engine: 'openai',
+        provider: 'openai',
+        model: 'gpt-4o',
+        promptTokens: 1200,
+        completionTokens: 800,
+        totalTokens: 2000,
+        cost: 0.011
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/cv-analyzer/reanalyze/${testCVAnalysis._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(429);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Monthly limit of 1 CV analyses');
+      expect(response.body.data.used.analyses).toBe(1);
+      expect((await CVAnalysis.findById(testCVAnalysis._id)).processingStatus).not.toBe('processing');
+    });
+
+    test('should report the month\'s usage and remaining quota', async () => {
+      await UsageRecord.create([
+        { userId: testUser._id, feature: 'cv-analysis', engine: 'openai', model: 'gpt-4o', promptTokens: 1000, completionTokens: 500, totalTokens: 1500, cost: 0.0075 },
+        { userId: testUser._id, feature: 'job-matching', engine: 'heuristic', model: 'heuristic' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/cv-analyzer/usage')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { quota, usage, remaining } = response.body.data;
+      expect(quota.plan).toBe('free');
+      expect(usage.requests).toBe(2);
+      expect(usage.totalTokens).toBe(1500);
+      expect(usage.cost).toBe(0.0075);
+      expect(remaining.tokens).toBe(quota.tokensPerMonth - 1500);
+    });
+
+    test('should reject a malformed month', async () => {
+      await request(app)
+        .get('/api/v1/cv-analyzer/usage?month=2025-13')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    test('should record a retried run only once', async () => {
+      await UsageRecord.init();
+      const runId = new mongoose.Types.ObjectId();
+      const usage = { engine: 'openai', provider: 'openai', model: 'gpt-4o', totalTokens: 1500, cost: 0.0075 };
+
+      await usageService.record('cv-analysis', { userId: testUser._id, analysisId: testCVAnalysis._id, runId }, usage);
+      const retried = await usageService.record('cv-analysis', { userId: testUser._id, analysisId: testCVAnalysis._id, runId }, usage);
+
+      expect(retried).toBeNull();
+      expect(await UsageRecord.countDocuments({ analysisId: testCVAnalysis._id })).toBe(1);
+    });
+
+    test('should keep ledger entries immutable', async () => {
+      const record = await UsageRecord.create({ userId: testUser._id, feature: 'cv-analysis', engine: 'heuristic', model: 'heuristic' });
+      await expect(UsageRecord.updateOne({ _id: record._id }, { cost: 0 })).rejects.toThrow('immutable');
+    });
+  });
+
   describe('GET /api/v1/cv-analyzer/health', () => {
     test('should return health status', async () => {
       const response = await request(app)
@@ -0,0 +1,211 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import Application from '../models/application.model.js';
+import Company from '../models/company.model.js';
+import Job from '../models/job.model.js';
+import Notification from '../models/notification.model.js';
+import NotificationPreference from '../models/notificationpreference.model.js';
+import User from '../models/user.model.js';
+import eventService from '../services/event.service.js';
+import jwt from 'jsonwebtoken';
+
+describe('Notification API Tests', () => {
+  let user;
+  let company;
+  let job;
+  let application;
+  let userToken;
+  let companyToken;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/jobportal_test');
+    }
+  });
+
+  beforeEach(async () => {
+    await Application.deleteMany({});
+    await Company.deleteMany({});
+    await Job.deleteMany({});
+    await Notification.deleteMany({});
+    await NotificationPreference.deleteMany({});
+    await User.deleteMany({});
+
+    user = await new User({
+      fullName: 'Test User',
+      email: 'test@example.com',
+      password: 'Password123',
+      emailVerified: true
+    }).save();
+
+    company = await new Company({
+      companyName: 'Test Corp',
+      email: 'hr@testcorp.com',
+      password: 'Password123'
+    }).save();
+
+    job = await Job.create({
+      title: 'Backend Developer',
+      major: 'Computer Science',
+      type: 'full-time',
+      workLocation: 'remote',
+      location: 'Jakarta',
+      description: 'Build APIs',
+      requirements: ['Node.js'],
+      experienceLevel: 'mid',
+      companyId: company._id
+    });
+
+    application = await Application.create({
+      userId: user._id,
+      jobId: job._id,
+      fullName: 'Test User',
+      domicile: 'Jakarta',
+      phoneNumber: '08123456789',
+      email: 'test@example.com',
+      resume: 'uploads/resume.pdf'
+    });
+
+    userToken = jwt.sign({ userId: user._id, type: 'user' }, process.env.JWT_SECRET, { expiresIn: '24h' });
+    companyToken = jwt.sign({ companyId: company._id, type: 'company' }, process.env.JWT_SECRET, { expiresIn: '24h' });
+  });
+
+  afterAll(async () => {
+    await eventService.drain();
+    await mongoose.connection.close();
+  });
+
+  test('should notify the candidate when the company changes the status', async () => {
+    await request(app)
+      .patch(`/api/applications/${application._id}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'reviewing' })
+      .expect(200);
+    await eventService.drain();
+
+    const response = await request(app)
+      .get('/api/v1/notifications')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(response.body.unreadCount).toBe(1);
+    expect(response.body.notifications[0].type).toBe('application.status-changed');
+    expect(response.body.notifications[0].data.status).toBe('reviewing');
+  });
+
+  test('should send a bulk status message as the candidate\'s notification', async () => {
+    await request(app)
+      .patch('/api/applications/company-applications/bulk/status')
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({
+        applicationIds: [application._id],
+        status: 'reviewing',
+        messageTemplate: 'Hi {{fullName}}, we are reviewing your application for {{jobTitle}}.'
+      })
+      .expect(200);
+    await eventService.drain();
+
+    const notifications = await Notification.find({ recipientId: user._id });
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0].message).toBe('Hi Test User, we are reviewing your application for Backend Developer.');
+  });
+
+  test('should notify the company when a candidate withdraws', async () => {
+    await request(app)
+      .patch(`/api/applications/${application._id}/withdraw`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    await eventService.drain();
+
+    const response = await request(app)
+      .get('/api/v1/notifications')
+      .set('Authorization', `Bearer ${companyToken}`)
+      .expect(200);
+
+    expect(response.body.notifications.map(notification => notification.type)).toContain('application.withdrawn');
+  });
+
+  test('should notify the company when a job expires', async () => {
+    await Job.updateOne({ _id: job._id }, { applicationDeadline: new Date(Date.now() - 1000) });
+
+    await Job.updateJobsWithPassedDeadlines();
+    await Job.updateJobsWithPassedDeadlines();
+    await eventService.drain();
+
+    const notifications = await Notification.find({ recipientId: company._id, type: 'job.expired' });
+    expect(notifications).toHaveLength(1);
+  });
+
+  test('should mark notifications as read and delete them', async () => {
+    const notification = await Notification.create({
+      recipientType: 'user',
+      recipientId: user._id,
+      type: 'cv-analysis.completed',
+      title: 'Your CV analysis is ready'
+    });
+
+    await request(app)
+      .patch(`/api/v1/notifications/${notification._id}/read`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const unread = await request(app)
+      .get('/api/v1/notifications/unread-count')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+    expect(unread.body.unreadCount).toBe(0);
+
+    // Other accounts can't touch it
+    await request(app)
+      .delete(`/api/v1/notifications/${notification._id}`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .expect(404);
+
+    await request(app)
+      .delete(`/api/v1/notifications/${notification._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+  });
+
+  test('should respect per-type preferences', async () => {
+    const response = await request(app)
+      .put('/api/v1/notifications/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ preferences: { 'application.status-changed': { inApp: false } } })
+      .expect(200);
+
+    expect(response.body.preferences['application.status-changed']).toEqual({ inApp: false, email: false });
+
+    await request(app)
+      .patch(`/api/applications/${application._id}/status`)
+      .set('Authorization', `Bearer ${companyToken}`)
+      .send({ status: 'reviewing' })
+      .expect(200);
+    await eventService.drain();
+
+    const notifications = await Notification.find({ recipientId: user._id });
+    expect(notifications).toHaveLength(0);
+  });
+
+  test('should reject unknown notification types in preferences', async () => {
+    await request(app)
+      .put('/api/v1/notifications/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ preferences: { 'made.up': { inApp: false } } })
+      .expect(400);
+  });
+
+  test('should reject a preferences update without a preferences object', async () => {
+    await request(app)
+      .put('/api/v1/notifications/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(400);
+
+    await request(app)
+      .put('/api/v1/notifications/preferences')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ preferences: ['application.status-changed'] })
+      .expect(400);
+  });
+});
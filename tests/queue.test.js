@@ -0,0 +1,166 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import app from '../app.js';
+import User from '../models/user.model.js';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import BackgroundJob from '../models/backgroundjob.model.js';
+import cvAnalyzerController from '../controllers/cv-analyzer.controller.js';
+import eventService from '../services/event.service.js';
+import { QueueService, QUEUES } from '../services/queue.service.js';
+import jwt from 'jsonwebtoken';
+import fs from 'fs/promises';
+
+describe('Background Job Queue Tests', () => {
+  let testUser;
+  let authToken;
+  let analysis;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/jobportal_test');
+    }
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await CVAnalysis.deleteMany({});
+    await BackgroundJob.deleteMany({});
+
+    testUser = await new User({
+      fullName: 'Test User',
+      email: 'test@example.com',
+      password: 'Password123'
+    }).save();
+
+    authToken = jwt.sign({ userId: testUser._id, type: 'user' }, process.env.JWT_SECRET, { expiresIn: '24h' });
+
+    analysis = await CVAnalysis.create({
+      userId: testUser._id,
+      originalFilename: 'test_resume.pdf',
+      filePath: '/tmp/test_resume.pdf',
+      fileSize: 1024,
+      extractedText: 'Processing...',
+      jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+      processingStatus: 'processing'
+    });
+  });
+
+  afterAll(async () => {
+    await eventService.drain();
+    await mongoose.connection.close();
+  });
+
+  test('should let only one worker claim a job', async () => {
+    await BackgroundJob.enqueue('test', { n: 1 });
+
+    const [first, second] = await Promise.all([
+      BackgroundJob.claimNext('test', 'worker-a', 60000),
+      BackgroundJob.claimNext('test', 'worker-b', 60000)
+    ]);
+
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    const claimed = first || second;
+    expect(claimed.status).toBe('running');
+    expect(claimed.attempts).toBe(1);
+  });
+
+  test('should make a job claimable again once its lock expires', async () => {
+    await BackgroundJob.enqueue('test', { n: 1 });
+    const job = await BackgroundJob.claimNext('test', 'worker-a', 60000);
+
+    expect(await BackgroundJob.claimNext('test', 'worker-b', 60000)).toBeNull();
+
+    await BackgroundJob.updateOne({ _id: job._id }, { lockedUntil: new Date(Date.now() - 1000) });
+    const reclaimed = await BackgroundJob.claimNext('test', 'worker-b', 60000);
+    expect(reclaimed.lockedBy).toBe('worker-b');
+    expect(reclaimed.attempts).toBe(2);
+
+    // The first worker lost the job and can't finish it any more
+    expect(await job.extendLock(60000)).toBe(false);
+    await job.complete();
+    expect((await BackgroundJob.findById(job._id)).status).toBe('running');
+  });
+
+  test('should retry with backoff and fail after the last attempt', async () => {
+    const queue = new QueueService();
+    const failures = [];
+    queue.register('test', async () => { throw new Error('boom'); }, {
+      maxAttempts: 2,
+      backoffMs: 60000,
+      onFailed: async (job, error) => failures.push(error.message)
+    });
+    const config = queue.handlers.get('test');
+
+    await queue.enqueue('test', { n: 1 });
+
+    let job = await BackgroundJob.claimNext('test', queue.workerId, 60000);
+    await queue.process(job, config);
+    job = await BackgroundJob.findById(job._id);
+    expect(job.status).toBe('queued');
+    expect(job.runAt.getTime()).toBeGreaterThan(Date.now() + 50000);
+    expect(failures).toHaveLength(0);
+
+    await BackgroundJob.updateOne({ _id: job._id }, { runAt: new Date() });
+    job = await BackgroundJob.claimNext('test', queue.workerId, 60000);
+    await queue.process(job, config);
+    job = await BackgroundJob.findById(job._id);
+    expect(job.status).toBe('failed');
+    expect(job.lastError).toBe('boom');
+    expect(failures).toEqual(['boom']);
+  });
+
+  test('should queue uploads instead of analysing them in the request', async () => {
+    const response = await request(app)
+      .post('/api/v1/cv-analyzer/upload')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('experienceLevel', 'mid')
+      .field('major', 'Computer Science')
+      .attach('cv', Buffer.from('%PDF-1.4 test'), { filename: 'test_resume.pdf', contentType: 'application/pdf' })
+      .expect(202);
+
+    const job = await BackgroundJob.findOne({ queue: QUEUES.CV_ANALYSIS });
+    expect(job.payload.analysisId.toString()).toBe(response.body.data.analysisId);
+    expect(job.status).toBe('queued');
+
+    const uploaded = await CVAnalysis.findById(response.body.data.analysisId);
+    await fs.rm(uploaded.filePath, { force: true });
+  });
+
+  test('should not start a reanalysis while one is queued', async () => {
+    await BackgroundJob.enqueue(QUEUES.CV_ANALYSIS, { analysisId: analysis._id });
+
+    await request(app)
+      .post(`/api/v1/cv-analyzer/reanalyze/${analysis._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({})
+      .expect(409);
+  });
+
+  test('should requeue orphaned analyses and fail ones whose job already failed', async () => {
+    const failed = await CVAnalysis.create({
+      userId: testUser._id,
+      originalFilename: 'other_resume.pdf',
+      filePath: '/tmp/other_resume.pdf',
+      fileSize: 1024,
+      extractedText: 'Processing...',
+      jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+      processingStatus: 'processing'
+    });
+    await BackgroundJob.create({
+      queue: QUEUES.CV_ANALYSIS,
+      payload: { analysisId: failed._id },
+      status: 'failed',
+      lastError: 'OpenAI unavailable'
+    });
+
+    const staleTime = new Date(Date.now() - 60 * 60 * 1000);
+    await CVAnalysis.collection.updateMany({}, { $set: { updatedAt: staleTime } });
+
+    await cvAnalyzerController.recoverOrphanedAnalyses();
+
+    expect(await BackgroundJob.hasActive(QUEUES.CV_ANALYSIS, { analysisId: analysis._id })).toBe(true);
+    const failedAnalysis = await CVAnalysis.findById(failed._id);
+    expect(failedAnalysis.processingStatus).toBe('failed');
+    expect(failedAnalysis.errorMessage).toBe('OpenAI unavailable');
+  });
+});
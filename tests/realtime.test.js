@@ -0,0 +1,137 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import app from '../app.js';
+import CVAnalysis from '../models/cvanalysis.model.js';
+import User from '../models/user.model.js';
+import { RealtimeService } from '../services/realtime.service.js';
+import { EventService, EVENTS } from '../services/event.service.js';
+
+// Minimal stand-in for an Express response that records what was written
+const createStream = () => ({
+  chunks: [],
+  write(chunk) {
+    this.chunks.push(chunk);
+  }
+});
+
+describe('Realtime API Tests', () => {
+  let events;
+  let realtime;
+
+  beforeAll(async () => {
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017/jobportal_test');
+    }
+  });
+
+  beforeEach(() => {
+    events = new EventService();
+    realtime = new RealtimeService();
+    realtime.registerEventHandlers(events);
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+  });
+
+  test('should require a token for the stream', async () => {
+    await request(app)
+      .get('/api/v1/realtime/stream')
+      .expect(401);
+  });
+
+  test('should accept the token cookie and end the stream when the token expires', async () => {
+    await User.deleteMany({ email: 'stream@example.com' });
+    const user = await User.create({ fullName: 'Stream User', email: 'stream@example.com', password: 'Password123' });
+    const token = jwt.sign({ userId: user._id, type: 'user' }, process.env.JWT_SECRET, { expiresIn: 1 });
+
+    const response = await request(app)
+      .get('/api/v1/realtime/stream')
+      .set('Cookie', `token=${token}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => callback(null, body));
+      })
+      .expect(200);
+
+    expect(response.body).toContain('event: connected');
+    expect(response.body).toContain('event: token-expired');
+
+    await User.deleteOne({ _id: user._id });
+  });
+
+  test('should push events only to the streams of the recipient', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const mine = createStream();
+    const other = createStream();
+
+    realtime.addClient('user', userId, mine);
+    realtime.addClient('user', new mongoose.Types.ObjectId(), other);
+
+    events.publish(EVENTS.CV_ANALYSIS_STAGE_CHANGED, {
+      analysis: { _id: new mongoose.Types.ObjectId(), userId },
+      stage: 'parsing',
+      status: 'in-progress'
+    });
+    await events.drain();
+
+    expect(mine.chunks).toHaveLength(1);
+    expect(mine.chunks[0]).toContain('event: cv-analysis.stage');
+    expect(mine.chunks[0]).toContain('"stage":"parsing"');
+    expect(other.chunks).toHaveLength(0);
+  });
+
+  test('should alert companies about new applications', async () => {
+    const companyId = new mongoose.Types.ObjectId();
+    const stream = createStream();
+    realtime.addClient('company', companyId, stream);
+
+    events.publish(EVENTS.APPLICATION_SUBMITTED, {
+      application: { _id: new mongoose.Types.ObjectId(), fullName: 'Test User' },
+      job: { _id: new mongoose.Types.ObjectId(), title: 'Backend Developer', companyId }
+    });
+    await events.drain();
+
+    expect(stream.chunks[0]).toContain('event: application.new');
+    expect(stream.chunks[0]).toContain('"fullName":"Test User"');
+  });
+
+  test('should stop pushing after the stream is removed', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const stream = createStream();
+    const remove = realtime.addClient('user', userId, stream);
+
+    remove();
+
+    expect(realtime.sendTo('user', userId, 'ping', {})).toBe(0);
+    expect(realtime.getConnectionCount()).toBe(0);
+  });
+
+  test('should poll analysis progress for streams when workers run in another process', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const stream = createStream();
+    realtime.addClient('user', userId, stream);
+    realtime.lastPolledAt = new Date(Date.now() - 1000);
+
+    const analysis = await CVAnalysis.create({
+      userId,
+      originalFilename: 'test_resume.pdf',
+      filePath: '/tmp/test_resume.pdf',
+      fileSize: 1024,
+      extractedText: 'Processing...',
+      jobData: { experienceLevel: 'mid', major: 'Computer Science' },
+      processingStatus: 'failed',
+      errorMessage: 'Could not read the PDF'
+    });
+
+    expect(await realtime.pollChanges()).toBe(1);
+    expect(stream.chunks[0]).toContain('event: cv-analysis.status');
+    expect(stream.chunks[0]).toContain(`"analysisId":"${analysis._id}"`);
+    expect(stream.chunks[0]).toContain('"processingStatus":"failed"');
+
+    await CVAnalysis.deleteOne({ _id: analysis._id });
+  });
+});
@@ -0,0 +1,39 @@
+// Load .env before any module that reads configuration when it is imported
+import "dotenv/config";
+import mongoose from "mongoose";
+import cvAnalyzerController from "./controllers/cv-analyzer.controller.js";
+import notificationService from "./services/notification.service.js";
+import screeningService from "./services/screening.service.js";
+import queueService from "./services/queue.service.js";
+import eventService from "./services/event.service.js";
+
+// Standalone background worker: `npm run worker`. Run the API with
+// QUEUE_WORKER_MODE=external so jobs are only processed here. Events raised here
+// don't reach the API's realtime streams; the API polls analysis progress instead.
+
+// Events raised while processing (e.g. analysis completed) still need to become notifications
+notificationService.registerEventHandlers();
+cvAnalyzerController.registerQueueHandlers();
+screeningService.registerQueueHandlers();
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, finishing running jobs...`);
+  await queueService.stop();
+  await eventService.drain();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(() => {
+    console.log("database connected");
+    queueService.start();
+  })
+  .catch((e) => {
+    console.log("error: ", e.message);
+    process.exit(1);
+  });